@@ -144,11 +144,11 @@ async function main() {
   console.log('═'.repeat(70));
   console.log();
 
-  const tokenBalance = await agent.getTokenBalance(mint);
-  const stakeAmount = Math.floor(tokenBalance * 0.5); // Stake 50%
+  const tokenBalance = await agent.getRawTokenBalance(mint);
+  const stakeAmount = tokenBalance / 2n; // Stake 50% (raw units, no rounding)
 
-  if (stakeAmount > 0) {
-    console.log(`🔒 Staking ${stakeAmount} tokens (50% of balance)...`);
+  if (stakeAmount > 0n) {
+    console.log(`🔒 Staking ${stakeAmount} raw units (50% of balance)...`);
     try {
       await agent.stake(mint, { amount: stakeAmount });
       console.log(`   ✅ Tokens staked successfully!`);
@@ -120,7 +120,8 @@ async function main() {
     const solBefore = await agent.getBalance();
 
     try {
-      await agent.presaleExit(mint, { amount: balanceBefore * 0.5 }); // Exit 50%
+      const rawBalance = await agent.getRawTokenBalance(mint);
+      await agent.presaleExit(mint, { amount: rawBalance / 2n }); // Exit 50% (raw units)
       
       const balanceAfter = await agent.getTokenBalance(mint);
       const solAfter = await agent.getBalance();
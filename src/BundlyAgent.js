@@ -5,25 +5,39 @@
  * Handles transaction building, signing, and submission.
  */
 
-import { Connection, Keypair, PublicKey, Transaction, ComputeBudgetProgram } from '@solana/web3.js';
+import { EventEmitter } from 'events';
+import { AddressLookupTableProgram, Connection, Keypair, PublicKey, Transaction } from '@solana/web3.js';
 import { 
   getAssociatedTokenAddressSync,
   createAssociatedTokenAccountInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createCloseAccountInstruction,
+  getMint,
+  TokenAccountNotFoundError,
+  TokenInvalidAccountOwnerError,
+  AccountLayout,
   TOKEN_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID
 } from '@solana/spl-token';
 import {
   BUNDLY_PROGRAM_ID,
-  RPC_ENDPOINTS,
   DEFAULT_CONFIG,
   LAMPORTS_PER_SOL,
-  TOKEN_DECIMALS
+  TOKEN_DECIMALS,
+  MIN_SWAP_AMOUNT,
+  WSOL_MINT
 } from './constants.js';
 import {
   deriveBundlePda,
   deriveAllBundlePdas,
   deriveUserStakePda,
-  deriveUnstakeRequestPda
+  deriveUnstakeRequestPda,
+  deriveUnstakeVaultPda,
+  deriveGlobalFeeTokenAccount,
+  deriveFeeVaultPda,
+  deriveFeeSolVaultPda,
+  getBundleWsolAccount,
+  toPublicKey
 } from './accounts.js';
 import {
   createProgram,
@@ -38,34 +52,145 @@ import {
   buildCreateOrderInstruction,
   buildFillOrderInstruction,
   buildCancelOrderInstruction,
-  buildFinalizePumpfunInstruction
+  buildFinalizePumpfunInstruction,
+  buildSetTradingPausedInstruction,
+  buildSetCpiEnabledInstruction,
+  buildUpdateAdminInstruction,
+  buildUpdateFeeCollectorInstruction,
+  buildInjectRewardsInstruction,
+  buildWithdrawSolFeesInstruction,
+  buildWithdrawWsolFeesInstruction,
+  buildRecoverFeeVaultInstruction,
+  buildInitGlobalFeeAccountInstruction,
+  buildInitUnstakeVaultInstruction,
+  buildSyncSupplyInstruction
 } from './instructions.js';
 import { uploadBundleMetadata } from './metadata.js';
+import {
+  decodeBundleView,
+  decodeUserStake,
+  decodeUnstakeRequest,
+  summarizeStakePosition,
+  summarizeStakeValue,
+  decodeOrderState,
+  getRealMint,
+  summarizeDrip,
+  previewRewardInjection,
+  getFeeCollectionStatus
+} from './state.js';
+import { ORDER_SIDE, buildOrderFilters, buildOrderBook } from './orderbook.js';
+import {
+  toBundlyError,
+  createProgramError,
+  createInvalidArgumentError,
+  createBundleNotFoundError
+} from './errors.js';
+import {
+  dryRunContext,
+  simulateTransaction,
+  createSimulateNamespace,
+  DRY_RUN_METADATA_URI
+} from './simulate.js';
+import { createLogger } from './logger.js';
+import { BUNDLY_EVENTS } from './events.js';
+import { toSigner, signWithKeypairs } from './signer.js';
+import {
+  MAX_COMPUTE_UNITS,
+  DEFAULT_COMPUTE_UNIT_MARGIN,
+  resolvePriorityFee,
+  estimateComputeUnits,
+  applyComputeBudget
+} from './fees.js';
+import { sendWithRebroadcast } from './sender.js';
+import { applySlippage, quoteBuyFromState, quotePresaleExitFromState } from './quotes.js';
+import {
+  LOOKUP_TABLE_EXTEND_CHUNK,
+  getStaticLookupAddresses,
+  toVersionedTransaction,
+  fetchLookupTables
+} from './versioned.js';
+import { BundleWatcher } from './watcher.js';
+import { fetchPortfolio } from './portfolio.js';
+import { buildBundleFilters, selectBundles } from './discovery.js';
+import { resolveNetworkProfile } from './network.js';
+import { isRawAmount, toRawAmount, toRawUnits, toLamports, formatAmount, formatSol } from './amounts.js';
 
-export class BundlyAgent {
+export class BundlyAgent extends EventEmitter {
   /**
    * Create a new BundlyAgent instance
+   * 
+   * config.wallet: Keypair, or any Signer ({ publicKey, signTransaction, signAllTransactions })
+   * config.signer: alias for a non-Keypair wallet (KMS/HSM, wallet adapter, signing daemon)
+   * config.logger: 'pretty' (default) | 'json' | 'silent' | sink function | logger object
+   * config.logLevel: 'debug' | 'info' (default) | 'warn' | 'error'
+   * config.network: 'localnet' | 'devnet' (default) | 'mainnet' | 'custom', or a
+   *   network profile object (see network.js: programId, pump.fun / Metaplex
+   *   addresses, globalFeeWallet, rpcUrl)
+   * config.rpcUrl / config.programId: override the profile's endpoint / Bundly program ID
    */
   constructor(config) {
-    if (!config.wallet) {
-      throw new Error('Wallet keypair is required');
+    super();
+    
+    if (!config.wallet && !config.signer) {
+      throw createInvalidArgumentError('Wallet keypair or signer is required');
     }
     
-    this.wallet = config.wallet;
-    this.network = config.network || DEFAULT_CONFIG.network;
-    this.rpcUrl = config.rpcUrl || RPC_ENDPOINTS[this.network];
+    this.logger = createLogger(config.logger, { level: config.logLevel });
+    this.wallet = config.wallet || config.signer;
+    this.signer = toSigner(this.wallet);
+    this.networkProfile = resolveNetworkProfile(config.network || DEFAULT_CONFIG.network, {
+      rpcUrl: config.rpcUrl,
+      programId: config.programId
+    });
+    this.network = this.networkProfile.name;
+    this.rpcUrl = this.networkProfile.rpcUrl;
+    this.programId = this.networkProfile.programId;
     this.commitment = config.commitment || DEFAULT_CONFIG.commitment;
     
+    // Compute budget: priorityFee = { strategy: 'fixed' | 'percentile', ... },
+    // computeUnits = 'auto' | number
+    this.priorityFee = config.priorityFee || null;
+    this.computeUnits = config.computeUnits || null;
+    this.computeUnitMargin = config.computeUnitMargin ?? DEFAULT_COMPUTE_UNIT_MARGIN;
+    
+    // Send pipeline: rebroadcast until confirmed, rebuild on blockhash expiry
+    this.confirmCommitment = config.confirmCommitment || this.commitment;
+    this.confirmationRetries = config.confirmationRetries ?? DEFAULT_CONFIG.confirmationRetries;
+    this.confirmationRetryDelay = config.confirmationRetryDelay ?? DEFAULT_CONFIG.confirmationRetryDelay;
+    this.sendAttempts = config.sendAttempts ?? DEFAULT_CONFIG.sendAttempts;
+    this.slippageBps = config.slippageBps ?? DEFAULT_CONFIG.slippageBps;
+    this.finalizeSlippageBps = config.finalizeSlippageBps ?? DEFAULT_CONFIG.finalizeSlippageBps;
+    
+    // Message format: 'legacy' | 0. Lookup tables (ALT addresses) imply v0.
+    this.lookupTableAddresses = (config.lookupTables || []).map(address => (
+      toPublicKey(address, 'address')
+    ));
+    this.transactionVersion = config.transactionVersion
+      ?? (this.lookupTableAddresses.length ? 0 : 'legacy');
+    if (this.lookupTableAddresses.length && this.transactionVersion !== 0) {
+      throw createInvalidArgumentError('Lookup tables require transactionVersion 0');
+    }
+    this._lookupTables = null;
+    
+    // Mint decimals never change, so each mint is read once (getMintDecimals)
+    this.mintDecimals = new Map();
+    
     this.connection = new Connection(this.rpcUrl, this.commitment);
-    this.publicKey = this.wallet.publicKey;
+    this.publicKey = this.signer.publicKey;
     
     // Create Anchor program instance
-    this.program = createProgram(this.connection, this.wallet);
+    this.program = createProgram(this.connection, this.signer, this.programId);
+    
+    // Dry-run versions of every action: agent.simulate.buy(mint, { ... })
+    this.simulate = createSimulateNamespace(this);
     
-    console.log(`🦞 BundlyAgent initialized`);
-    console.log(`   Wallet: ${this.publicKey.toString()}`);
-    console.log(`   Network: ${this.network}`);
-    console.log(`   RPC: ${this.rpcUrl}`);
+    this.logger.info(`🦞 BundlyAgent initialized`);
+    this.logger.info(`   Wallet: ${this.publicKey.toString()}`);
+    this.logger.info(`   Network: ${this.network}`);
+    this.logger.info(`   RPC: ${this.rpcUrl}`);
+    if (!this.programId.equals(BUNDLY_PROGRAM_ID)) {
+      this.logger.info(`   Program: ${this.programId.toString()}`);
+    }
   }
 
   // ============================================================================
@@ -73,30 +198,78 @@ export class BundlyAgent {
   // ============================================================================
 
   /**
-   * Get agent's SOL balance
+   * Get agent's SOL balance (number of SOL; see getExactBalance / getRawBalance)
    */
   async getBalance() {
-    const lamports = await this.connection.getBalance(this.publicKey);
-    return lamports / LAMPORTS_PER_SOL;
+    return Number(await this.getRawBalance()) / LAMPORTS_PER_SOL;
+  }
+
+  /**
+   * Get agent's SOL balance as an exact decimal string ("1.250000001")
+   */
+  async getExactBalance() {
+    return formatSol(await this.getRawBalance());
   }
 
   /**
-   * Get agent's token balance for a specific mint
+   * Get agent's SOL balance in lamports (bigint)
+   */
+  async getRawBalance() {
+    return BigInt(await this.connection.getBalance(this.publicKey));
+  }
+
+  /**
+   * Get agent's token balance for a specific mint (number of tokens, 0 if
+   * no account; see getExactTokenBalance / getRawTokenBalance)
    */
   async getTokenBalance(mint) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const balance = await this.getExactTokenBalance(mint);
+    return parseFloat(balance);
+  }
+
+  /**
+   * Get agent's token balance for a specific mint as an exact decimal
+   * string in the mint's decimals ('0' if no account)
+   */
+  async getExactTokenBalance(mint) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const balance = await this.fetchTokenAccountBalance(mintPubkey);
+    if (!balance) return '0';
+    
+    this.mintDecimals.set(mintPubkey.toString(), balance.decimals);
+    return formatAmount(balance.amount, balance.decimals);
+  }
+
+  /**
+   * Get agent's raw token balance (base units, bigint; 0n if no account)
+   */
+  async getRawTokenBalance(mint) {
+    const balance = await this.fetchTokenAccountBalance(toPublicKey(mint, 'mint'));
+    return balance ? BigInt(balance.amount) : 0n;
+  }
+
+  /**
+   * Token amount of the agent's associated token account, or null if the
+   * account does not exist. RPC failures are thrown, not reported as 0.
+   */
+  async fetchTokenAccountBalance(mintPubkey) {
     const tokenAccount = getAssociatedTokenAddressSync(mintPubkey, this.publicKey);
     
     try {
-      const balance = await this.connection.getTokenAccountBalance(tokenAccount);
-      return parseFloat(balance.value.uiAmount || 0);
-    } catch (e) {
-      return 0;
+      const { value } = await this.connection.getTokenAccountBalance(tokenAccount);
+      return value;
+    } catch (error) {
+      if (error instanceof TokenAccountNotFoundError || /could not find account/i.test(error?.message)) {
+        return null;
+      }
+      throw toBundlyError(error);
     }
   }
 
   /**
-   * Get all bundles where agent is a holder
+   * Get every non-zero SPL token holding of the agent (Bundly or not; see
+   * getPortfolio for Bundly positions only)
+   * Returns [{ mint, balance (number), amount (raw bigint), decimals }]
    */
   async getMyBundles() {
     const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(
@@ -105,29 +278,104 @@ export class BundlyAgent {
     );
     
     return tokenAccounts.value
-      .filter(account => account.account.data.parsed.info.tokenAmount.uiAmount > 0)
-      .map(account => ({
-        mint: account.account.data.parsed.info.mint,
-        balance: account.account.data.parsed.info.tokenAmount.uiAmount
+      .map(account => account.account.data.parsed.info)
+      .filter(info => BigInt(info.tokenAmount.amount) > 0n)
+      .map(info => ({
+        mint: info.mint,
+        balance: info.tokenAmount.uiAmount,
+        amount: BigInt(info.tokenAmount.amount),
+        decimals: info.tokenAmount.decimals
       }));
   }
 
   /**
-   * Airdrop SOL (devnet only)
+   * Every Bundly position of `owner` (default: the agent's wallet) in one call:
+   * decoded BundleState, bToken / real-token balances (SPL Token and
+   * Token-2022), stake position, pending unstake, open OTC orders, estimated
+   * claimable rewards and a SOL value per bundle plus the total
+   * (see portfolio.js)
+   */
+  async getPortfolio(owner = null) {
+    const ownerPubkey = owner
+      ? (toPublicKey(owner, 'owner'))
+      : this.publicKey;
+    
+    const portfolio = await fetchPortfolio({
+      connection: this.connection,
+      owner: ownerPubkey,
+      programId: this.programId,
+      network: this.networkProfile,
+      commitment: this.commitment
+    });
+    
+    for (const { btoken, realToken } of portfolio.bundles) {
+      for (const token of [btoken, realToken]) {
+        if (token && token.decimals !== null) this.mintDecimals.set(token.mint.toString(), token.decimals);
+      }
+    }
+    return portfolio;
+  }
+
+  /**
+   * Decimals of a mint, read from chain once and cached
+   */
+  async getMintDecimals(mint) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const key = mintPubkey.toString();
+    if (!this.mintDecimals.has(key)) {
+      let mintInfo;
+      try {
+        mintInfo = await getMint(this.connection, mintPubkey);
+      } catch (error) {
+        if (error instanceof TokenAccountNotFoundError || error instanceof TokenInvalidAccountOwnerError) {
+          throw createInvalidArgumentError(`mint ${key} is not an SPL token mint`, {
+            hint: 'Pass the bundle (bToken) or real token mint and check the network the agent uses.'
+          });
+        }
+        throw toBundlyError(error);
+      }
+      this.mintDecimals.set(key, mintInfo.decimals);
+    }
+    return this.mintDecimals.get(key);
+  }
+
+  /**
+   * Convert a token amount for `mint` to raw units (bigint): bigint / BN are
+   * raw, strings and numbers are decimal amounts in the mint's decimals
+   * (see amounts.js). Only decimal amounts need the mint's decimals.
+   */
+  async toRawTokenAmount(mint, amount, options = {}) {
+    if (isRawAmount(amount)) {
+      return toRawAmount(amount, 0, options);
+    }
+    return toRawAmount(amount, await this.getMintDecimals(mint), options);
+  }
+
+  /**
+   * Format raw units of `mint` as an exact decimal string (for logs)
+   */
+  async formatTokenAmount(mint, raw) {
+    return formatAmount(raw, await this.getMintDecimals(mint));
+  }
+
+  /**
+   * Airdrop SOL (devnet / localnet, or profiles with airdrop: true)
+   * `amount` is SOL (string / number) or lamports (bigint / BN)
    */
   async requestAirdrop(amount = 1) {
-    if (this.network !== 'devnet') {
-      throw new Error('Airdrops only available on devnet');
+    if (!this.networkProfile.airdrop) {
+      throw new Error(`Airdrops are not available on ${this.network}`);
     }
     
-    console.log(`💧 Requesting ${amount} SOL airdrop...`);
+    const lamports = toLamports(amount, { name: 'amount' });
+    this.logger.info(`💧 Requesting ${formatSol(lamports)} SOL airdrop...`);
     const signature = await this.connection.requestAirdrop(
       this.publicKey,
-      amount * LAMPORTS_PER_SOL
+      Number(lamports)
     );
     
     await this.connection.confirmTransaction(signature);
-    console.log(`✅ Airdrop confirmed: ${signature}`);
+    this.logger.info(`✅ Airdrop confirmed: ${signature}`);
     return signature;
   }
 
@@ -137,31 +385,33 @@ export class BundlyAgent {
 
   /**
    * Create a new bundle
+   * capSol: SOL (string / number) or lamports (bigint / BN)
+   * totalSupply: whole tokens in `decimals` (string / number) or raw units (bigint / BN)
    */
   async createBundle(options) {
     const {
       nonce = Date.now(),
       name,
       symbol,
-      decimals = 6,
+      decimals = TOKEN_DECIMALS,
       capSol,
       totalSupply,
       unstakeCooldown = 86400
     } = options;
     
     if (!capSol || !totalSupply) {
-      throw new Error('capSol and totalSupply are required');
+      throw createInvalidArgumentError('capSol and totalSupply are required');
     }
     
-    const capLamports = Math.floor(capSol * LAMPORTS_PER_SOL);
-    const supply = Math.floor(totalSupply * Math.pow(10, decimals));
+    const capLamports = toLamports(capSol, { name: 'capSol' });
+    const supply = toRawAmount(totalSupply, isRawAmount(totalSupply) ? 0 : decimals, { name: 'totalSupply' });
     
-    console.log(`🎉 Creating bundle...`);
-    console.log(`   Name: ${name || 'N/A'}`);
-    console.log(`   Symbol: ${symbol || 'N/A'}`);
-    console.log(`   Cap: ${capSol} SOL`);
-    console.log(`   Supply: ${totalSupply} tokens`);
-    console.log(`   Unstake cooldown: ${unstakeCooldown / 3600}h`);
+    this.logger.info(`🎉 Creating bundle...`);
+    this.logger.info(`   Name: ${name || 'N/A'}`);
+    this.logger.info(`   Symbol: ${symbol || 'N/A'}`);
+    this.logger.info(`   Cap: ${formatSol(capLamports)} SOL`);
+    this.logger.info(`   Supply: ${formatAmount(supply, decimals)} tokens`);
+    this.logger.info(`   Unstake cooldown: ${unstakeCooldown / 3600}h`);
     
     const { instruction, mint, bundle } = await buildInitBundleInstruction({
       program: this.program,
@@ -176,15 +426,20 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Bundle created!`);
-    console.log(`   Mint: ${mint.toString()}`);
-    console.log(`   Bundle PDA: ${bundle.toString()}`);
+    this.mintDecimals.set(mint.toString(), decimals);
+    
+    this.logger.info(`✅ Bundle created!`);
+    this.logger.info(`   Mint: ${mint.toString()}`);
+    this.logger.info(`   Bundle PDA: ${bundle.toString()}`);
     
     return { signature, mint, bundle };
   }
 
   /**
    * Finalize bundle and launch on pump.fun
+   * minTokensOut for the pump.fun buy is quoted from the live Global account
+   * minus options.slippageBps (agent finalizeSlippageBps, 10% by default);
+   * pass options.minTokensOut (raw) to set it yourself
    */
   async finalize(mint, options) {
     const {
@@ -192,83 +447,81 @@ export class BundlyAgent {
       name,
       symbol,
       description,
-      metadataUri
+      metadataUri,
+      minTokensOut: explicitMinTokensOut = null,
+      slippageBps = this.finalizeSlippageBps
     } = options;
     
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
     
-    console.log(`🚀 Finalizing bundle and launching on pump.fun...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
-    console.log(`   Name: ${name}`);
-    console.log(`   Symbol: ${symbol}`);
-    console.log();
+    this.logger.info(`🚀 Finalizing bundle and launching on pump.fun...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Name: ${name}`);
+    this.logger.info(`   Symbol: ${symbol}`);
+    this.logger.info();
     
-    // Step 1: Upload metadata to IPFS (if not provided)
+    // Step 1: Upload metadata to IPFS (if not provided; a dry run uploads nothing)
     let tokenUri = metadataUri;
     if (!tokenUri) {
       if (!imagePath || !name || !symbol || !description) {
-        throw new Error('Either metadataUri OR (imagePath + name + symbol + description) required');
+        throw createInvalidArgumentError('Either metadataUri OR (imagePath + name + symbol + description) required');
       }
       
-      tokenUri = await uploadBundleMetadata({
-        imagePath,
-        name,
-        symbol,
-        description
-      });
+      if (dryRunContext.getStore()) {
+        tokenUri = DRY_RUN_METADATA_URI;
+      } else {
+        tokenUri = await uploadBundleMetadata({
+          imagePath,
+          name,
+          symbol,
+          description,
+          logger: this.logger
+        });
+        this.emit(BUNDLY_EVENTS.METADATA_UPLOADED, { mint: mintPubkey, metadataUri: tokenUri });
+      }
     }
     
-    console.log(`✅ Metadata URI: ${tokenUri}\n`);
+    this.logger.info(`✅ Metadata URI: ${tokenUri}\n`);
     
     // Step 2: Create new pumpfun mint keypair
     const pumpfunMint = Keypair.generate();
-    console.log(`🔑 Generated pump.fun mint: ${pumpfunMint.publicKey.toString()}`);
-    console.log();
+    this.logger.info(`🔑 Generated pump.fun mint: ${pumpfunMint.publicKey.toString()}`);
+    this.logger.info();
     
     // Step 3: Build finalize instruction (auto-calculates min tokens for graduation)
-    console.log(`📝 Building finalize transaction...`);
-    console.log(`   Calculating tokens needed to graduate bonding curve...`);
-    const { instruction } = await buildFinalizePumpfunInstruction({
+    this.logger.info(`📝 Building finalize transaction...`);
+    this.logger.info(`   Calculating tokens needed to graduate bonding curve...`);
+    const { instruction, minTokensOut, launchQuote } = await buildFinalizePumpfunInstruction({
       program: this.program,
+      network: this.networkProfile,
       mint: mintPubkey,
       payer: this.publicKey,
       pumpfunMint: pumpfunMint.publicKey,
       tokenName: name,
       tokenSymbol: symbol,
-      tokenUri
-      // minTokensOut: null (default) = auto-calculate using pump SDK
+      tokenUri,
+      minTokensOut: explicitMinTokensOut, // null = quote from the live pump.fun Global account
+      slippageBps,
+      logger: this.logger
     });
-    
-    // Step 4: Send transaction with maximum compute budget
-    const computeBudgetIx = ComputeBudgetProgram.setComputeUnitLimit({ 
-      units: 1400000 
+    this.emit(BUNDLY_EVENTS.FINALIZE_CALCULATED, {
+      mint: mintPubkey,
+      pumpfunMint: pumpfunMint.publicKey,
+      minTokensOut,
+      launchQuote
     });
-    const transaction = new Transaction()
-      .add(computeBudgetIx)
-      .add(instruction);
-    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
-    transaction.recentBlockhash = blockhash;
-    transaction.feePayer = this.publicKey;
-    
-    // Sign with both wallet and pumpfun mint
-    transaction.sign(this.wallet, pumpfunMint);
-    
-    const signature = await this.connection.sendRawTransaction(
-      transaction.serialize()
-    );
     
-    console.log(`📡 Transaction sent: ${signature}`);
-    console.log(`   Confirming...`);
+    // Step 4: Send transaction (maximum compute budget unless auto-sizing is on)
+    const transaction = new Transaction().add(instruction);
     
-    await this.connection.confirmTransaction({
-      signature,
-      blockhash,
-      lastValidBlockHeight
+    // Sign with both wallet and pumpfun mint
+    const signature = await this.sendAndConfirm(transaction, [pumpfunMint], {
+      computeUnits: this.computeUnits === 'auto' ? 'auto' : MAX_COMPUTE_UNITS
     });
     
-    console.log(`✅ Bundle finalized and launched on pump.fun!`);
-    console.log(`   Pump.fun mint: ${pumpfunMint.publicKey.toString()}`);
-    console.log(`   Metadata: ${tokenUri}`);
+    this.logger.info(`✅ Bundle finalized and launched on pump.fun!`);
+    this.logger.info(`   Pump.fun mint: ${pumpfunMint.publicKey.toString()}`);
+    this.logger.info(`   Metadata: ${tokenUri}`);
     
     return {
       signature,
@@ -281,23 +534,62 @@ export class BundlyAgent {
   // TRADING
   // ============================================================================
 
+  /**
+   * Quote a buy from the decoded bundle state (see quoteBuyFromState)
+   * Returns tokens out, protocol fee, price and whether the buy would exceed the cap
+   * solAmount: SOL (string / number) or lamports (bigint / BN)
+   */
+  async quoteBuy(mint, solAmount) {
+    const lamports = toLamports(solAmount);
+    
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const state = await this.getBundleState(mintPubkey);
+    
+    return quoteBuyFromState(state, lamports, { decimals: await this.getMintDecimals(mintPubkey) });
+  }
+
   /**
    * Buy bundle tokens with SOL
+   * minTokensOut (raw units) defaults to the quote minus slippageBps
+   * (agent config, 1% by default); pass minTokensOut to set it explicitly
    */
   async buy(mint, options) {
-    const { solAmount, minTokensOut = 0 } = options;
+    const { solAmount, slippageBps = this.slippageBps } = options;
+    
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const quote = await this.quoteBuy(mintPubkey, solAmount);
+    const lamports = quote.amountLamports;
     
-    if (!solAmount || solAmount <= 0) {
-      throw new Error('solAmount must be positive');
+    // Fail fast on what the program would reject anyway
+    if (quote.isFinalized) {
+      throw createProgramError('AlreadyFinalized', { instruction: 'swap' });
+    }
+    if (quote.tradingPaused) {
+      throw createProgramError('TradingPaused', { instruction: 'swap' });
+    }
+    if (quote.belowMinimum) {
+      throw createProgramError('AmountTooSmall', {
+        message: `${lamports} lamports is below the ${MIN_SWAP_AMOUNT} lamport minimum`,
+        instruction: 'swap'
+      });
+    }
+    if (quote.exceedsCap) {
+      throw createProgramError('CapExceeded', {
+        message: `Net ${quote.netLamports} lamports exceeds the ${quote.remainingLamports} lamports left under the cap`,
+        instruction: 'swap'
+      });
+    }
+    if (quote.exceedsSupply) {
+      throw createProgramError('SupplyExceeded', { instruction: 'swap' });
     }
     
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const lamports = Math.floor(solAmount * LAMPORTS_PER_SOL);
+    const minTokensOut = options.minTokensOut ?? applySlippage(quote.tokensOut, slippageBps);
     
-    console.log(`🛒 Buying tokens...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
-    console.log(`   SOL: ${solAmount} (${lamports} lamports)`);
-    console.log(`   Min tokens out: ${minTokensOut}`);
+    this.logger.info(`🛒 Buying tokens...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   SOL: ${formatSol(lamports)} (${lamports} lamports, fee ${quote.feeLamports})`);
+    this.logger.info(`   Expected tokens: ${quote.tokensOut}`);
+    this.logger.info(`   Min tokens out: ${minTokensOut}`);
     
     // Check if associated token account exists, create if needed
     const ataAddress = getAssociatedTokenAddressSync(mintPubkey, this.publicKey);
@@ -306,7 +598,7 @@ export class BundlyAgent {
     const transaction = new Transaction();
     
     if (!ataInfo) {
-      console.log(`   Creating associated token account...`);
+      this.logger.info(`   Creating associated token account...`);
       const createAtaIx = createAssociatedTokenAccountInstruction(
         this.publicKey, // payer
         ataAddress,     // ata
@@ -318,53 +610,96 @@ export class BundlyAgent {
     
     const { instruction } = await buildSwapInstruction({
       program: this.program,
+      network: this.networkProfile,
       mint: mintPubkey,
       user: this.publicKey,
-      amountLamports: lamports,
-      minTokensOut
+      amountLamports: lamports.toString(),
+      minTokensOut: minTokensOut.toString()
     });
     
     transaction.add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Bought tokens!`);
+    this.logger.info(`✅ Bought tokens!`);
     return signature;
   }
 
+  /**
+   * Quote a presale exit: exact SOL returned, protocol fee and the effect on
+   * collected_lamports (see quotePresaleExitFromState)
+   * `amount` (tokens, or raw bigint / BN) defaults to the agent's full raw bToken balance
+   */
+  async quotePresaleExit(mint, amount = null) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    
+    let amountBtoken;
+    if (amount !== null && amount !== undefined) {
+      amountBtoken = await this.toRawTokenAmount(mintPubkey, amount);
+    } else {
+      amountBtoken = await this.getRawTokenBalance(mintPubkey);
+    }
+    
+    const state = await this.getBundleState(mintPubkey);
+    return quotePresaleExitFromState(state, amountBtoken);
+  }
+
   /**
    * Exit presale position before finalization (recover SOL)
    */
   async presaleExit(mint, options = {}) {
     const { amount } = options;
     
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const [state, balance] = await Promise.all([
+      this.getBundleState(mintPubkey),
+      this.getRawTokenBalance(mintPubkey)
+    ]);
     
     // If no amount specified, exit all tokens
-    let tokenAmount;
-    if (amount) {
-      tokenAmount = Math.floor(amount * Math.pow(10, TOKEN_DECIMALS));
-    } else {
-      // Get current balance
-      const balance = await this.getTokenBalance(mintPubkey);
-      tokenAmount = Math.floor(balance * Math.pow(10, TOKEN_DECIMALS));
+    const tokenAmount = amount !== null && amount !== undefined
+      ? await this.toRawTokenAmount(mintPubkey, amount)
+      : balance;
+    const quote = quotePresaleExitFromState(state, tokenAmount);
+    
+    if (quote.isFinalized) {
+      throw createProgramError('TradingActive', {
+        message: 'Bundle is finalized; presale exit is no longer available',
+        instruction: 'presale_exit'
+      });
+    }
+    if (quote.tradingPaused) {
+      throw createProgramError('TradingPaused', { instruction: 'presale_exit' });
+    }
+    if (tokenAmount <= 0n) {
+      throw createProgramError('InvalidAmount', {
+        message: 'No bTokens to exit',
+        instruction: 'presale_exit'
+      });
+    }
+    if (tokenAmount > balance) {
+      throw createProgramError('InsufficientTokens', {
+        message: `Wallet holds fewer than ${tokenAmount} raw bTokens`,
+        instruction: 'presale_exit'
+      });
     }
     
-    console.log(`🚪 Exiting presale position...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
-    console.log(`   Amount: ${tokenAmount / Math.pow(10, TOKEN_DECIMALS)} tokens`);
-    console.log(`   ⚠️  1% protocol fee will be deducted`);
+    this.logger.info(`🚪 Exiting presale position...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${await this.formatTokenAmount(mintPubkey, tokenAmount)} tokens`);
+    this.logger.info(`   SOL out: ${formatSol(quote.solOut)} (1% fee: ${formatSol(quote.feeLamports)} SOL)`);
     
     const { instruction } = await buildPresaleExitInstruction({
       program: this.program,
+      network: this.networkProfile,
       mint: mintPubkey,
       user: this.publicKey,
-      amountBtoken: tokenAmount
+      amountBtoken: tokenAmount.toString()
     });
     
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Exited presale! SOL returned to wallet.`);
+    this.logger.info(`✅ Exited presale! SOL returned to wallet.`);
     return signature;
   }
 
@@ -374,20 +709,18 @@ export class BundlyAgent {
 
   /**
    * Stake bundle tokens
+   * `amount`: tokens in the mint's decimals (string / number) or raw units (bigint / BN)
+   * minTokensOut (raw units, default 0) is passed to deposit_stake as its slippage bound
    */
   async stake(mint, options) {
-    const { amount } = options;
+    const { amount, minTokensOut = 0 } = options;
     
-    if (!amount || amount <= 0) {
-      throw new Error('amount must be positive');
-    }
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const tokenAmount = await this.toRawTokenAmount(mintPubkey, amount);
     
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const tokenAmount = Math.floor(amount * Math.pow(10, TOKEN_DECIMALS));
-    
-    console.log(`🔒 Staking tokens...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
-    console.log(`   Amount: ${amount} tokens`);
+    this.logger.info(`🔒 Staking tokens...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${await this.formatTokenAmount(mintPubkey, tokenAmount)} tokens`);
     
     const resolvedRealMint = await this.resolveRealMint(mintPubkey);
     const { instruction } = await buildDepositStakeInstruction({
@@ -395,13 +728,14 @@ export class BundlyAgent {
       mint: mintPubkey,
       user: this.publicKey,
       amount: tokenAmount,
+      minTokensOut,
       realMint: resolvedRealMint
     });
     
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Staked tokens!`);
+    this.logger.info(`✅ Staked tokens!`);
     return signature;
   }
 
@@ -409,10 +743,10 @@ export class BundlyAgent {
    * Prepare to unstake (starts cooldown)
    */
   async prepareUnstake(mint) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
     
-    console.log(`⏳ Preparing unstake...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`⏳ Preparing unstake...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
     
     const { instruction } = await buildPrepareUnstakeInstruction({
       program: this.program,
@@ -423,30 +757,28 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Unstake prepared! Cooldown started.`);
+    this.logger.info(`✅ Unstake prepared! Cooldown started.`);
     return signature;
   }
 
   /**
    * Execute unstake (after cooldown)
+   * `amount`: bTokens in the mint's decimals (string / number) or raw units (bigint / BN)
    */
   async executeUnstake(mint, options) {
     const { amount } = options;
     
-    if (!amount || amount <= 0) {
-      throw new Error('amount must be positive');
-    }
-    
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const tokenAmount = Math.floor(amount * Math.pow(10, TOKEN_DECIMALS));
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const tokenAmount = await this.toRawTokenAmount(mintPubkey, amount);
     
-    console.log(`🔓 Executing unstake...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
-    console.log(`   Amount: ${amount} tokens`);
+    this.logger.info(`🔓 Executing unstake...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${await this.formatTokenAmount(mintPubkey, tokenAmount)} tokens`);
     
     const resolvedRealMint = await this.resolveRealMint(mintPubkey);
     const { instruction } = await buildExecuteUnstakeInstruction({
       program: this.program,
+      network: this.networkProfile,
       mint: mintPubkey,
       user: this.publicKey,
       amountBtoken: tokenAmount,
@@ -456,7 +788,7 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Unstake executed!`);
+    this.logger.info(`✅ Unstake executed!`);
     return signature;
   }
 
@@ -464,10 +796,10 @@ export class BundlyAgent {
    * Withdraw unstaked tokens
    */
   async withdrawUnstaked(mint, destination = null) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
     
-    console.log(`💸 Withdrawing unstaked tokens...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`💸 Withdrawing unstaked tokens...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
     
     const resolvedRealMint = await this.resolveRealMint(mintPubkey);
     const { instruction } = await buildWithdrawUnstakedInstruction({
@@ -481,7 +813,7 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Withdrawn unstaked tokens!`);
+    this.logger.info(`✅ Withdrawn unstaked tokens!`);
     return signature;
   }
 
@@ -489,17 +821,18 @@ export class BundlyAgent {
    * Claim staking rewards
    */
   async claimRewards(mint) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
     
-    console.log(`💰 Claiming rewards...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`💰 Claiming rewards...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
     
     const resolvedRealMint = await this.resolveRealMint(mintPubkey);
-    console.log(`   Real Mint: ${resolvedRealMint.toString()}`);
+    this.logger.info(`   Real Mint: ${resolvedRealMint.toString()}`);
     
     const { buildClaimRewardsInstructionRaw } = await import('./instructions.js');
     const { instruction } = await buildClaimRewardsInstructionRaw({
       programId: this.program.programId,
+      network: this.networkProfile,
       mint: mintPubkey,
       user: this.publicKey,
       realMint: resolvedRealMint
@@ -508,24 +841,77 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Rewards claimed!`);
+    this.logger.info(`✅ Rewards claimed!`);
     return signature;
   }
 
+  /**
+   * Inject real-mint tokens as staking rewards (dripped to stakers over time)
+   * `amount` is in real-mint tokens (string / number) or raw units (bigint / BN). Logs an estimate of how it merges with the current drip
+   * (see previewRewardInjection) before sending and returns
+   * { signature, preview, drip } where `drip` is the on-chain schedule after the injection.
+   */
+  async injectRewards(mint, amount) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    
+    const state = await this.getBundleState(mintPubkey);
+    const realMint = getRealMint(state);
+    if (!realMint) {
+      throw createProgramError('NotFinalized', { instruction: 'inject_rewards' });
+    }
+    
+    const rawAmount = await this.toRawTokenAmount(realMint, amount);
+    const decimals = await this.getMintDecimals(realMint);
+    const toTokens = (raw) => formatAmount(raw, decimals);
+    
+    const preview = previewRewardInjection(state, rawAmount);
+    this.emit(BUNDLY_EVENTS.REWARDS_PREVIEWED, { mint: mintPubkey, preview });
+    
+    this.logger.info(`🎁 Injecting rewards...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${toTokens(rawAmount)} tokens`);
+    if (preview.mergesWithActiveDrip) {
+      this.logger.info(`   Merging with active drip: ${toTokens(preview.current.remaining)} tokens still undripped`);
+    }
+    if (preview.rate !== null) {
+      this.logger.info(`   Estimated new drip: ${toTokens(preview.pendingAmount)} tokens at ~${toTokens(preview.rate)} tokens/s until ~ ${new Date(Number(preview.endTs) * 1000).toISOString()}`);
+      this.logger.info(`   ⚠️  recoverFeeVault is blocked (DripInProgress) until the drip ends`);
+    } else {
+      this.logger.info(`   Estimated new drip: ${toTokens(preview.pendingAmount)} tokens (drip window unknown until the first injection)`);
+    }
+    
+    const { instruction } = await buildInjectRewardsInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      user: this.publicKey,
+      realMint,
+      amount: rawAmount
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    const drip = summarizeDrip(await this.getBundleState(mintPubkey));
+    
+    this.logger.info(`✅ Rewards injected!`);
+    return { signature, preview, drip };
+  }
+
   /**
    * Collect SOL creator fees from Pump.fun
    * Transfers accumulated creator fees from pump.fun's creator vault to bundly's fee_sol_vault
    * NOTE: Use the fundraiser mint, not the pump.fun token mint
    */
   async collectPumpFees(mint) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
     
-    console.log(`💰 Collecting Pump.fun creator fees (SOL)...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`💰 Collecting Pump.fun creator fees (SOL)...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
     
     const { buildCollectPumpFeesInstruction } = await import('./instructions.js');
     const { instruction } = await buildCollectPumpFeesInstruction({
       program: this.program,
+      network: this.networkProfile,
       mint: mintPubkey,
       collector: this.publicKey
     });
@@ -533,7 +919,7 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Pump.fun fees collected!`);
+    this.logger.info(`✅ Pump.fun fees collected!`);
     return signature;
   }
 
@@ -543,14 +929,15 @@ export class BundlyAgent {
    * NOTE: Use the fundraiser mint, not the pump.fun token mint
    */
   async collectPumpAmmFees(mint) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
     
-    console.log(`💰 Collecting Pump AMM creator fees (WSOL)...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`💰 Collecting Pump AMM creator fees (WSOL)...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
     
     const { buildCollectPumpAmmFeesInstruction } = await import('./instructions.js');
     const { instruction } = await buildCollectPumpAmmFeesInstruction({
       program: this.program,
+      network: this.networkProfile,
       mint: mintPubkey,
       collector: this.publicKey
     });
@@ -558,28 +945,61 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Pump AMM fees collected!`);
+    this.logger.info(`✅ Pump AMM fees collected!`);
     return signature;
   }
 
   /**
-   * Check staking position
+   * Read a staking position (UserStake + pending UnstakeRequest)
    */
-  async getStakingInfo(mint) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const [userStakePda] = await deriveUserStakePda(mintPubkey, this.publicKey);
+  async getStakePosition(mint, owner = null) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const ownerPubkey = owner
+      ? (toPublicKey(owner, 'owner'))
+      : this.publicKey;
+    
+    const [bundlePda] = await deriveBundlePda(mintPubkey, this.programId);
+    const [userStakePda] = await deriveUserStakePda(bundlePda, ownerPubkey, this.programId);
+    const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, ownerPubkey, this.programId);
+    
+    const [userStakeInfo, unstakeRequestInfo] = await this.connection.getMultipleAccountsInfo(
+      [userStakePda, unstakeRequestPda]
+    );
     
-    try {
-      const accountInfo = await this.connection.getAccountInfo(userStakePda);
-      if (!accountInfo) {
-        return { staked: 0, rewards: 0 };
-      }
-      
-      // TODO: Parse account data using Anchor
-      return { staked: 0, rewards: 0, raw: accountInfo.data };
-    } catch (e) {
-      return { staked: 0, rewards: 0 };
-    }
+    const userStake = userStakeInfo ? decodeUserStake(userStakeInfo.data) : null;
+    const unstakeRequest = unstakeRequestInfo ? decodeUnstakeRequest(unstakeRequestInfo.data) : null;
+    
+    return {
+      mint: mintPubkey,
+      owner: ownerPubkey,
+      userStakePda,
+      unstakeRequestPda,
+      userStake,
+      unstakeRequest,
+      ...summarizeStakePosition(userStake, unstakeRequest)
+    };
+  }
+
+  /**
+   * Check staking position. Numbers in token units (the mint's decimals), as
+   * this method always returned: staked; rewards: estimated claimable rewards
+   * (see summarizeStakeValue); rewardsClaimed: total rewards claimed so far
+   * @deprecated Use getStakePosition() for the full decoded position (bigint)
+   */
+  async getStakingInfo(mint) {
+    const [position, state, btokenAmount, decimals] = await Promise.all([
+      this.getStakePosition(mint),
+      this.getBundleState(mint),
+      this.getRawTokenBalance(mint),
+      this.getMintDecimals(mint)
+    ]);
+    const { claimable } = summarizeStakeValue(state, position.userStake, btokenAmount);
+    const toNumber = raw => parseFloat(formatAmount(raw, decimals));
+    return {
+      staked: toNumber(position.staked),
+      rewards: toNumber(claimable),
+      rewardsClaimed: toNumber(position.totalRewardsClaimed)
+    };
   }
 
   // ============================================================================
@@ -588,21 +1008,25 @@ export class BundlyAgent {
 
   /**
    * Create an OTC order
+   * amount and price are passed to create_order as-is, in raw units
+   * (integer number, integer string, bigint or BN)
    */
   async createOrder(mint, options) {
-    const { amount, price, isBuySide, idSeed = Date.now() } = options;
+    const { isBuySide, idSeed = Date.now() } = options;
     
-    if (!amount || !price) {
-      throw new Error('amount and price are required');
+    if (options.amount === undefined || options.price === undefined) {
+      throw createInvalidArgumentError('amount and price are required');
     }
+    const amount = toRawUnits(options.amount, { name: 'amount' });
+    const price = toRawUnits(options.price, { name: 'price' });
     
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
+    const mintPubkey = toPublicKey(mint, 'mint');
     
-    console.log(`📝 Creating OTC order...`);
-    console.log(`   Mint: ${mintPubkey.toString()}`);
-    console.log(`   Amount: ${amount}`);
-    console.log(`   Price: ${price}`);
-    console.log(`   Side: ${isBuySide ? 'BUY' : 'SELL'}`);
+    this.logger.info(`📝 Creating OTC order...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${amount}`);
+    this.logger.info(`   Price: ${price}`);
+    this.logger.info(`   Side: ${isBuySide ? 'BUY' : 'SELL'}`);
     
     const { instruction, order } = await buildCreateOrderInstruction({
       program: this.program,
@@ -617,8 +1041,8 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Order created!`);
-    console.log(`   Order PDA: ${order.toString()}`);
+    this.logger.info(`✅ Order created!`);
+    this.logger.info(`   Order PDA: ${order.toString()}`);
     
     return { signature, order };
   }
@@ -627,12 +1051,12 @@ export class BundlyAgent {
    * Fill an existing OTC order
    */
   async fillOrder(mint, maker, orderPda) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const makerPubkey = typeof maker === 'string' ? new PublicKey(maker) : maker;
-    const orderPdaPubkey = typeof orderPda === 'string' ? new PublicKey(orderPda) : orderPda;
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const makerPubkey = toPublicKey(maker, 'maker');
+    const orderPdaPubkey = toPublicKey(orderPda, 'orderPda');
     
-    console.log(`✅ Filling OTC order...`);
-    console.log(`   Order: ${orderPdaPubkey.toString()}`);
+    this.logger.info(`✅ Filling OTC order...`);
+    this.logger.info(`   Order: ${orderPdaPubkey.toString()}`);
     
     const { instruction } = await buildFillOrderInstruction({
       program: this.program,
@@ -645,7 +1069,7 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Order filled!`);
+    this.logger.info(`✅ Order filled!`);
     return signature;
   }
 
@@ -653,11 +1077,11 @@ export class BundlyAgent {
    * Cancel your OTC order
    */
   async cancelOrder(mint, orderPda) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const orderPdaPubkey = typeof orderPda === 'string' ? new PublicKey(orderPda) : orderPda;
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const orderPdaPubkey = toPublicKey(orderPda, 'orderPda');
     
-    console.log(`❌ Canceling OTC order...`);
-    console.log(`   Order: ${orderPdaPubkey.toString()}`);
+    this.logger.info(`❌ Canceling OTC order...`);
+    this.logger.info(`   Order: ${orderPdaPubkey.toString()}`);
     
     const { instruction } = await buildCancelOrderInstruction({
       program: this.program,
@@ -669,7 +1093,507 @@ export class BundlyAgent {
     const transaction = new Transaction().add(instruction);
     const signature = await this.sendAndConfirm(transaction);
     
-    console.log(`✅ Order canceled!`);
+    this.logger.info(`✅ Order canceled!`);
+    return signature;
+  }
+
+  /**
+   * List open OTC orders for a bundle as a bid/ask book
+   */
+  async listOrders(mint, options = {}) {
+    const { side, maker } = options;
+    
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const makerPubkey = maker && toPublicKey(maker, 'maker');
+    
+    const accounts = await this.connection.getProgramAccounts(this.program.programId, {
+      commitment: this.commitment,
+      filters: buildOrderFilters({ mint: mintPubkey, side, maker: makerPubkey })
+    });
+    
+    const orders = accounts.map(({ pubkey, account }) => {
+      const order = decodeOrderState(account.data);
+      return {
+        order: pubkey,
+        ...order,
+        side: order.isBuySide ? ORDER_SIDE.BUY : ORDER_SIDE.SELL
+      };
+    });
+    
+    return buildOrderBook(orders);
+  }
+
+  // ============================================================================
+  // ADMIN
+  // ============================================================================
+
+  /**
+   * Pause or resume trading on a bundle (bundle admin only)
+   */
+  async setTradingPaused(mint, paused) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    await this.assertBundleAdmin(mintPubkey, 'set_trading_paused');
+    
+    this.logger.info(`${paused ? '⏸️  Pausing' : '▶️  Resuming'} trading...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    
+    const { instruction } = await buildSetTradingPausedInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey,
+      paused
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ Trading ${paused ? 'paused' : 'resumed'}!`);
+    return signature;
+  }
+
+  /**
+   * Enable or disable CPI operations on a bundle (bundle admin only)
+   */
+  async setCpiEnabled(mint, enabled) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    await this.assertBundleAdmin(mintPubkey, 'set_cpi_enabled');
+    
+    this.logger.info(`🔌 ${enabled ? 'Enabling' : 'Disabling'} CPI...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    
+    const { instruction } = await buildSetCpiEnabledInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey,
+      enabled
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ CPI ${enabled ? 'enabled' : 'disabled'}!`);
+    return signature;
+  }
+
+  /**
+   * Transfer bundle admin rights to another wallet (bundle admin only)
+   * The agent loses admin access once this confirms.
+   */
+  async updateAdmin(mint, newAdmin) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const newAdminPubkey = toPublicKey(newAdmin, 'newAdmin');
+    await this.assertBundleAdmin(mintPubkey, 'update_admin');
+    
+    this.logger.info(`👑 Transferring bundle admin...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   New admin: ${newAdminPubkey.toString()}`);
+    
+    const { instruction } = await buildUpdateAdminInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey,
+      newAdmin: newAdminPubkey
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ Admin updated!`);
+    return signature;
+  }
+
+  /**
+   * Set the wallet allowed to withdraw bundle fees (bundle admin only)
+   */
+  async updateFeeCollector(mint, newFeeCollector) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const collectorPubkey = toPublicKey(newFeeCollector, 'newFeeCollector');
+    await this.assertBundleAdmin(mintPubkey, 'update_fee_collector');
+    
+    this.logger.info(`🏦 Updating fee collector...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   New fee collector: ${collectorPubkey.toString()}`);
+    
+    const { instruction } = await buildUpdateFeeCollectorInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey,
+      newFeeCollector: collectorPubkey
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ Fee collector updated!`);
+    return signature;
+  }
+
+  /**
+   * Throw Unauthorized before sending if the agent is not BundleState.admin
+   * Returns the bundle state.
+   */
+  async assertBundleAdmin(mint, instruction = null) {
+    const state = await this.getBundleState(mint);
+    if (!state.admin.equals(this.publicKey)) {
+      throw createProgramError('Unauthorized', {
+        message: `${this.publicKey.toString()} is not the bundle admin (${state.admin.toString()})`,
+        instruction
+      });
+    }
+    return state;
+  }
+
+  // ============================================================================
+  // FEE COLLECTOR
+  // ============================================================================
+
+  /**
+   * Read fees waiting in a bundle's treasury accounts (all amounts raw bigint)
+   * - solFees: fee_sol_v1 vault (pump.fun creator fees), `available` excludes rent
+   * - wsolFees: bundle WSOL account (pump AMM creator fees)
+   * - feeVault: real-mint tokens held in the fee vault
+   * plus fee collection timing (see getFeeCollectionStatus)
+   */
+  async getFeeBalances(mint) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const state = await this.getBundleState(mintPubkey);
+    const { bundlePda } = state;
+    
+    const [feeSolVault] = await deriveFeeSolVaultPda(bundlePda, this.programId);
+    const [feeVault] = await deriveFeeVaultPda(bundlePda, this.programId);
+    const wsolAccount = getBundleWsolAccount(bundlePda);
+    
+    const [solInfo, wsolInfo, feeVaultInfo] = await this.connection.getMultipleAccountsInfo(
+      [feeSolVault, wsolAccount, feeVault]
+    );
+    
+    const lamports = BigInt(solInfo?.lamports ?? 0);
+    const rent = solInfo
+      ? BigInt(await this.connection.getMinimumBalanceForRentExemption(solInfo.data.length))
+      : 0n;
+    const tokenAmount = (info) => (
+      info?.data.length === AccountLayout.span ? AccountLayout.decode(info.data).amount : 0n
+    );
+    
+    return {
+      admin: state.admin,
+      feeCollector: state.feeCollector,
+      solFees: {
+        address: feeSolVault,
+        lamports,
+        available: lamports > rent ? lamports - rent : 0n
+      },
+      wsolFees: {
+        address: wsolAccount,
+        amount: tokenAmount(wsolInfo)
+      },
+      feeVault: {
+        address: feeVault,
+        mint: getRealMint(state),
+        amount: tokenAmount(feeVaultInfo)
+      },
+      totalFeesCollected: state.totalFeesCollected,
+      ...getFeeCollectionStatus(state)
+    };
+  }
+
+  /**
+   * Withdraw SOL fees from the fee_sol_v1 vault (bundle admin / fee collector)
+   * options.solAmount (SOL, or lamports as bigint / BN) defaults to everything above rent
+   * options.skipIntervalCheck: leave the collection interval to the program (see assertCanWithdrawFees)
+   */
+  async withdrawSolFees(mint, options = {}) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const balances = await this.getFeeBalances(mintPubkey);
+    this.assertCanWithdrawFees(balances, 'withdraw_sol_fees', options);
+    
+    const lamports = options.solAmount !== undefined
+      ? toLamports(options.solAmount)
+      : balances.solFees.available;
+    if (lamports <= 0n) {
+      throw createProgramError('NoFeesAvailable', { instruction: 'withdraw_sol_fees' });
+    }
+    if (lamports > balances.solFees.available) {
+      throw createProgramError('InsufficientFunds', {
+        message: `Requested ${lamports} lamports, ${balances.solFees.available} available`,
+        instruction: 'withdraw_sol_fees'
+      });
+    }
+    
+    this.logger.info(`🏦 Withdrawing SOL fees...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${formatSol(lamports)} SOL`);
+    
+    const { instruction } = await buildWithdrawSolFeesInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey,
+      amountLamports: lamports
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ SOL fees withdrawn!`);
+    return signature;
+  }
+
+  /**
+   * Withdraw WSOL fees from the bundle WSOL account (bundle admin / fee collector)
+   * options.solAmount (SOL, or lamports as bigint / BN) defaults to the full balance; options.unwrap (default true)
+   * closes the agent's WSOL account afterwards so the fees arrive as native SOL
+   * (any WSOL already in that account is unwrapped too); options.skipIntervalCheck as for withdrawSolFees
+   */
+  async withdrawWsolFees(mint, options = {}) {
+    const { unwrap = true } = options;
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const balances = await this.getFeeBalances(mintPubkey);
+    this.assertCanWithdrawFees(balances, 'withdraw_wsol_fees', options);
+    
+    const lamports = options.solAmount !== undefined
+      ? toLamports(options.solAmount)
+      : balances.wsolFees.amount;
+    if (lamports <= 0n) {
+      throw createProgramError('NoFeesAvailable', { instruction: 'withdraw_wsol_fees' });
+    }
+    if (lamports > balances.wsolFees.amount) {
+      throw createProgramError('InsufficientFunds', {
+        message: `Requested ${lamports} lamports of WSOL, ${balances.wsolFees.amount} available`,
+        instruction: 'withdraw_wsol_fees'
+      });
+    }
+    
+    this.logger.info(`🏦 Withdrawing WSOL fees...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${formatSol(lamports)} SOL${unwrap ? ' (unwrapped)' : ''}`);
+    
+    const adminWsolAccount = getAssociatedTokenAddressSync(WSOL_MINT, this.publicKey);
+    const { instruction } = await buildWithdrawWsolFeesInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey,
+      amountLamports: lamports,
+      adminWsolAccount
+    });
+    
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        this.publicKey,
+        adminWsolAccount,
+        this.publicKey,
+        WSOL_MINT
+      ),
+      instruction
+    );
+    if (unwrap) {
+      // Closing a WSOL account returns its lamports as native SOL
+      transaction.add(createCloseAccountInstruction(adminWsolAccount, this.publicKey, this.publicKey));
+    }
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ WSOL fees withdrawn!`);
+    return signature;
+  }
+
+  /**
+   * Recover real-mint tokens from the fee vault (bundle admin only)
+   * options.amount (real-mint tokens, or raw bigint / BN) defaults to the full vault balance
+   */
+  async recoverFeeVault(mint, options = {}) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const balances = await this.getFeeBalances(mintPubkey);
+    
+    if (!balances.admin.equals(this.publicKey)) {
+      throw createProgramError('Unauthorized', {
+        message: `${this.publicKey.toString()} is not the bundle admin (${balances.admin.toString()})`,
+        instruction: 'recover_fee_vault'
+      });
+    }
+    if (!balances.feeVault.mint) {
+      throw createProgramError('NotFinalized', { instruction: 'recover_fee_vault' });
+    }
+    if (balances.dripInProgress) {
+      throw createProgramError('DripInProgress', { instruction: 'recover_fee_vault' });
+    }
+    
+    const amount = options.amount !== undefined
+      ? await this.toRawTokenAmount(balances.feeVault.mint, options.amount)
+      : balances.feeVault.amount;
+    if (amount <= 0n) {
+      throw createProgramError('NoFeesAvailable', { instruction: 'recover_fee_vault' });
+    }
+    if (amount > balances.feeVault.amount) {
+      throw createProgramError('InsufficientFunds', {
+        message: `Requested ${amount} raw tokens, ${balances.feeVault.amount} in the fee vault`,
+        instruction: 'recover_fee_vault'
+      });
+    }
+    
+    this.logger.info(`🏦 Recovering fee vault...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    this.logger.info(`   Amount: ${await this.formatTokenAmount(balances.feeVault.mint, amount)} tokens`);
+    
+    const { instruction } = await buildRecoverFeeVaultInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey,
+      realMint: balances.feeVault.mint,
+      amount
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ Fee vault recovered!`);
+    return signature;
+  }
+
+  /**
+   * Throw before sending if the agent may not withdraw fees yet:
+   * Unauthorized (not admin / fee collector) or FeeCollectionTooSoon.
+   * The interval is FEE_COLLECTION_INTERVAL, an estimate of the program's limit;
+   * options.skipIntervalCheck skips it and lets the program decide.
+   */
+  assertCanWithdrawFees(balances, instruction, options = {}) {
+    const { admin, feeCollector } = balances;
+    if (!admin.equals(this.publicKey) && !feeCollector.equals(this.publicKey)) {
+      throw createProgramError('Unauthorized', {
+        message: `${this.publicKey.toString()} is neither the bundle admin nor the fee collector`,
+        instruction
+      });
+    }
+    if (!options.skipIntervalCheck && !balances.canCollectNow) {
+      throw createProgramError('FeeCollectionTooSoon', {
+        message: `Next fee collection allowed at ${balances.nextFeeCollectionAt} (in ${balances.secondsUntilCollection}s)`,
+        instruction
+      });
+    }
+  }
+
+  // ============================================================================
+  // DEPLOYMENT BOOTSTRAP
+  // ============================================================================
+
+  /**
+   * Initialize missing one-time accounts on a fresh program deployment (idempotent)
+   * - global fee token account (GLOBAL_FEE_WALLET ATA) for every real mint
+   * - unstake vault for every finalized bundle in `mints`
+   * Also reports tracked vs actual bToken supply; options.syncSupply runs
+   * sync_supply for drifted bundles the agent administers.
+   * 
+   * Returns { initialized, existing, skipped, supply } with one entry per account
+   */
+  async bootstrap(options = {}) {
+    const { mints = [], realMints = [], syncSupply = false } = options;
+    const report = { initialized: [], existing: [], skipped: [], supply: [] };
+    
+    this.logger.info(`🧰 Bootstrapping Bundly accounts...`);
+    
+    const realMintKeys = new Map();
+    const addRealMint = (key) => realMintKeys.set(key.toBase58(), key);
+    realMints.forEach(key => addRealMint(toPublicKey(key, 'key')));
+    
+    for (const mint of mints) {
+      const mintPubkey = toPublicKey(mint, 'mint');
+      const state = await this.getBundleState(mintPubkey);
+      const realMint = getRealMint(state);
+      const [unstakeVault] = await deriveUnstakeVaultPda(mintPubkey, this.programId);
+      
+      if (!realMint) {
+        report.skipped.push({
+          account: 'unstake_vault',
+          address: unstakeVault,
+          mint: mintPubkey,
+          reason: 'Bundle is not finalized (no real mint yet)'
+        });
+      } else {
+        addRealMint(realMint);
+        const entry = { account: 'unstake_vault', address: unstakeVault, mint: mintPubkey, realMint };
+        if (await this.connection.getAccountInfo(unstakeVault)) {
+          report.existing.push(entry);
+        } else {
+          this.logger.info(`   Initializing unstake vault for ${mintPubkey.toString()}...`);
+          const { instruction } = await buildInitUnstakeVaultInstruction({
+            program: this.program,
+            mint: mintPubkey,
+            payer: this.publicKey,
+            realMint
+          });
+          entry.signature = await this.sendAndConfirm(new Transaction().add(instruction));
+          report.initialized.push(entry);
+        }
+      }
+      
+      const supply = await this.getSupplyStatus(mintPubkey, state);
+      if (!supply.inSync && syncSupply && state.admin.equals(this.publicKey)) {
+        supply.signature = await this.syncSupply(mintPubkey);
+      } else if (!supply.inSync) {
+        this.logger.warn(`⚠️  Supply drift on ${mintPubkey.toString()}: tracked ${supply.tracked}, mint ${supply.actual} (run syncSupply as bundle admin)`);
+      }
+      report.supply.push(supply);
+    }
+    
+    for (const realMint of realMintKeys.values()) {
+      const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(realMint, this.networkProfile.globalFeeWallet);
+      const entry = { account: 'global_fee_token_account', address: globalFeeTokenAccount, realMint };
+      if (await this.connection.getAccountInfo(globalFeeTokenAccount)) {
+        report.existing.push(entry);
+        continue;
+      }
+      
+      this.logger.info(`   Initializing global fee account for ${realMint.toString()}...`);
+      const { instruction } = await buildInitGlobalFeeAccountInstruction({
+        program: this.program,
+        network: this.networkProfile,
+        payer: this.publicKey,
+        realMint
+      });
+      entry.signature = await this.sendAndConfirm(new Transaction().add(instruction));
+      report.initialized.push(entry);
+    }
+    
+    this.logger.info(`✅ Bootstrap complete: ${report.initialized.length} initialized, ${report.existing.length} already present, ${report.skipped.length} skipped`);
+    return report;
+  }
+
+  /**
+   * Compare the bundle's tracked bToken supply with the mint's actual supply
+   * (a mismatch makes instructions fail with SupplyMismatch)
+   */
+  async getSupplyStatus(mint, state = null) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const bundleState = state || await this.getBundleState(mintPubkey);
+    const mintInfo = await getMint(this.connection, mintPubkey);
+    
+    return {
+      mint: mintPubkey,
+      tracked: bundleState.totalBtokenSupply,
+      actual: mintInfo.supply,
+      inSync: bundleState.totalBtokenSupply === mintInfo.supply
+    };
+  }
+
+  /**
+   * Reset the tracked bToken supply to the mint supply (bundle admin only)
+   * Recovery for SupplyMismatch errors
+   */
+  async syncSupply(mint) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    await this.assertBundleAdmin(mintPubkey, 'sync_supply');
+    
+    this.logger.info(`🔄 Syncing bToken supply...`);
+    this.logger.info(`   Mint: ${mintPubkey.toString()}`);
+    
+    const { instruction } = await buildSyncSupplyInstruction({
+      program: this.program,
+      mint: mintPubkey,
+      admin: this.publicKey
+    });
+    
+    const transaction = new Transaction().add(instruction);
+    const signature = await this.sendAndConfirm(transaction);
+    
+    this.logger.info(`✅ Supply synced!`);
     return signature;
   }
 
@@ -678,24 +1602,40 @@ export class BundlyAgent {
   // ============================================================================
 
   /**
-   * Fetch bundle state from on-chain data
+   * Fetch and decode bundle state from on-chain data
    */
   async getBundleState(mint) {
-    const mintPubkey = typeof mint === 'string' ? new PublicKey(mint) : mint;
-    const [bundlePda] = await deriveBundlePda(mintPubkey);
+    const mintPubkey = toPublicKey(mint, 'mint');
+    const [bundlePda] = await deriveBundlePda(mintPubkey, this.programId);
     
     const accountInfo = await this.connection.getAccountInfo(bundlePda);
     if (!accountInfo) {
-      throw new Error('Bundle not found on-chain');
+      throw createBundleNotFoundError(mintPubkey);
     }
     
-    // TODO: Parse account data using Anchor IDL
-    return {
-      mint: mintPubkey.toString(),
-      bundlePda: bundlePda.toString(),
-      exists: true,
-      data: accountInfo.data
-    };
+    return decodeBundleView(accountInfo.data, bundlePda);
+  }
+
+  /**
+   * Find bundles program-wide from chain (no Claw API needed)
+   * admin / finalized / paused are applied as getProgramAccounts filters;
+   * minFillPct, sortBy (see BUNDLE_SORT_FIELDS), order, offset and limit are
+   * applied to the decoded results (see selectBundles).
+   * Returns { bundles, total, offset, limit, nextOffset }; each bundle has the
+   * getBundleState shape.
+   */
+  async findBundles(options = {}) {
+    const { admin, finalized, paused, ...selection } = options;
+    const adminPubkey = admin && toPublicKey(admin, 'admin');
+    
+    const accounts = await this.connection.getProgramAccounts(this.programId, {
+      commitment: this.commitment,
+      filters: buildBundleFilters({ admin: adminPubkey, finalized, paused })
+    });
+    
+    const bundles = accounts.map(({ pubkey, account }) => decodeBundleView(account.data, pubkey));
+    
+    return selectBundles(bundles, selection);
   }
 
   /**
@@ -704,51 +1644,300 @@ export class BundlyAgent {
   async resolveRealMint(mintPubkey) {
     try {
       const state = await this.getBundleState(mintPubkey);
-      if (state?.data) {
-        // Layout: discriminator(8) + admin(32) + mint(32) + real_mint(32)
-        const data = state.data;
-        const offset = 8 + 32 + 32;
-        const realMintBytes = data.slice(offset, offset + 32);
-        const realMint = new PublicKey(realMintBytes);
-        // If real mint is default (all zeros), use fundraiser mint
-        if (!realMint.equals(PublicKey.default)) return realMint;
-      }
+      const realMint = getRealMint(state);
+      if (realMint) return realMint;
     } catch (e) {
       // Ignore and fall back
     }
     return mintPubkey;
   }
 
+  /**
+   * Watch a bundle for lifecycle events (contribution, exit, capReached,
+   * finalized, paused/unpaused, rewardsInjected, feesCollected, escrow).
+   * Returns a started BundleWatcher: an EventEmitter that is also an async
+   * iterator. options.websocket (default true) subscribes via onAccountChange;
+   * options.pollInterval (ms, default 10000, 0 disables) polls alongside it
+   * as a fallback for RPCs without websockets.
+   */
+  async watchBundle(mint, options = {}) {
+    const mintPubkey = toPublicKey(mint, 'mint');
+    
+    const watcher = new BundleWatcher({
+      connection: this.connection,
+      mint: mintPubkey,
+      programId: this.programId,
+      commitment: this.commitment,
+      ...options
+    });
+    await watcher.start();
+    
+    this.logger.info(`👀 Watching bundle ${mintPubkey.toString()}`);
+    return watcher;
+  }
+
+  // ============================================================================
+  // LOOKUP TABLES
+  // ============================================================================
+
+  /**
+   * Create an address lookup table owned by the agent and start using it.
+   * Defaults to the static pump.fun / Metaplex / SPL accounts referenced by
+   * finalize and fee collection; pass `addresses` to add your own.
+   */
+  async createLookupTable({ addresses = getStaticLookupAddresses(this.networkProfile) } = {}) {
+    const recentSlot = await this.connection.getSlot('finalized');
+    const [createIx, lookupTable] = AddressLookupTableProgram.createLookupTable({
+      authority: this.publicKey,
+      payer: this.publicKey,
+      recentSlot
+    });
+    
+    this.logger.info(`📇 Creating lookup table ${lookupTable.toString()}...`);
+    const signature = await this.sendAndConfirm(new Transaction().add(createIx));
+    const signatures = [signature, ...await this.extendLookupTable(lookupTable, addresses)];
+    
+    this.useLookupTable(lookupTable);
+    return { lookupTable, signatures };
+  }
+
+  /**
+   * Add addresses to a lookup table owned by the agent (only the missing ones)
+   */
+  async extendLookupTable(lookupTable, addresses) {
+    const tablePubkey = toPublicKey(lookupTable, 'lookupTable');
+    const { value: table } = await this.connection.getAddressLookupTable(tablePubkey);
+    const present = new Set((table?.state.addresses || []).map(key => key.toBase58()));
+    
+    const missing = [];
+    for (const address of addresses) {
+      const key = toPublicKey(address, 'address');
+      if (!present.has(key.toBase58())) {
+        present.add(key.toBase58());
+        missing.push(key);
+      }
+    }
+    
+    const signatures = [];
+    for (let i = 0; i < missing.length; i += LOOKUP_TABLE_EXTEND_CHUNK) {
+      const extendIx = AddressLookupTableProgram.extendLookupTable({
+        lookupTable: tablePubkey,
+        authority: this.publicKey,
+        payer: this.publicKey,
+        addresses: missing.slice(i, i + LOOKUP_TABLE_EXTEND_CHUNK)
+      });
+      signatures.push(await this.sendAndConfirm(new Transaction().add(extendIx)));
+    }
+    
+    if (missing.length) {
+      this.logger.info(`   Added ${missing.length} address(es) to ${tablePubkey.toString()}`);
+      // Extended addresses are only usable from the next slot on
+      await this.waitForNextSlot();
+      this._lookupTables = null;
+    }
+    return signatures;
+  }
+
+  /**
+   * Compile subsequent transactions as v0 messages using this lookup table
+   */
+  useLookupTable(lookupTable) {
+    const tablePubkey = toPublicKey(lookupTable, 'lookupTable');
+    if (!this.lookupTableAddresses.some(key => key.equals(tablePubkey))) {
+      this.lookupTableAddresses.push(tablePubkey);
+    }
+    this.transactionVersion = 0;
+    this._lookupTables = null;
+  }
+
+  /**
+   * Lookup table accounts used when compiling v0 messages (cached)
+   */
+  async getLookupTableAccounts() {
+    if (!this.lookupTableAddresses.length) return [];
+    if (!this._lookupTables) {
+      this._lookupTables = await fetchLookupTables(this.connection, this.lookupTableAddresses);
+    }
+    return this._lookupTables;
+  }
+
+  /**
+   * Wait (up to ~10s) for the cluster to move past the current slot
+   */
+  async waitForNextSlot() {
+    const start = await this.connection.getSlot(this.commitment);
+    for (let i = 0; i < 20; i++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      if (await this.connection.getSlot(this.commitment) > start) return;
+    }
+  }
+
   // ============================================================================
   // TRANSACTION HELPERS
   // ============================================================================
 
   /**
-   * Send transaction and wait for confirmation
+   * Set blockhash, fee payer and compute budget (priority fee + CU limit)
+   * 
+   * options.computeUnits: 'auto' (simulate + margin) | number | null (runtime default)
+   * options.priorityFee: see resolvePriorityFee(); defaults to the agent's config
    */
-  async sendAndConfirm(transaction) {
+  async prepareTransaction(transaction, options = {}) {
+    const {
+      computeUnits = this.computeUnits,
+      priorityFee = this.priorityFee,
+      dryRun = false
+    } = options;
+    
     const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
     transaction.recentBlockhash = blockhash;
     transaction.feePayer = this.publicKey;
     
-    transaction.sign(this.wallet);
+    let units = null;
+    if (computeUnits === 'auto') {
+      // A dry run reports its own unitsConsumed; just give it the full budget
+      units = dryRun
+        ? MAX_COMPUTE_UNITS
+        : await estimateComputeUnits(this.connection, transaction, {
+          margin: this.computeUnitMargin,
+          programId: this.program.programId,
+          commitment: this.commitment,
+          version: this.transactionVersion,
+          lookupTables: await this.getLookupTableAccounts()
+        });
+    } else if (computeUnits) {
+      units = computeUnits;
+    }
     
-    const signature = await this.connection.sendRawTransaction(
-      transaction.serialize()
-    );
+    const microLamports = await resolvePriorityFee(this.connection, transaction, priorityFee);
+    applyComputeBudget(transaction, { units, microLamports });
     
-    console.log(`📡 Transaction sent: ${signature}`);
-    console.log(`   Confirming...`);
+    if (units || microLamports) {
+      this.logger.debug(`   Compute budget: ${units || 'default'} CU @ ${microLamports} µlamports/CU`);
+    }
     
-    await this.connection.confirmTransaction({
-      signature,
-      blockhash,
-      lastValidBlockHeight
-    });
+    return { blockhash, lastValidBlockHeight };
+  }
+
+  /**
+   * Send transaction and wait for confirmation
+   * `signers` are extra local Keypairs that must co-sign (e.g. a new mint)
+   * `options` override compute budget settings (see prepareTransaction) and
+   * the target `commitment`
+   * Failures are rethrown as BundlyError (program errors decoded from the IDL)
+   */
+  async sendAndConfirm(transaction, signers = [], options = {}) {
+    // Inside agent.simulate.*: simulate instead of broadcasting
+    const dryRun = dryRunContext.getStore();
+    if (dryRun) {
+      try {
+        await this.prepareTransaction(transaction, { ...options, dryRun: true });
+      } catch (error) {
+        throw toBundlyError(error, { transaction, simulation: true, programId: this.program.programId });
+      }
+      const report = await this.simulateTransaction(transaction);
+      dryRun.reports.push(report);
+      return null;
+    }
+    
+    const commitment = options.commitment || this.confirmCommitment;
+    // prepareTransaction prepends compute budget instructions; rebuilds start
+    // from the caller's instructions so the fee and limit are resolved again
+    const instructions = [...transaction.instructions];
+    let signature = null;
+    try {
+      const result = await sendWithRebroadcast({
+        connection: this.connection,
+        commitment,
+        maxAttempts: this.sendAttempts,
+        rebroadcastInterval: this.confirmationRetryDelay,
+        maxRebroadcasts: this.confirmationRetries,
+        buildSigned: async (attempt) => {
+          if (attempt > 0) {
+            // Previous blockhash expired without landing: rebuild with a fresh one
+            this.logger.warn(`⚠️  Blockhash expired, rebuilding transaction (attempt ${attempt + 1}/${this.sendAttempts})`);
+            transaction.instructions = [...instructions];
+          }
+          const { lastValidBlockHeight } = await this.prepareTransaction(transaction, options);
+          
+          const unsigned = this.transactionVersion === 0
+            ? toVersionedTransaction(transaction, {
+              version: 0,
+              lookupTables: await this.getLookupTableAccounts()
+            })
+            : transaction;
+          
+          // Extra local signers (e.g. the pump.fun mint keypair) first, then the agent's signer
+          signWithKeypairs(unsigned, signers);
+          const signed = await this.signer.signTransaction(unsigned);
+          return { transaction: signed, lastValidBlockHeight };
+        },
+        onSent: (sent) => {
+          signature = sent;
+          this.logger.info(`📡 Transaction sent: ${sent}`);
+          this.logger.info(`   Confirming...`);
+          this.emit(BUNDLY_EVENTS.TX_SENT, { signature: sent });
+        }
+      });
+      
+      signature = result.signature;
+      if (result.err) {
+        const logs = await this.getTransactionLogs(signature);
+        throw toBundlyError(result.err, {
+          transaction,
+          logs,
+          signature,
+          programId: this.program.programId
+        });
+      }
+    } catch (error) {
+      const bundlyError = toBundlyError(error, { transaction, signature, programId: this.program.programId });
+      this.emit(BUNDLY_EVENTS.TX_FAILED, { signature, error: bundlyError });
+      throw bundlyError;
+    }
     
-    console.log(`✅ Transaction confirmed!`);
+    this.logger.info(`✅ Transaction confirmed!`);
+    this.emit(BUNDLY_EVENTS.TX_CONFIRMED, { signature });
     return signature;
   }
+
+  /**
+   * Simulate a transaction without broadcasting it
+   * Returns logs, compute units, decoded error and SOL/token balance deltas
+   */
+  async simulateTransaction(transaction) {
+    transaction.feePayer = transaction.feePayer || this.publicKey;
+    
+    try {
+      const report = await simulateTransaction(this.connection, transaction, {
+        programId: this.program.programId,
+        commitment: this.commitment,
+        version: this.transactionVersion,
+        lookupTables: await this.getLookupTableAccounts()
+      });
+      
+      this.logger.info(`🧪 Simulation ${report.success ? 'succeeded' : 'failed'} (${report.unitsConsumed} CU)`);
+      this.emit(BUNDLY_EVENTS.TX_SIMULATED, report);
+      return report;
+    } catch (error) {
+      throw toBundlyError(error, { transaction, simulation: true, programId: this.program.programId });
+    }
+  }
+
+  /**
+   * Fetch program logs for a landed transaction (best effort)
+   */
+  async getTransactionLogs(signature) {
+    try {
+      const tx = await this.connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      return tx?.meta?.logMessages || [];
+    } catch (e) {
+      return [];
+    }
+  }
 }
 
 export default BundlyAgent;
@@ -2,21 +2,25 @@
  * Bundly Agent SDK - Account Derivation
  * 
  * Helper functions for deriving Program Derived Addresses (PDAs)
- * used by the Bundly smart contract.
+ * used by the Bundly smart contract. Every derive* takes an optional
+ * trailing programId for alternate deployments (see network.js).
  */
 
 import { PublicKey } from '@solana/web3.js';
 import { getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID } from '@solana/spl-token';
 import {
   BUNDLY_PROGRAM_ID,
-  GLOBAL_FEE_WALLET
+  GLOBAL_FEE_WALLET,
+  WSOL_MINT
 } from './constants.js';
+import { createInvalidArgumentError } from './errors.js';
 
 // Seeds from the IDL
 const BUNDLE_SEED = 'bundle_v2';
 const ESCROW_SEED = 'escrow_v2';
 const TOKEN_VAULT_SEED = 'vault_v2';
 const FEE_VAULT_SEED = 'fee_vault_v1';
+const FEE_SOL_VAULT_SEED = 'fee_sol_v1';
 const STAKING_VAULT_SEED = 'staking_vault_v1';
 const UNSTAKE_VAULT_SEED = 'unstake_vault_v1';
 const UNSTAKE_REQUEST_SEED = 'unstake_request_v1';
@@ -25,127 +29,162 @@ const MINT_SEED = 'bundle_mint_v1';
 const ORDER_SEED = 'order_v1';
 const ORDER_VAULT_SEED = 'vault_v2';
 
+/**
+ * PublicKey from a base58 string or PublicKey; anything else is an
+ * INVALID_ARGUMENT BundlyError labelled with `name`
+ */
+export function toPublicKey(value, name = 'address') {
+  if (value instanceof PublicKey) return value;
+  if (typeof value === 'string') {
+    try {
+      return new PublicKey(value);
+    } catch (e) {
+      throw createInvalidArgumentError(`${name} is not a valid public key: "${value}"`);
+    }
+  }
+  // PublicKeys from another copy of @solana/web3.js
+  if (typeof value?.toBase58 === 'function') return value;
+  throw createInvalidArgumentError(`${name} must be a PublicKey or base58 string`);
+}
+
 /**
  * Derive bundle PDA for a given mint
  */
-export async function deriveBundlePda(mint) {
+export async function deriveBundlePda(mint, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(BUNDLE_SEED), mint.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive escrow PDA for a given mint
  */
-export async function deriveEscrowPda(mint) {
+export async function deriveEscrowPda(mint, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(ESCROW_SEED), mint.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive token vault PDA for a given mint
  */
-export async function deriveTokenVaultPda(mint) {
+export async function deriveTokenVaultPda(mint, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(TOKEN_VAULT_SEED), mint.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive fee vault PDA for a given bundle
  */
-export async function deriveFeeVaultPda(bundlePda) {
+export async function deriveFeeVaultPda(bundlePda, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(FEE_VAULT_SEED), bundlePda.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
+  );
+}
+
+/**
+ * Derive fee SOL vault PDA (pump.fun creator fees) for a given bundle
+ */
+export async function deriveFeeSolVaultPda(bundlePda, programId = BUNDLY_PROGRAM_ID) {
+  return PublicKey.findProgramAddress(
+    [Buffer.from(FEE_SOL_VAULT_SEED), bundlePda.toBuffer()],
+    programId
   );
 }
 
+/**
+ * Get the bundle's WSOL account (pump AMM creator fees)
+ */
+export function getBundleWsolAccount(bundlePda) {
+  return getAssociatedTokenAddressSync(WSOL_MINT, bundlePda, true);
+}
+
 /**
  * Derive staking vault PDA for a given bundle
  */
-export async function deriveStakingVaultPda(bundlePda) {
+export async function deriveStakingVaultPda(bundlePda, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(STAKING_VAULT_SEED), bundlePda.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive unstake vault PDA for a mint
  */
-export async function deriveUnstakeVaultPda(mint) {
+export async function deriveUnstakeVaultPda(mint, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(UNSTAKE_VAULT_SEED), mint.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive unstake request PDA for a user
  */
-export async function deriveUnstakeRequestPda(bundlePda, user) {
+export async function deriveUnstakeRequestPda(bundlePda, user, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(UNSTAKE_REQUEST_SEED), bundlePda.toBuffer(), user.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive user stake PDA
  */
-export async function deriveUserStakePda(bundlePda, user) {
+export async function deriveUserStakePda(bundlePda, user, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(USER_STAKE_SEED), bundlePda.toBuffer(), user.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive PDA-based mint address from creator and nonce
  */
-export async function deriveMintPda(creator, nonce) {
+export async function deriveMintPda(creator, nonce, programId = BUNDLY_PROGRAM_ID) {
   const nonceBuffer = Buffer.alloc(8);
   nonceBuffer.writeBigUInt64LE(BigInt(nonce));
   
   return PublicKey.findProgramAddress(
     [Buffer.from(MINT_SEED), creator.toBuffer(), nonceBuffer],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive order PDA for OTC trading
  */
-export async function deriveOrderPda(mint, maker, idSeed) {
+export async function deriveOrderPda(mint, maker, idSeed, programId = BUNDLY_PROGRAM_ID) {
   const idSeedBuffer = Buffer.alloc(8);
   idSeedBuffer.writeBigUInt64LE(BigInt(idSeed));
   
   return PublicKey.findProgramAddress(
     [Buffer.from(ORDER_SEED), mint.toBuffer(), maker.toBuffer(), idSeedBuffer],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive order vault PDA
  */
-export async function deriveOrderVaultPda(orderPda) {
+export async function deriveOrderVaultPda(orderPda, programId = BUNDLY_PROGRAM_ID) {
   return PublicKey.findProgramAddress(
     [Buffer.from(ORDER_VAULT_SEED), orderPda.toBuffer()],
-    BUNDLY_PROGRAM_ID
+    programId
   );
 }
 
 /**
  * Derive global fee token account
  */
-export async function deriveGlobalFeeTokenAccount(realMint) {
-  return [getAssociatedTokenAddressSync(realMint, GLOBAL_FEE_WALLET), 0];
+export async function deriveGlobalFeeTokenAccount(realMint, globalFeeWallet = GLOBAL_FEE_WALLET) {
+  return [getAssociatedTokenAddressSync(realMint, globalFeeWallet), 0];
 }
 
 /**
@@ -158,12 +197,12 @@ export function getAssociatedTokenAddress(mint, owner) {
 /**
  * Derive all PDAs needed for a bundle
  */
-export async function deriveAllBundlePdas(mint) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [escrowPda] = await deriveEscrowPda(mint);
-  const [tokenVaultPda] = await deriveTokenVaultPda(mint);
-  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda);
-  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda);
+export async function deriveAllBundlePdas(mint, programId = BUNDLY_PROGRAM_ID) {
+  const [bundlePda] = await deriveBundlePda(mint, programId);
+  const [escrowPda] = await deriveEscrowPda(mint, programId);
+  const [tokenVaultPda] = await deriveTokenVaultPda(mint, programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, programId);
+  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda, programId);
   
   return {
     bundlePda,
@@ -175,10 +214,13 @@ export async function deriveAllBundlePdas(mint) {
 }
 
 export default {
+  toPublicKey,
   deriveBundlePda,
   deriveEscrowPda,
   deriveTokenVaultPda,
   deriveFeeVaultPda,
+  deriveFeeSolVaultPda,
+  getBundleWsolAccount,
   deriveStakingVaultPda,
   deriveUnstakeVaultPda,
   deriveUnstakeRequestPda,
@@ -0,0 +1,133 @@
+/**
+ * Bundly Agent SDK - Amounts
+ *
+ * Exact conversion between user-facing amounts and raw base units.
+ * Amount arguments accept:
+ *   - bigint or BN: raw base units (lamports / token base units), used as-is
+ *   - string: decimal amount ("1.5", "0.000001"), converted without rounding;
+ *     more fractional digits than the mint has is an error
+ *   - number: decimal amount, floored to the mint's precision (legacy input;
+ *     prefer strings or raw units for full balances)
+ * Raw results are bigint; formatted results are exact decimal strings.
+ */
+
+import BN from 'bn.js';
+import { SOL_DECIMALS } from './constants.js';
+import { createInvalidArgumentError } from './errors.js';
+
+const DECIMAL_PATTERN = /^(-?)(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Whether `amount` is already in raw base units (bigint or BN)
+ */
+export function isRawAmount(amount) {
+  return typeof amount === 'bigint' || BN.isBN(amount);
+}
+
+/**
+ * Convert an amount to raw base units (bigint) for a mint with `decimals`
+ * options.name labels errors; options.allowZero accepts 0
+ */
+export function toRawAmount(amount, decimals, { name = 'amount', allowZero = false } = {}) {
+  let raw;
+  if (typeof amount === 'bigint') {
+    raw = amount;
+  } else if (BN.isBN(amount)) {
+    raw = BigInt(amount.toString());
+  } else if (typeof amount === 'string') {
+    raw = parseDecimal(amount.trim(), decimals, { name, exact: true });
+  } else if (typeof amount === 'number' && Number.isFinite(amount)) {
+    raw = parseDecimal(numberToDecimal(amount), decimals, { name, exact: false });
+  } else {
+    throw createInvalidArgumentError(`${name} must be a bigint, BN, decimal string or number`);
+  }
+  
+  if (raw < 0n || (raw === 0n && !allowZero)) {
+    throw createInvalidArgumentError(`${name} must be positive`);
+  }
+  return raw;
+}
+
+/**
+ * Convert a value that is always in raw base units (e.g. OTC order amount
+ * and price) to bigint. Unlike toRawAmount, numbers are never decimal
+ * amounts: a fractional or unsafe integer number is rejected, not floored.
+ */
+export function toRawUnits(amount, { name = 'amount', allowZero = false } = {}) {
+  if (typeof amount === 'number' && !Number.isSafeInteger(amount)) {
+    throw createInvalidArgumentError(`${name} must be an integer number of raw units (pass a bigint or integer string for large values)`);
+  }
+  return toRawAmount(amount, 0, { name, allowZero });
+}
+
+/**
+ * Convert a SOL amount to lamports (bigint); bigint / BN are lamports
+ */
+export function toLamports(amount, options = {}) {
+  return toRawAmount(amount, SOL_DECIMALS, { name: 'solAmount', ...options });
+}
+
+/**
+ * Format raw base units as an exact decimal string ("1.5", "0.000001", "42")
+ */
+export function formatAmount(raw, decimals) {
+  const value = BigInt(raw.toString());
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return fraction ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
+
+/**
+ * Format lamports as an exact SOL decimal string
+ */
+export function formatSol(lamports) {
+  return formatAmount(lamports, SOL_DECIMALS);
+}
+
+/**
+ * BN for an instruction arg from raw units (number, bigint, integer string or BN)
+ */
+export function toBN(raw) {
+  return BN.isBN(raw) ? raw : new BN(BigInt(raw).toString());
+}
+
+function parseDecimal(text, decimals, { name, exact }) {
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw createInvalidArgumentError(`${name} is not a decimal amount: "${text}"`);
+  }
+  
+  const [, sign, whole, fraction = ''] = match;
+  if (exact && fraction.length > decimals && /[1-9]/.test(fraction.slice(decimals))) {
+    throw createInvalidArgumentError(`${name} has more than ${decimals} decimal places: "${text}"`);
+  }
+  
+  const raw = BigInt((whole || '0') + fraction.slice(0, decimals).padEnd(decimals, '0'));
+  return sign ? -raw : raw;
+}
+
+// Shortest round-trip decimal for a number, without exponent notation
+function numberToDecimal(value) {
+  const text = String(value);
+  const match = /^(-?)(\d+)(?:\.(\d+))?e([+-]\d+)$/.exec(text);
+  if (!match) return text;
+  
+  const [, sign, whole, fraction = '', exponent] = match;
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+export default {
+  isRawAmount,
+  toRawAmount,
+  toRawUnits,
+  toLamports,
+  formatAmount,
+  formatSol,
+  toBN
+};
@@ -0,0 +1,384 @@
+/**
+ * Bundly Agent SDK - Command Line Interface
+ *
+ * `bundly <command> [subcommand] [args] [options]`, a thin layer over
+ * BundlyAgent so bundles can be operated without editing example scripts.
+ * Amounts are passed to the agent as strings (exact decimal conversion, see
+ * amounts.js). --dry-run routes actions through agent.simulate; --json prints
+ * one JSON document on stdout (bigint as strings, pubkeys as base58). Agent
+ * logs go to stderr, so stdout only ever carries the result.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import bs58 from 'bs58';
+import BN from 'bn.js';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { BundlyAgent } from './BundlyAgent.js';
+import { NETWORK_PROFILES } from './network.js';
+import { decodeOrderState } from './state.js';
+import { toPublicKey } from './accounts.js';
+
+export const DEFAULT_KEYPAIR_PATH = path.join(os.homedir(), '.config', 'solana', 'id.json');
+
+const CLI_OPTIONS = {
+  keypair: { type: 'string', short: 'k' },
+  network: { type: 'string', short: 'n' },
+  rpc: { type: 'string' },
+  'program-id': { type: 'string' },
+  json: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  // command options
+  name: { type: 'string' },
+  symbol: { type: 'string' },
+  decimals: { type: 'string' },
+  cap: { type: 'string' },
+  supply: { type: 'string' },
+  cooldown: { type: 'string' },
+  nonce: { type: 'string' },
+  sol: { type: 'string' },
+  amount: { type: 'string' },
+  price: { type: 'string' },
+  side: { type: 'string' },
+  maker: { type: 'string' },
+  source: { type: 'string' },
+  'slippage-bps': { type: 'string' },
+  'min-tokens-out': { type: 'string' },
+  description: { type: 'string' },
+  image: { type: 'string' },
+  uri: { type: 'string' }
+};
+
+const USAGE = `Usage: bundly <command> [args] [options]
+
+Commands:
+  create --cap <sol> --supply <tokens> [--name --symbol --decimals --cooldown <s> --nonce]
+  buy <mint> --sol <amount> [--slippage-bps <bps> | --min-tokens-out <raw>]
+  exit <mint> [--amount <tokens>]                  presale exit (default: full balance)
+  stake <mint> --amount <tokens> [--min-tokens-out <raw>]
+  unstake prepare <mint>
+  unstake execute <mint> --amount <tokens>
+  unstake withdraw <mint>
+  claim <mint>
+  finalize <mint> --name <n> --symbol <s> (--uri <metadata> | --image <file> --description <d>)
+                  [--slippage-bps <bps> | --min-tokens-out <raw>]
+  orders list <mint> [--side buy|sell] [--maker <pubkey>]
+  orders create <mint> --side buy|sell --amount <raw> --price <lamports>
+  orders fill <mint> <order> [--maker <pubkey>]
+  orders cancel <mint> <order>
+  fees collect <mint> [--source pump|amm|all]      (default: all)
+  state <mint>
+  portfolio [owner]
+
+Options:
+  -k, --keypair <path|base58>   signer: keypair JSON file or base58 secret key
+                                (default: $BUNDLY_KEYPAIR, then ${DEFAULT_KEYPAIR_PATH})
+  -n, --network <name>          ${Object.keys(NETWORK_PROFILES).join(' | ')} (default: devnet)
+      --rpc <url>               RPC endpoint (required with --network custom)
+      --program-id <pubkey>     alternate Bundly deployment
+      --json                    machine-readable output on stdout, no logs
+      --dry-run                 simulate instead of sending
+  -h, --help                    show this help
+
+Token amounts are decimals in the mint's units ("1.5"); SOL amounts are in SOL.
+Exception: orders create --amount and --price are integers in raw units, as
+create_order takes them.`;
+
+/**
+ * Parse argv (without node / script) into { command, positionals, options }
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: CLI_OPTIONS,
+    allowPositionals: true,
+    strict: true
+  });
+  const [command = null, ...rest] = positionals;
+  return { command, positionals: rest, options: values };
+}
+
+/**
+ * Load a Keypair from a Solana CLI keypair file (JSON byte array), a file
+ * holding a base58 secret key, or a base58 secret key string
+ */
+export function loadKeypair(input) {
+  const text = fs.existsSync(input) ? fs.readFileSync(input, 'utf8').trim() : input.trim();
+
+  if (text.startsWith('[')) {
+    return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(text)));
+  }
+
+  let secretKey;
+  try {
+    secretKey = bs58.decode(text);
+  } catch (e) {
+    throw new Error('Keypair must be a keypair file path, a JSON byte array or a base58 secret key');
+  }
+  if (secretKey.length !== 64) {
+    throw new Error(`Base58 secret key must decode to 64 bytes, got ${secretKey.length}`);
+  }
+  return Keypair.fromSecretKey(secretKey);
+}
+
+/**
+ * JSON.stringify for CLI output: bigint / BN as decimal strings, pubkeys as
+ * base58, errors as { name, message, ... }
+ */
+export function toJson(value, space) {
+  return JSON.stringify(value, function replacer(key, current) {
+    const original = this[key];
+    if (typeof original === 'bigint') return original.toString();
+    if (BN.isBN(original)) return original.toString();
+    if (original instanceof PublicKey) return original.toBase58();
+    if (original instanceof Error) {
+      const { logs, ...fields } = original;
+      return { name: original.name, message: original.message, ...fields };
+    }
+    return current;
+  }, space);
+}
+
+function required(value, flag) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${flag} is required`);
+  }
+  return value;
+}
+
+function optionalInteger(value, flag) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new Error(`${flag} must be a non-negative integer`);
+  return Number(value);
+}
+
+function optionalRaw(value, flag) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new Error(`${flag} must be an integer amount in raw units`);
+  return BigInt(value);
+}
+
+function parseSide(side) {
+  if (side !== 'buy' && side !== 'sell') throw new Error('--side must be buy or sell');
+  return side;
+}
+
+// Read-only commands work without a keypair (portfolio then needs an
+// explicit [owner]); the agent gets a signer that refuses to sign
+const READ_ONLY = new Set(['state', 'portfolio', 'orders list']);
+
+const READ_ONLY_SIGNER = {
+  publicKey: PublicKey.default,
+  async signTransaction() {
+    throw new Error(`No keypair: pass --keypair, set BUNDLY_KEYPAIR or create ${DEFAULT_KEYPAIR_PATH}`);
+  }
+};
+
+// fees collect sources, in collection order
+const FEE_SOURCES = { pump: 'collectPumpFees', amm: 'collectPumpAmmFees' };
+
+// command -> ({ agent, args, options, call, wallet }) => result
+// `call` runs a BundlyAgent action, or its agent.simulate twin under --dry-run
+const COMMANDS = {
+  create: ({ options, call }) => call('createBundle', {
+    name: options.name,
+    symbol: options.symbol,
+    capSol: required(options.cap, '--cap'),
+    totalSupply: required(options.supply, '--supply'),
+    decimals: optionalInteger(options.decimals, '--decimals'),
+    unstakeCooldown: optionalInteger(options.cooldown, '--cooldown'),
+    nonce: optionalInteger(options.nonce, '--nonce')
+  }),
+
+  buy: ({ args, options, call }) => call('buy', required(args[0], '<mint>'), {
+    solAmount: required(options.sol, '--sol'),
+    slippageBps: optionalInteger(options['slippage-bps'], '--slippage-bps'),
+    minTokensOut: optionalRaw(options['min-tokens-out'], '--min-tokens-out')
+  }),
+
+  exit: ({ args, options, call }) => call('presaleExit', required(args[0], '<mint>'), {
+    amount: options.amount
+  }),
+
+  stake: ({ args, options, call }) => call('stake', required(args[0], '<mint>'), {
+    amount: required(options.amount, '--amount'),
+    minTokensOut: optionalRaw(options['min-tokens-out'], '--min-tokens-out')
+  }),
+
+  'unstake prepare': ({ args, call }) => call('prepareUnstake', required(args[0], '<mint>')),
+
+  'unstake execute': ({ args, options, call }) => call('executeUnstake', required(args[0], '<mint>'), {
+    amount: required(options.amount, '--amount')
+  }),
+
+  'unstake withdraw': ({ args, call }) => call('withdrawUnstaked', required(args[0], '<mint>')),
+
+  claim: ({ args, call }) => call('claimRewards', required(args[0], '<mint>')),
+
+  finalize: ({ args, options, call }) => call('finalize', required(args[0], '<mint>'), {
+    name: required(options.name, '--name'),
+    symbol: required(options.symbol, '--symbol'),
+    description: options.description,
+    imagePath: options.image,
+    metadataUri: options.uri,
+    slippageBps: optionalInteger(options['slippage-bps'], '--slippage-bps'),
+    minTokensOut: optionalRaw(options['min-tokens-out'], '--min-tokens-out')
+  }),
+
+  'orders list': ({ agent, args, options }) => agent.listOrders(required(args[0], '<mint>'), {
+    side: options.side && parseSide(options.side),
+    maker: options.maker
+  }),
+
+  'orders create': ({ args, options, call }) => call('createOrder', required(args[0], '<mint>'), {
+    amount: optionalRaw(required(options.amount, '--amount'), '--amount'),
+    price: optionalRaw(required(options.price, '--price'), '--price'),
+    isBuySide: parseSide(required(options.side, '--side')) === 'buy'
+  }),
+
+  'orders fill': async ({ agent, args, options, call }) => {
+    const mint = required(args[0], '<mint>');
+    const order = toPublicKey(required(args[1], '<order>'), '<order>');
+    let maker = options.maker;
+    if (!maker) {
+      const info = await agent.connection.getAccountInfo(order);
+      if (!info) throw new Error(`Order ${order.toBase58()} not found`);
+      maker = decodeOrderState(info.data).maker;
+    }
+    return call('fillOrder', mint, maker, order);
+  },
+
+  'orders cancel': ({ args, call }) => call('cancelOrder', required(args[0], '<mint>'), required(args[1], '<order>')),
+
+  'fees collect': async ({ args, options, call }) => {
+    const mint = required(args[0], '<mint>');
+    const source = options.source || 'all';
+    if (!['pump', 'amm', 'all'].includes(source)) {
+      throw new Error('--source must be pump, amm or all');
+    }
+
+    if (source !== 'all') return { [source]: await call(FEE_SOURCES[source], mint) };
+
+    // A failing source does not skip the other: each reports its result or { error }
+    const result = {};
+    for (const [name, action] of Object.entries(FEE_SOURCES)) {
+      try {
+        result[name] = await call(action, mint);
+      } catch (error) {
+        result[name] = { error };
+      }
+    }
+    return result;
+  },
+
+  state: ({ agent, args }) => agent.getBundleState(required(args[0], '<mint>')),
+
+  portfolio: ({ agent, args, wallet }) => {
+    if (!args[0] && !wallet) {
+      throw new Error('[owner] is required without a keypair (pass an owner, --keypair or set BUNDLY_KEYPAIR)');
+    }
+    return agent.getPortfolio(args[0] || null);
+  }
+};
+
+// Commands with subcommands ("unstake prepare", "orders list", "fees collect")
+function resolveCommand(command, positionals) {
+  if (COMMANDS[command]) return { name: command, args: positionals };
+  const name = `${command} ${positionals[0]}`;
+  if (COMMANDS[name]) return { name, args: positionals.slice(1) };
+  return null;
+}
+
+// The signer keypair, or null for a read-only command run without one
+function resolveWallet(options, env, readOnly) {
+  const input = options.keypair || env.BUNDLY_KEYPAIR;
+  if (input) return loadKeypair(input);
+  if (fs.existsSync(DEFAULT_KEYPAIR_PATH)) return loadKeypair(DEFAULT_KEYPAIR_PATH);
+  if (readOnly) return null;
+  throw new Error(`No keypair: pass --keypair, set BUNDLY_KEYPAIR or create ${DEFAULT_KEYPAIR_PATH}`);
+}
+
+// A result fails when it, or a part of a collect-all result, is a failed
+// simulation or an error
+function isFailedResult(result) {
+  if (!result || typeof result !== 'object') return false;
+  const isFailed = value => value && typeof value === 'object' && (value.success === false || value.error instanceof Error);
+  return isFailed(result) || Object.values(result).some(isFailed);
+}
+
+/**
+ * Run the CLI. Resolves to the process exit code.
+ * io: { stdout, stderr, env, createAgent } (defaults: process streams / env,
+ * new BundlyAgent(config))
+ */
+export async function runCli(argv, io = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+    createAgent = config => new BundlyAgent(config)
+  } = io;
+
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { command, positionals, options } = parsed;
+  if (options.help || !command) {
+    (command || options.help ? stdout : stderr).write(`${USAGE}\n`);
+    return options.help ? 0 : 2;
+  }
+
+  const resolved = resolveCommand(command, positionals);
+  if (!resolved) {
+    stderr.write(`Unknown command: ${[command, ...positionals.slice(0, 1)].join(' ')}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    const wallet = resolveWallet(options, env, READ_ONLY.has(resolved.name));
+    const agent = createAgent({
+      ...(wallet ? { wallet } : { signer: READ_ONLY_SIGNER }),
+      network: options.network,
+      rpcUrl: options.rpc,
+      programId: options['program-id'],
+      logger: options.json ? 'silent' : ({ msg }) => stderr.write(`${msg}\n`)
+    });
+    const dryRun = Boolean(options['dry-run']);
+    const call = (action, ...args) => (dryRun ? agent.simulate[action](...args) : agent[action](...args));
+
+    const result = await COMMANDS[resolved.name]({ agent, args: resolved.args, options, call, wallet });
+
+    if (options.json) {
+      stdout.write(`${toJson(result ?? null)}\n`);
+    } else if (typeof result === 'string') {
+      stdout.write(`Signature: ${result}\n`);
+    } else if (result !== undefined) {
+      stdout.write(`${toJson(result, 2)}\n`);
+    }
+    return isFailedResult(result) ? 1 : 0;
+  } catch (error) {
+    if (options.json) {
+      stdout.write(`${toJson({ error })}\n`);
+    } else {
+      stderr.write(`❌ ${error.message}\n`);
+      if (error.hint) stderr.write(`   ${error.hint}\n`);
+    }
+    return 1;
+  }
+}
+
+export default {
+  DEFAULT_KEYPAIR_PATH,
+  parseCliArgs,
+  loadKeypair,
+  toJson,
+  runCli
+};
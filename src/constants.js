@@ -27,17 +27,36 @@ export const UNSTAKE_VAULT_SEED = 'unstake_vault_v1';
 export const UNSTAKE_REQUEST_SEED = 'unstake_request_v1';
 
 // Token constants
-export const TOKEN_DECIMALS = 6;
+export const TOKEN_DECIMALS = 6; // default for createBundle; actions read the mint's decimals
+export const SOL_DECIMALS = 9;
 export const LAMPORTS_PER_SOL = 1_000_000_000;
 
 // Protocol constants
 export const PROTOCOL_TAX_BPS = 100; // 1%
 export const MIN_SWAP_AMOUNT = 100_000; // 0.0001 SOL
 export const MIN_STAKE_AMOUNT = 1_000_000; // 1 token
+// Estimated seconds between fee collections, taken from the program's FeeCollectionTooSoon
+// message ("5min minimum"); the program enforces the real value
+export const FEE_COLLECTION_INTERVAL = 300;
 
 // Pump.fun integration
 export const PUMPFUN_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
 
+// Pump.fun static accounts (referenced by finalize_pumpfun / collect_pump_fees)
+export const PUMPFUN_GLOBAL = new PublicKey('4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf');
+export const PUMPFUN_MINT_AUTHORITY = new PublicKey('TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM');
+export const PUMPFUN_FEE_RECIPIENT = new PublicKey('62qc2CNXwrYqQScmEdiZFFAnJR262PxWEuNQtxfafNgV');
+export const PUMPFUN_GLOBAL_VOLUME = new PublicKey('Hq2wp8uJ9jCPsYgNHex8RtqdvMPfVGoYwjvF1ATiwn2Y');
+export const PUMPFUN_FEE_PROGRAM = new PublicKey('pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ');
+export const PUMPFUN_EVENT_AUTHORITY = new PublicKey('Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1');
+
+// Pump AMM (post-graduation creator fees)
+export const PUMP_AMM_PROGRAM_ID = new PublicKey('pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA');
+export const PUMP_AMM_EVENT_AUTHORITY = new PublicKey('GS4CU59F31iL7aR2Q8zVS8DRrcRnXX1yjQ66TqNVQnaR');
+
+// Wrapped SOL mint
+export const WSOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
+
 // Metadata Program (Metaplex)
 export const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
 
@@ -58,6 +77,7 @@ export const RENT_PROGRAM_ID = new PublicKey('SysvarRent111111111111111111111111
 
 // RPC Endpoints
 export const RPC_ENDPOINTS = {
+  localnet: 'http://127.0.0.1:8899',
   devnet: 'https://api.devnet.solana.com',
   mainnet: 'https://api.mainnet-beta.solana.com'
 };
@@ -66,6 +86,9 @@ export const RPC_ENDPOINTS = {
 export const DEFAULT_CONFIG = {
   network: 'devnet',
   commitment: 'confirmed',
-  confirmationRetries: 30,
-  confirmationRetryDelay: 2000 // ms
+  confirmationRetries: 30, // rebroadcasts per blockhash
+  confirmationRetryDelay: 2000, // ms between rebroadcasts / status polls
+  sendAttempts: 3, // fresh blockhashes tried before giving up
+  slippageBps: 100, // buy() minTokensOut = quote - 1% unless minTokensOut is passed
+  finalizeSlippageBps: 1000 // finalize() pump.fun buy tolerance (10%)
 };
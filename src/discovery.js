@@ -0,0 +1,117 @@
+/**
+ * Bundly Agent SDK - Bundle Discovery
+ *
+ * Program-wide bundle search straight from chain: BundleState accounts are
+ * fetched with getProgramAccounts (discriminator, plus memcmp on
+ * admin / is_finalized / trading_paused), decoded, then filtered on derived
+ * metrics, sorted and paginated client-side.
+ */
+
+import bs58 from 'bs58';
+import { getAccountFieldOffset, getAccountDiscriminatorFilter } from './state.js';
+import { createInvalidArgumentError } from './errors.js';
+
+// Sortable BundleState fields (decoded names, metrics included)
+export const BUNDLE_SORT_FIELDS = [
+  'fillPct',
+  'collectedLamports',
+  'capLamports',
+  'remainingLamports',
+  'totalBtokenSupply',
+  'totalFeesCollected',
+  'finalizedAt'
+];
+
+export const DEFAULT_BUNDLE_PAGE_SIZE = 50;
+
+/**
+ * Build getProgramAccounts filters for BundleState accounts
+ * admin: PublicKey; finalized / paused: boolean (undefined = either)
+ */
+export function buildBundleFilters({ admin, finalized, paused } = {}) {
+  const filters = [getAccountDiscriminatorFilter('BundleState')];
+  
+  if (admin) {
+    filters.push({
+      memcmp: { offset: getAccountFieldOffset('BundleState', 'admin'), bytes: admin.toBase58() }
+    });
+  }
+  
+  if (finalized !== undefined && finalized !== null) {
+    filters.push(boolFilter('isFinalized', finalized));
+  }
+  
+  if (paused !== undefined && paused !== null) {
+    filters.push(boolFilter('tradingPaused', paused));
+  }
+  
+  return filters;
+}
+
+function boolFilter(field, value) {
+  return {
+    memcmp: {
+      offset: getAccountFieldOffset('BundleState', field),
+      bytes: bs58.encode(Buffer.from([value ? 1 : 0]))
+    }
+  };
+}
+
+/**
+ * Filter, sort and paginate decoded bundles (the shape returned by getBundleState)
+ *
+ * minFillPct: keep bundles at least this full (0-100)
+ * sortBy: one of BUNDLE_SORT_FIELDS (default fillPct); order: 'desc' (default) | 'asc'
+ * offset / limit: page window (default 0 / DEFAULT_BUNDLE_PAGE_SIZE)
+ * Returns { bundles, total, offset, limit, nextOffset } (nextOffset null on the last page).
+ * Ties are broken by mint so pages are stable between calls.
+ */
+export function selectBundles(bundles, {
+  minFillPct,
+  sortBy = 'fillPct',
+  order = 'desc',
+  offset = 0,
+  limit = DEFAULT_BUNDLE_PAGE_SIZE
+} = {}) {
+  if (!BUNDLE_SORT_FIELDS.includes(sortBy)) {
+    throw createInvalidArgumentError(`sortBy must be one of ${BUNDLE_SORT_FIELDS.join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw createInvalidArgumentError("order must be 'asc' or 'desc'");
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw createInvalidArgumentError('offset must be a non-negative integer');
+  }
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw createInvalidArgumentError('limit must be a positive integer');
+  }
+  
+  const direction = order === 'asc' ? 1 : -1;
+  const matching = bundles
+    .filter(bundle => minFillPct === undefined || minFillPct === null || bundle.fillPct >= minFillPct)
+    .sort((a, b) => (
+      direction * compareValues(a[sortBy], b[sortBy])
+      || a.mint.toBase58().localeCompare(b.mint.toBase58())
+    ));
+  
+  const page = matching.slice(offset, offset + limit);
+  return {
+    bundles: page,
+    total: matching.length,
+    offset,
+    limit,
+    nextOffset: offset + limit < matching.length ? offset + limit : null
+  };
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+export default {
+  BUNDLE_SORT_FIELDS,
+  DEFAULT_BUNDLE_PAGE_SIZE,
+  buildBundleFilters,
+  selectBundles
+};
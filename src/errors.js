@@ -0,0 +1,319 @@
+/**
+ * Bundly Agent SDK - Errors
+ *
+ * Maps failures from the Bundly program (custom errors 6000-6040) and from
+ * the RPC/transaction layer into a single BundlyError type so agents can
+ * branch on `error.errorName` / `error.code` instead of matching log strings.
+ */
+
+import { idl } from './idl.js';
+
+// Recovery hints and retry semantics per IDL error name.
+// retryable = the same action can succeed later without changing inputs
+// (cooldowns, pauses) or after refreshing a quote (slippage).
+const ERROR_HINTS = {
+  InvalidAmount: { retryable: false, hint: 'Pass a positive amount in raw token units / lamports.' },
+  InvalidFee: { retryable: false, hint: 'The computed fee exceeds the program limit; lower the amount.' },
+  Overflow: { retryable: false, hint: 'The amount is too large for the program math; use a smaller amount.' },
+  CapExceeded: { retryable: false, hint: 'The buy would push collected_lamports over cap_lamports; buy at most remainingLamports.' },
+  SupplyExceeded: { retryable: false, hint: 'Not enough bTokens left in the bundle supply for this buy; reduce the amount.' },
+  Underflow: { retryable: false, hint: 'The amount exceeds what is available; re-read balances and reduce it.' },
+  MissingBump: { retryable: false, hint: 'A PDA bump is missing on-chain; the bundle account may be corrupt.' },
+  InsufficientEscrow: { retryable: false, hint: 'The bundle escrow cannot cover this payout; reduce the amount.' },
+  InvalidAccount: { retryable: false, hint: 'An account passed to the instruction is wrong; check mint/real mint and re-derive PDAs.' },
+  InvalidPda: { retryable: false, hint: 'A PDA does not match its seeds; check the program ID and mint used for derivation.' },
+  InsufficientTokens: { retryable: false, hint: 'Not enough token liquidity for this action; reduce the amount.' },
+  InsufficientStake: { retryable: false, hint: 'The staked balance is lower than requested; read getStakePosition() first.' },
+  TradingPaused: { retryable: true, hint: 'Trading is paused by the bundle admin; retry after it is unpaused.' },
+  TradingActive: { retryable: false, hint: 'The bundle is finalized and trading is live; presale-only actions such as presaleExit() are no longer available.' },
+  Unauthorized: { retryable: false, hint: 'The signer is not the bundle admin / fee collector for this action.' },
+  NoFeesAvailable: { retryable: true, hint: 'There are no fees to collect yet; retry after more trading volume.' },
+  CapNotReached: { retryable: true, hint: 'The fundraise has not reached its cap yet; retry once collected_lamports >= cap_lamports.' },
+  NotFinalized: { retryable: true, hint: 'The bundle is not finalized yet; retry after finalize().' },
+  AlreadyFinalized: { retryable: false, hint: 'The bundle is already finalized; presale actions are no longer available.' },
+  DecimalsMismatch: { retryable: false, hint: 'The real mint must use the same decimals as the bToken.' },
+  SlippageExceeded: { retryable: true, hint: 'The price moved past minTokensOut; refresh the quote or widen slippage and retry.' },
+  StakeCooldownActive: { retryable: true, hint: 'A stake was made too recently; wait for the stake cooldown and retry.' },
+  UnstakeNotReady: { retryable: true, hint: 'The unstake cooldown has not elapsed; check getStakePosition().unstake.cooldownEndsAt.' },
+  FeeCollectionTooSoon: { retryable: true, hint: 'Fees were collected recently; wait for the minimum interval and retry.' },
+  InsufficientVault: { retryable: false, hint: 'The vault balance is lower than requested; reduce the amount.' },
+  InsufficientFunds: { retryable: false, hint: 'The fee vault does not hold enough funds; reduce the amount.' },
+  NoUnstakeRequest: { retryable: false, hint: 'Call prepareUnstake() before executeUnstake()/withdrawUnstaked().' },
+  PendingUnstake: { retryable: false, hint: 'Withdraw the existing unstake request in full before starting a new one.' },
+  InvalidMint: { retryable: false, hint: 'The mint does not belong to this bundle; pass the fundraiser mint.' },
+  InvalidCooldown: { retryable: false, hint: 'unstakeCooldown must be between 10 seconds and 30 days.' },
+  AmountTooSmall: { retryable: false, hint: 'The amount is below the program minimum (see MIN_SWAP_AMOUNT / MIN_STAKE_AMOUNT).' },
+  OrderVaultNotEmpty: { retryable: false, hint: 'The order vault still holds tokens; it must be emptied before closing.' },
+  AccountNotInitialized: { retryable: false, hint: 'Run the matching prepare instruction first to initialize the account.' },
+  DripInProgress: { retryable: true, hint: 'A reward drip is still running; retry after drip_end_ts.' },
+  InvalidTokenAccount: { retryable: false, hint: 'A token account has the wrong owner or mint; use the associated token account.' },
+  CpiDisabled: { retryable: true, hint: 'CPI is disabled on this bundle; retry after the admin re-enables it.' },
+  SupplyMismatch: { retryable: false, hint: 'Tracked supply drifted from the mint supply; the bundle admin must run syncSupply().' },
+  InvalidMintOwner: { retryable: false, hint: 'The mint is not owned by the SPL Token program after CPI.' },
+  InvalidMintState: { retryable: false, hint: 'The mint is not initialized after CPI.' },
+  InvalidTokenAccountMint: { retryable: false, hint: 'A token account holds a different mint than expected.' },
+  InvalidTokenAccountAuthority: { retryable: false, hint: 'A token account is owned by a different authority than expected.' }
+};
+
+// Program error table keyed by numeric code, built from the IDL
+export const BUNDLY_ERRORS = Object.fromEntries(
+  idl.errors.map(({ code, name, msg }) => [
+    code,
+    {
+      code,
+      name,
+      msg,
+      retryable: ERROR_HINTS[name]?.retryable ?? false,
+      hint: ERROR_HINTS[name]?.hint ?? null
+    }
+  ])
+);
+
+// Codes of failures raised by the SDK itself, before anything is sent
+export const SDK_ERROR_CODES = {
+  BUNDLE_NOT_FOUND: 'BUNDLE_NOT_FOUND',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  PUMPFUN_NOT_FOUND: 'PUMPFUN_NOT_FOUND'
+};
+
+// Transport-level failures that are safe to retry with a fresh blockhash
+const RETRYABLE_MESSAGE_PATTERNS = [
+  /blockhash not found/i,
+  /block height exceeded/i,
+  /has expired/i,
+  /timed? ?out/i,
+  /429/,
+  /too many requests/i,
+  /ECONNRESET|ETIMEDOUT|ECONNREFUSED|fetch failed/i
+];
+
+/**
+ * Error thrown by every BundlyAgent action
+ */
+export class BundlyError extends Error {
+  constructor(message, {
+    code = null,
+    errorName = null,
+    instruction = null,
+    instructionIndex = null,
+    logs = [],
+    retryable = false,
+    hint = null,
+    simulation = false,
+    signature = null,
+    cause
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'BundlyError';
+    this.code = code;
+    this.errorName = errorName;
+    this.instruction = instruction;
+    this.instructionIndex = instructionIndex;
+    this.logs = logs;
+    this.retryable = retryable;
+    this.hint = hint;
+    this.simulation = simulation;
+    this.signature = signature;
+  }
+
+  /**
+   * Check against an IDL error name ('CapExceeded'), numeric code (6003)
+   * or SDK error code ('BUNDLE_NOT_FOUND')
+   */
+  is(nameOrCode) {
+    return typeof nameOrCode === 'number'
+      ? this.code === nameOrCode
+      : this.errorName === nameOrCode || this.code === nameOrCode;
+  }
+}
+
+/**
+ * A Bundly program error (one of the IDL's custom error codes)
+ */
+export class BundlyProgramError extends BundlyError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BundlyProgramError';
+  }
+}
+
+/**
+ * Any other transaction failure: RPC errors, expired blockhashes,
+ * errors raised by other programs (SPL Token, pump.fun, ...)
+ */
+export class BundlyTransactionError extends BundlyError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BundlyTransactionError';
+  }
+}
+
+/**
+ * Build the BundlyProgramError the program would raise, for client-side
+ * pre-checks that fail before sending (e.g. caller is not the bundle admin)
+ */
+export function createProgramError(name, { message, instruction = null } = {}) {
+  const known = Object.values(BUNDLY_ERRORS).find(entry => entry.name === name);
+  if (!known) {
+    throw new Error(`Unknown Bundly error: ${name}`);
+  }
+  return new BundlyProgramError(
+    `${known.name} (${known.code}): ${message || known.msg}${instruction ? ` [${instruction}]` : ''}`,
+    {
+      code: known.code,
+      errorName: known.name,
+      instruction,
+      retryable: known.retryable,
+      hint: known.hint
+    }
+  );
+}
+
+/**
+ * BundlyError for an invalid argument (missing option, malformed amount, ...)
+ */
+export function createInvalidArgumentError(message, { hint = null } = {}) {
+  return new BundlyError(message, { code: SDK_ERROR_CODES.INVALID_ARGUMENT, hint });
+}
+
+/**
+ * BundlyError for a mint without a BundleState account
+ */
+export function createBundleNotFoundError(mint) {
+  return new BundlyError(`Bundle not found on-chain: ${mint.toString()}`, {
+    code: SDK_ERROR_CODES.BUNDLE_NOT_FOUND,
+    hint: 'Pass the bundle (bToken) mint and check the network / program ID the agent uses.'
+  });
+}
+
+/**
+ * Resolve the IDL instruction name for a Bundly instruction by discriminator
+ */
+export function getInstructionName(instruction) {
+  if (!instruction?.data || instruction.data.length < 8) return null;
+  const discriminator = instruction.data.subarray(0, 8);
+  const match = idl.instructions.find(ix => discriminator.equals(Buffer.from(ix.discriminator)));
+  return match ? match.name : null;
+}
+
+function extractLogs(error) {
+  if (Array.isArray(error?.logs)) return error.logs;
+  if (Array.isArray(error?.transactionLogs)) return error.transactionLogs;
+  if (Array.isArray(error?.transactionError?.logs)) return error.transactionError.logs;
+  return [];
+}
+
+/**
+ * Pull { instructionIndex, code } out of a TransactionError value
+ * ({ InstructionError: [index, { Custom: code }] })
+ */
+function parseTransactionErr(err) {
+  const instructionError = err?.InstructionError;
+  if (!Array.isArray(instructionError)) return null;
+  const [instructionIndex, detail] = instructionError;
+  const code = typeof detail === 'object' && detail !== null && 'Custom' in detail
+    ? detail.Custom
+    : null;
+  return { instructionIndex, code, detail };
+}
+
+function parseMessage(message) {
+  const match = /Error processing Instruction (\d+): custom program error: 0x([0-9a-f]+)/i.exec(message || '');
+  if (!match) return null;
+  return { instructionIndex: Number(match[1]), code: parseInt(match[2], 16) };
+}
+
+function parseLogs(logs) {
+  for (const line of logs) {
+    const match = /Error Number: (\d+)/.exec(line);
+    if (match) return { code: Number(match[1]) };
+  }
+  return null;
+}
+
+/**
+ * Program that raised the error: the first "Program X failed" line is the
+ * innermost failing invocation (CPI failures are re-reported by each caller)
+ */
+function findFailingProgram(logs) {
+  for (const line of logs) {
+    const match = /^Program (\w+) failed:/.exec(line);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Convert any error (web3.js SendTransactionError, a confirmation/simulation
+ * `err` value, RPC failure) into a BundlyError.
+ *
+ * context.transaction / context.instructions let the failing instruction be named.
+ * Custom codes raised by other programs (e.g. pump.fun via CPI) are not
+ * mapped onto the Bundly table.
+ */
+export function toBundlyError(error, context = {}) {
+  if (error instanceof BundlyError) return error;
+
+  const { transaction, instructions, signature = null, programId = idl.address } = context;
+  const isTxErrValue = error && !(error instanceof Error) && typeof error === 'object';
+  const logs = context.logs || (isTxErrValue ? [] : extractLogs(error));
+  const message = isTxErrValue ? JSON.stringify(error) : (error?.message || String(error));
+  const simulation = context.simulation ?? /simulation failed/i.test(message);
+
+  const parsed = (isTxErrValue ? parseTransactionErr(error) : null)
+    || parseMessage(message)
+    || parseLogs(logs)
+    || {};
+
+  const { instructionIndex = null } = parsed;
+  const code = parsed.code ?? null;
+  const failingProgram = findFailingProgram(logs);
+  const fromBundly = !failingProgram || failingProgram === programId.toString();
+  const known = code !== null && fromBundly ? BUNDLY_ERRORS[code] : null;
+
+  const ixList = instructions || transaction?.instructions || [];
+  const failing = instructionIndex !== null ? ixList[instructionIndex] : null;
+  const instruction = failing ? getInstructionName(failing) : null;
+
+  if (known) {
+    return new BundlyProgramError(
+      `${known.name} (${known.code}): ${known.msg}${instruction ? ` [${instruction}]` : ''}`,
+      {
+        code: known.code,
+        errorName: known.name,
+        instruction,
+        instructionIndex,
+        logs,
+        retryable: known.retryable,
+        hint: known.hint,
+        simulation,
+        signature,
+        cause: error instanceof Error ? error : undefined
+      }
+    );
+  }
+
+  return new BundlyTransactionError(message, {
+    code,
+    instruction,
+    instructionIndex,
+    logs,
+    retryable: RETRYABLE_MESSAGE_PATTERNS.some(pattern => pattern.test(message)),
+    simulation,
+    signature,
+    cause: error instanceof Error ? error : undefined
+  });
+}
+
+export default {
+  BUNDLY_ERRORS,
+  SDK_ERROR_CODES,
+  BundlyError,
+  BundlyProgramError,
+  BundlyTransactionError,
+  createProgramError,
+  createInvalidArgumentError,
+  createBundleNotFoundError,
+  getInstructionName,
+  toBundlyError
+};
@@ -0,0 +1,26 @@
+/**
+ * Bundly Agent SDK - Progress Events
+ * 
+ * Event names emitted by BundlyAgent (it is an EventEmitter):
+ * 
+ *   agent.on('tx:confirmed', ({ signature }) => { ... });
+ */
+
+export const BUNDLY_EVENTS = {
+  // { signature }
+  TX_SENT: 'tx:sent',
+  // { signature }
+  TX_CONFIRMED: 'tx:confirmed',
+  // { signature | null, error: BundlyError }
+  TX_FAILED: 'tx:failed',
+  // simulation report (see simulateTransaction)
+  TX_SIMULATED: 'tx:simulated',
+  // { mint, metadataUri }
+  METADATA_UPLOADED: 'metadata:uploaded',
+  // { mint, pumpfunMint, minTokensOut (BN), launchQuote (null if minTokensOut was passed) }
+  FINALIZE_CALCULATED: 'finalize:calculated',
+  // { mint, preview } (see previewRewardInjection)
+  REWARDS_PREVIEWED: 'rewards:previewed'
+};
+
+export default BUNDLY_EVENTS;
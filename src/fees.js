@@ -0,0 +1,141 @@
+/**
+ * Bundly Agent SDK - Priority Fees & Compute Budget
+ *
+ * Priority fee strategies and compute-unit sizing applied by
+ * BundlyAgent.sendAndConfirm to every transaction.
+ */
+
+import { ComputeBudgetProgram, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { toBundlyError, createInvalidArgumentError } from './errors.js';
+import { compileMessage } from './versioned.js';
+
+// Hard per-transaction compute limit enforced by the runtime
+export const MAX_COMPUTE_UNITS = 1_400_000;
+
+// Default headroom added on top of simulated compute units
+export const DEFAULT_COMPUTE_UNIT_MARGIN = 0.1;
+
+export const PRIORITY_FEE_STRATEGY = {
+  FIXED: 'fixed',
+  PERCENTILE: 'percentile'
+};
+
+function hasComputeBudgetInstruction(transaction) {
+  return transaction.instructions.some(ix => ix.programId.equals(ComputeBudgetProgram.programId));
+}
+
+function writableAccounts(transaction) {
+  const keys = new Map();
+  for (const ix of transaction.instructions) {
+    for (const meta of ix.keys) {
+      if (meta.isWritable) keys.set(meta.pubkey.toBase58(), meta.pubkey);
+    }
+  }
+  return [...keys.values()];
+}
+
+function percentileOf(values, percentile) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((percentile / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
+/**
+ * Resolve a priority fee (micro-lamports per CU) for a transaction
+ *
+ * strategy:
+ *   { strategy: 'fixed', microLamports }
+ *   { strategy: 'percentile', percentile = 75, minMicroLamports = 0 }
+ * Both accept maxMicroLamports as a hard cap.
+ */
+export async function resolvePriorityFee(connection, transaction, priorityFee) {
+  if (!priorityFee) return 0;
+
+  const { strategy = PRIORITY_FEE_STRATEGY.FIXED, maxMicroLamports = Infinity } = priorityFee;
+  let microLamports;
+
+  if (strategy === PRIORITY_FEE_STRATEGY.FIXED) {
+    microLamports = priorityFee.microLamports || 0;
+  } else if (strategy === PRIORITY_FEE_STRATEGY.PERCENTILE) {
+    const { percentile = 75, minMicroLamports = 0 } = priorityFee;
+    // Fees paid recently by transactions locking the same writable accounts
+    const recent = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts(transaction)
+    });
+    const observed = percentileOf(recent.map(fee => fee.prioritizationFee), percentile);
+    microLamports = Math.max(observed, minMicroLamports);
+  } else {
+    throw createInvalidArgumentError(`Unknown priority fee strategy: ${strategy} (expected ${Object.values(PRIORITY_FEE_STRATEGY).join(' or ')})`);
+  }
+
+  return Math.floor(Math.min(microLamports, maxMicroLamports));
+}
+
+/**
+ * Size the compute-unit limit from a simulation plus a margin.
+ * Throws a BundlyError if the simulation fails (the transaction would fail too).
+ */
+export async function estimateComputeUnits(connection, transaction, {
+  margin = DEFAULT_COMPUTE_UNIT_MARGIN,
+  programId,
+  commitment = 'confirmed',
+  version = 'legacy',
+  lookupTables = []
+} = {}) {
+  // Simulate with the max limit so the estimate isn't capped by the default
+  const probe = new Transaction().add(
+    ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+    ...transaction.instructions.filter(ix => !ix.programId.equals(ComputeBudgetProgram.programId))
+  );
+  probe.feePayer = transaction.feePayer;
+  probe.recentBlockhash = transaction.recentBlockhash;
+
+  const { value } = await connection.simulateTransaction(new VersionedTransaction(
+    compileMessage(probe, { version, lookupTables })
+  ), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment
+  });
+
+  if (value.err) {
+    throw toBundlyError(value.err, {
+      instructions: probe.instructions,
+      logs: value.logs || [],
+      simulation: true,
+      programId
+    });
+  }
+
+  const consumed = value.unitsConsumed || 0;
+  return Math.min(Math.ceil(consumed * (1 + margin)), MAX_COMPUTE_UNITS);
+}
+
+/**
+ * Prepend compute budget instructions to a legacy Transaction.
+ * Transactions that already carry compute budget instructions are left alone.
+ */
+export function applyComputeBudget(transaction, { units, microLamports } = {}) {
+  if (hasComputeBudgetInstruction(transaction)) return transaction;
+
+  const budget = [];
+  if (units) {
+    budget.push(ComputeBudgetProgram.setComputeUnitLimit({ units }));
+  }
+  if (microLamports) {
+    budget.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  }
+
+  transaction.instructions = [...budget, ...transaction.instructions];
+  return transaction;
+}
+
+export default {
+  MAX_COMPUTE_UNITS,
+  DEFAULT_COMPUTE_UNIT_MARGIN,
+  PRIORITY_FEE_STRATEGY,
+  resolvePriorityFee,
+  estimateComputeUnits,
+  applyComputeBudget
+};
@@ -0,0 +1,13 @@
+/**
+ * Bundly Agent SDK - IDL
+ * 
+ * Loads the Bundly program IDL once so instruction builders and
+ * account decoders share the same definition.
+ */
+
+import fs from 'fs';
+import { BUNDLY_IDL_PATH } from './constants.js';
+
+export const idl = JSON.parse(fs.readFileSync(BUNDLY_IDL_PATH, 'utf8'));
+
+export default idl;
@@ -9,7 +9,25 @@ export { BundlyAgent } from './BundlyAgent.js';
 export { ClawClient } from './ClawClient.js';
 export { buildClawWalletAuthHeaders } from './clawAuth.js';
 export * from './constants.js';
+export * from './network.js';
 export * from './accounts.js';
+export * from './state.js';
+export * from './orderbook.js';
+export * from './errors.js';
+export { simulateTransaction, SIMULATABLE_ACTIONS } from './simulate.js';
+export * from './logger.js';
+export * from './events.js';
+export * from './signer.js';
+export * from './fees.js';
+export * from './sender.js';
+export * from './versioned.js';
+export * from './quotes.js';
+export * from './amounts.js';
+export * from './pumpfun.js';
+export * from './watcher.js';
+export * from './keeper.js';
+export * from './portfolio.js';
+export * from './discovery.js';
 
 // Version
 export const VERSION = '0.1.0';
@@ -8,23 +8,18 @@
 import { Program, AnchorProvider, Wallet } from '@coral-xyz/anchor';
 import { Connection, PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY, TransactionInstruction } from '@solana/web3.js';
 import { getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } from '@solana/spl-token';
-import BN from 'bn.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 
-import {
-  BUNDLY_PROGRAM_ID,
-  GLOBAL_FEE_WALLET,
-  PUMPFUN_PROGRAM_ID,
-  METADATA_PROGRAM_ID
-} from './constants.js';
+import { BUNDLY_PROGRAM_ID, WSOL_MINT } from './constants.js';
+import { NETWORK_PROFILES, getPumpfunFeeConfig } from './network.js';
+import { toBN } from './amounts.js';
 
 import {
   deriveBundlePda,
   deriveEscrowPda,
   deriveTokenVaultPda,
   deriveFeeVaultPda,
+  deriveFeeSolVaultPda,
+  getBundleWsolAccount,
   deriveStakingVaultPda,
   deriveUserStakePda,
   deriveMintPda,
@@ -35,23 +30,29 @@ import {
   deriveGlobalFeeTokenAccount
 } from './accounts.js';
 
-// Load IDL
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const idlPath = path.join(__dirname, '../idl/bundly_program.json');
-const idl = JSON.parse(fs.readFileSync(idlPath, 'utf8'));
+import { idl } from './idl.js';
+import { defaultLogger } from './logger.js';
+import { calculateFinalizeMinTokensOut } from './pumpfun.js';
+
+// Builders take an optional `network` profile (see network.js) for the
+// pump.fun / Metaplex / fee wallet addresses; PDAs use program.programId.
+// Without one they use the devnet profile: pass agent.networkProfile (or a
+// resolveNetworkProfile() result) for any other deployment.
+const DEFAULT_NETWORK = NETWORK_PROFILES.devnet;
 
 /**
  * Create an Anchor Program instance
+ * `wallet` may be a Keypair or a Signer ({ publicKey, signTransaction, signAllTransactions })
+ * `programId` targets an alternate deployment of the same IDL
  */
-export function createProgram(connection, wallet) {
+export function createProgram(connection, wallet, programId = BUNDLY_PROGRAM_ID) {
   const provider = new AnchorProvider(
     connection,
-    new Wallet(wallet),
+    wallet.secretKey ? new Wallet(wallet) : wallet,
     { commitment: 'confirmed' }
   );
   
-  return new Program(idl, provider);
+  return new Program({ ...idl, address: programId.toString() }, provider);
 }
 
 /**
@@ -66,17 +67,17 @@ export async function buildInitBundleInstruction({
   totalSupply,
   unstakeCooldown = 86400 // 24 hours default
 }) {
-  const [mintPda] = await deriveMintPda(creator, nonce);
-  const [bundlePda] = await deriveBundlePda(mintPda);
-  const [escrowPda] = await deriveEscrowPda(mintPda);
+  const [mintPda] = await deriveMintPda(creator, nonce, program.programId);
+  const [bundlePda] = await deriveBundlePda(mintPda, program.programId);
+  const [escrowPda] = await deriveEscrowPda(mintPda, program.programId);
   
   const ix = await program.methods
     .initBundle(
-      new BN(nonce),
+      toBN(nonce),
       decimals,
-      new BN(capLamports),
-      new BN(totalSupply),
-      new BN(unstakeCooldown)
+      toBN(capLamports),
+      toBN(totalSupply),
+      toBN(unstakeCooldown)
     )
     .accounts({
       creator,
@@ -95,15 +96,15 @@ export async function buildInitBundleInstruction({
 /**
  * Build swap (buy/sell) instruction
  */
-export async function buildSwapInstruction({ program, mint, user, amountLamports, minTokensOut = 0 }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [escrowPda] = await deriveEscrowPda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
+export async function buildSwapInstruction({ program, mint, user, amountLamports, minTokensOut = 0, network = DEFAULT_NETWORK }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [escrowPda] = await deriveEscrowPda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, program.programId);
   
   const userTokenAccount = getAssociatedTokenAddressSync(mint, user);
   
   const ix = await program.methods
-    .swap(new BN(amountLamports), new BN(minTokensOut))
+    .swap(toBN(amountLamports), toBN(minTokensOut))
     .accounts({
       buyer: user,
       bundle: bundlePda,
@@ -112,7 +113,7 @@ export async function buildSwapInstruction({ program, mint, user, amountLamports
       buyerTokens: userTokenAccount,
       tokenProgram: TOKEN_PROGRAM_ID,
       systemProgram: SystemProgram.programId,
-      globalFeeWallet: GLOBAL_FEE_WALLET,
+      globalFeeWallet: network.globalFeeWallet,
       userStake: userStakePda
     })
     .instruction();
@@ -123,15 +124,15 @@ export async function buildSwapInstruction({ program, mint, user, amountLamports
 /**
  * Build presale_exit instruction (exit fundraising before finalization)
  */
-export async function buildPresaleExitInstruction({ program, mint, user, amountBtoken }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [escrowPda] = await deriveEscrowPda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
+export async function buildPresaleExitInstruction({ program, mint, user, amountBtoken, network = DEFAULT_NETWORK }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [escrowPda] = await deriveEscrowPda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, program.programId);
   
   const userBtokenAccount = getAssociatedTokenAddressSync(mint, user);
   
   const ix = await program.methods
-    .presaleExit(new BN(amountBtoken))
+    .presaleExit(toBN(amountBtoken))
     .accounts({
       user,
       bundle: bundlePda,
@@ -139,7 +140,7 @@ export async function buildPresaleExitInstruction({ program, mint, user, amountB
       userBtoken: userBtokenAccount,
       escrow: escrowPda,
       userStake: userStakePda,
-      globalFeeWallet: GLOBAL_FEE_WALLET,
+      globalFeeWallet: network.globalFeeWallet,
       systemProgram: SystemProgram.programId,
       tokenProgram: TOKEN_PROGRAM_ID,
       associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID
@@ -152,18 +153,18 @@ export async function buildPresaleExitInstruction({ program, mint, user, amountB
 /**
  * Build deposit_stake instruction
  */
-export async function buildDepositStakeInstruction({ program, mint, user, amount, realMint }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
-  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda);
-  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda);
+export async function buildDepositStakeInstruction({ program, mint, user, amount, minTokensOut = 0, realMint }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, program.programId);
+  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda, program.programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, program.programId);
   const resolvedRealMint = realMint || mint;
 
   const userBtokenAccount = getAssociatedTokenAddressSync(mint, user);
   const userRealTokenAccount = getAssociatedTokenAddressSync(resolvedRealMint, user);
   
   const ix = await program.methods
-    .depositStake(new BN(amount))
+    .depositStake(toBN(amount), toBN(minTokensOut))
     .accounts({
       user,
       bundle: bundlePda,
@@ -186,9 +187,9 @@ export async function buildDepositStakeInstruction({ program, mint, user, amount
  * Build prepare_unstake instruction
  */
 export async function buildPrepareUnstakeInstruction({ program, mint, user }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
-  const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, user);
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, program.programId);
+  const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, user, program.programId);
   
   const ix = await program.methods
     .prepareUnstake()
@@ -208,21 +209,21 @@ export async function buildPrepareUnstakeInstruction({ program, mint, user }) {
 /**
  * Build execute_unstake instruction
  */
-export async function buildExecuteUnstakeInstruction({ program, mint, user, amountBtoken, realMint }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
-  const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, user);
-  const [unstakeVaultPda] = await deriveUnstakeVaultPda(mint);
-  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda);
-  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda);
+export async function buildExecuteUnstakeInstruction({ program, mint, user, amountBtoken, realMint, network = DEFAULT_NETWORK }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, program.programId);
+  const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, user, program.programId);
+  const [unstakeVaultPda] = await deriveUnstakeVaultPda(mint, program.programId);
+  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda, program.programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, program.programId);
   const resolvedRealMint = realMint || mint;
-  const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(resolvedRealMint);
+  const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(resolvedRealMint, network.globalFeeWallet);
   
   const userBtokenAccount = getAssociatedTokenAddressSync(mint, user);
   const resolvedRealMintPubkey = resolvedRealMint;
   
   const ix = await program.methods
-    .executeUnstake(new BN(amountBtoken))
+    .executeUnstake(toBN(amountBtoken))
     .accounts({
       user,
       bundle: bundlePda,
@@ -236,7 +237,7 @@ export async function buildExecuteUnstakeInstruction({ program, mint, user, amou
       userStake: userStakePda,
       tokenProgram: TOKEN_PROGRAM_ID,
       globalFeeTokenAccount,
-      globalFeeWallet: GLOBAL_FEE_WALLET
+      globalFeeWallet: network.globalFeeWallet
     })
     .instruction();
   
@@ -247,10 +248,10 @@ export async function buildExecuteUnstakeInstruction({ program, mint, user, amou
  * Build withdraw_unstaked instruction
  */
 export async function buildWithdrawUnstakedInstruction({ program, mint, user, destination, realMint }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
-  const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, user);
-  const [unstakeVaultPda] = await deriveUnstakeVaultPda(mint);
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, program.programId);
+  const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, user, program.programId);
+  const [unstakeVaultPda] = await deriveUnstakeVaultPda(mint, program.programId);
 
   const resolvedRealMint = realMint || mint;
   const destinationAccount = destination || getAssociatedTokenAddressSync(resolvedRealMint, user);
@@ -277,13 +278,13 @@ export async function buildWithdrawUnstakedInstruction({ program, mint, user, de
 /**
  * Build claim_rewards instruction
  */
-export async function buildClaimRewardsInstruction({ program, mint, user, realMint }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
-  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda);
-  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda);
+export async function buildClaimRewardsInstruction({ program, mint, user, realMint, network = DEFAULT_NETWORK }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, program.programId);
+  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda, program.programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, program.programId);
   const resolvedRealMint = realMint || mint;
-  const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(resolvedRealMint);
+  const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(resolvedRealMint, network.globalFeeWallet);
   
   const userBtokenAccount = getAssociatedTokenAddressSync(mint, user);
   const userRealTokenAccount = getAssociatedTokenAddressSync(resolvedRealMint, user);
@@ -304,7 +305,7 @@ export async function buildClaimRewardsInstruction({ program, mint, user, realMi
       associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
       systemProgram: SystemProgram.programId,
       globalFeeTokenAccount,
-      globalFeeWallet: GLOBAL_FEE_WALLET
+      globalFeeWallet: network.globalFeeWallet
     })
     .instruction();
   
@@ -315,13 +316,13 @@ export async function buildClaimRewardsInstruction({ program, mint, user, realMi
  * Build claim_rewards instruction (RAW - forces mint writable)
  * Workaround for CPI permission issues
  */
-export async function buildClaimRewardsInstructionRaw({ programId, mint, user, realMint }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, user);
-  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda);
-  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda);
+export async function buildClaimRewardsInstructionRaw({ programId = BUNDLY_PROGRAM_ID, mint, user, realMint, network = DEFAULT_NETWORK }) {
+  const [bundlePda] = await deriveBundlePda(mint, programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, user, programId);
+  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda, programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, programId);
   const resolvedRealMint = realMint || mint;
-  const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(resolvedRealMint);
+  const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(resolvedRealMint, network.globalFeeWallet);
   
   const userBtokenAccount = getAssociatedTokenAddressSync(mint, user);
   const userRealTokenAccount = getAssociatedTokenAddressSync(resolvedRealMint, user);
@@ -342,12 +343,12 @@ export async function buildClaimRewardsInstructionRaw({ programId, mint, user, r
     { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
     { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
     { pubkey: globalFeeTokenAccount, isSigner: false, isWritable: true },
-    { pubkey: GLOBAL_FEE_WALLET, isSigner: false, isWritable: false }
+    { pubkey: network.globalFeeWallet, isSigner: false, isWritable: false }
   ];
   
   return { 
     instruction: new TransactionInstruction({ 
-      programId: programId || BUNDLY_PROGRAM_ID, 
+      programId, 
       keys, 
       data 
     }) 
@@ -366,19 +367,19 @@ export async function buildCreateOrderInstruction({
   isBuySide,
   idSeed 
 }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [userStakePda] = await deriveUserStakePda(bundlePda, maker);
-  const [orderPda] = await deriveOrderPda(mint, maker, idSeed);
-  const [orderVaultPda] = await deriveOrderVaultPda(orderPda);
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [userStakePda] = await deriveUserStakePda(bundlePda, maker, program.programId);
+  const [orderPda] = await deriveOrderPda(mint, maker, idSeed, program.programId);
+  const [orderVaultPda] = await deriveOrderVaultPda(orderPda, program.programId);
   
   const makerTokenAccount = getAssociatedTokenAddressSync(mint, maker);
   
   const ix = await program.methods
     .createOrder(
-      new BN(amount),
-      new BN(price),
+      toBN(amount),
+      toBN(price),
       isBuySide,
-      new BN(idSeed)
+      toBN(idSeed)
     )
     .accounts({
       maker,
@@ -400,10 +401,10 @@ export async function buildCreateOrderInstruction({
  * Build fill_order instruction
  */
 export async function buildFillOrderInstruction({ program, mint, taker, maker, orderPda }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [takerStakePda] = await deriveUserStakePda(bundlePda, taker);
-  const [makerStakePda] = await deriveUserStakePda(bundlePda, maker);
-  const [orderVaultPda] = await deriveOrderVaultPda(orderPda);
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [takerStakePda] = await deriveUserStakePda(bundlePda, taker, program.programId);
+  const [makerStakePda] = await deriveUserStakePda(bundlePda, maker, program.programId);
+  const [orderVaultPda] = await deriveOrderVaultPda(orderPda, program.programId);
   
   const takerTokenAccount = getAssociatedTokenAddressSync(mint, taker);
   const makerTokenAccount = getAssociatedTokenAddressSync(mint, maker);
@@ -434,7 +435,7 @@ export async function buildFillOrderInstruction({ program, mint, taker, maker, o
  * Build cancel_order instruction
  */
 export async function buildCancelOrderInstruction({ program, mint, maker, orderPda }) {
-  const [orderVaultPda] = await deriveOrderVaultPda(orderPda);
+  const [orderVaultPda] = await deriveOrderVaultPda(orderPda, program.programId);
   const makerTokenAccount = getAssociatedTokenAddressSync(mint, maker);
   
   const ix = await program.methods
@@ -453,91 +454,6 @@ export async function buildCancelOrderInstruction({ program, mint, maker, orderP
   return { instruction: ix };
 }
 
-/**
- * Calculate minimum tokens needed to graduate pump.fun bonding curve (reach 85 SOL)
- * Uses constant product AMM formula: (virtualSol + realSol) * (virtualTokens - tokensSold) = k
- */
-async function calculateMinTokensForGraduation(connection, bundlePda, escrowPda, pumpfunMintPubkey) {
-  try {
-    // Get escrow balance (how much SOL we actually have to spend)
-    const escrowBalance = await connection.getBalance(escrowPda);
-    const escrowBalanceBN = new BN(escrowBalance);
-    
-    // Pump.fun bonding curve constants (from pump.fun documentation)
-    const VIRTUAL_SOL_RESERVES = new BN('30000000000'); // 30 SOL in lamports
-    const VIRTUAL_TOKEN_RESERVES = new BN('1073000000000000'); // 1.073B tokens (6 decimals)
-    const INITIAL_REAL_TOKEN_RESERVES = new BN('793100000000000'); // 793.1M tokens available
-    
-    // The contract deducts rent and buffer costs before buying
-    // From contract: rent_cost_staking + rent_cost_fee + 0.01 SOL buffer
-    // Staking vault rent: ~2M lamports
-    // Fee vault rent: ~2M lamports  
-    // Buffer: 10M lamports
-    // Total costs: ~14M lamports
-    const ESTIMATED_COSTS = new BN('14500000'); // 14.5M lamports (conservative estimate)
-    
-    // Calculate spendable SOL (what the contract will actually use for the buy)
-    const SOL_TO_SPEND = escrowBalanceBN.sub(ESTIMATED_COSTS);
-    
-    // Constant product AMM formula:
-    // k = (virtual_sol + real_sol) * (virtual_tokens - tokens_sold)
-    // When buying:
-    // tokens_out = virtual_tokens - k / (virtual_sol + real_sol + sol_in)
-    
-    // Initial state (fresh bonding curve):
-    // real_sol = 0
-    // tokens_sold = 0
-    const initialSol = VIRTUAL_SOL_RESERVES; // virtual + 0 real
-    const initialTokens = VIRTUAL_TOKEN_RESERVES; // virtual - 0 sold
-    const k = initialSol.mul(initialTokens);
-    
-    // After buying with our actual escrow balance:
-    const finalSol = VIRTUAL_SOL_RESERVES.add(SOL_TO_SPEND);
-    const finalTokens = k.div(finalSol);
-    
-    // Tokens bought = initial_tokens - final_tokens
-    const tokensOut = initialTokens.sub(finalTokens);
-    
-    // Apply 90% slippage tolerance (allow 10% less tokens than calculated)
-    // This accounts for fees and rounding in the contract
-    const minTokensOut = tokensOut.mul(new BN(90)).div(new BN(100));
-    
-    console.log(`📊 Bonding Curve Calculation:`);
-    console.log(`   Escrow Balance: ${escrowBalance / 1e9} SOL`);
-    console.log(`   SOL to Spend: ${SOL_TO_SPEND.toString()} lamports`);
-    console.log(`   Initial reserves: ${initialSol.toString()} lamports SOL, ${initialTokens.toString()} tokens`);
-    console.log(`   k (constant product): ${k.toString()}`);
-    console.log(`   Final reserves after buy: ${finalSol.toString()} lamports SOL, ${finalTokens.toString()} tokens`);
-    console.log(`   Tokens Expected: ${tokensOut.toString()} (${tokensOut.div(new BN(1e6)).toString()}M tokens)`);
-    console.log(`   Min Tokens (90%): ${minTokensOut.toString()} (${minTokensOut.div(new BN(1e6)).toString()}M tokens)`);
-    
-    // Warn if we won't reach graduation (85 SOL)
-    const GRADUATION_THRESHOLD = new BN('85000000000');
-    if (SOL_TO_SPEND.lt(GRADUATION_THRESHOLD)) {
-      console.warn(`⚠️  WARNING: Escrow has ${escrowBalance / 1e9} SOL but graduation requires 85 SOL`);
-      console.warn(`   Token will NOT graduate to Raydium - will stay on bonding curve`);
-    }
-    
-    // Sanity check: ensure tokens_out is positive and reasonable
-    if (tokensOut.lte(new BN(0))) {
-      console.warn(`⚠️  WARNING: Calculated tokens_out <= 0, something is wrong with the math!`);
-      return new BN(0);
-    }
-    
-    if (tokensOut.gt(INITIAL_REAL_TOKEN_RESERVES)) {
-      console.warn(`⚠️  WARNING: Calculated tokens_out exceeds initial reserves, capping to max available`);
-      return INITIAL_REAL_TOKEN_RESERVES.mul(new BN(90)).div(new BN(100));
-    }
-    
-    return minTokensOut;
-  } catch (error) {
-    console.error(`❌ Error calculating min tokens: ${error.message}`);
-    console.error(error.stack);
-    console.warn(`   Using minTokensOut = 0 (no slippage protection)`);
-    return new BN(0);
-  }
-}
-
 /**
  * Build finalize_pumpfun instruction (finalize fundraising and launch on pump.fun)
  */
@@ -549,38 +465,35 @@ export async function buildFinalizePumpfunInstruction({
   tokenName,
   tokenSymbol,
   tokenUri,
-  minTokensOut = null // null = auto-calculate, 0 = no slippage protection
+  minTokensOut = null, // null = quote from live pump.fun Global data, 0 = no slippage protection
+  slippageBps, // tolerance below the quote when auto-calculating
+  logger = defaultLogger,
+  network = DEFAULT_NETWORK
 }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  const [escrowPda] = await deriveEscrowPda(mint);
-  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda);
-  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda);
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [escrowPda] = await deriveEscrowPda(mint, program.programId);
+  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda, program.programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, program.programId);
   
   // Auto-calculate min tokens if not provided
   let minTokensBN;
+  let launchQuote = null;
   if (minTokensOut === null) {
-    minTokensBN = await calculateMinTokensForGraduation(
-      program.provider.connection,
-      bundlePda,
-      escrowPda,
-      pumpfunMint
-    );
+    launchQuote = await calculateFinalizeMinTokensOut(program.provider.connection, escrowPda, {
+      slippageBps,
+      logger,
+      network
+    });
+    minTokensBN = launchQuote.minTokensOut;
   } else {
-    minTokensBN = new BN(minTokensOut);
+    minTokensBN = toBN(minTokensOut);
   }
   
-  // Pump.fun hardcoded accounts (from IDL)
-  const PUMPFUN_GLOBAL = new PublicKey('4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf');
-  const PUMPFUN_MINT_AUTHORITY = new PublicKey('TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM');
-  const PUMPFUN_FEE_RECIPIENT = new PublicKey('62qc2CNXwrYqQScmEdiZFFAnJR262PxWEuNQtxfafNgV');
-  const PUMPFUN_GLOBAL_VOLUME = new PublicKey('Hq2wp8uJ9jCPsYgNHex8RtqdvMPfVGoYwjvF1ATiwn2Y');
-  const PUMPFUN_FEE_PROGRAM = new PublicKey('pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ');
-  const PUMPFUN_EVENT_AUTHORITY = new PublicKey('Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1');
   
   // Derive pump.fun specific PDAs
   const [bondingCurve] = await PublicKey.findProgramAddress(
     [Buffer.from('bonding-curve'), pumpfunMint.toBuffer()],
-    PUMPFUN_PROGRAM_ID
+    network.pumpfunProgramId
   );
   
   const [associatedBondingCurve] = await PublicKey.findProgramAddress(
@@ -595,28 +508,25 @@ export async function buildFinalizePumpfunInstruction({
   const [metadata] = await PublicKey.findProgramAddress(
     [
       Buffer.from('metadata'),
-      METADATA_PROGRAM_ID.toBuffer(),
+      network.metadataProgramId.toBuffer(),
       pumpfunMint.toBuffer()
     ],
-    METADATA_PROGRAM_ID
+    network.metadataProgramId
   );
   
   // Creator vault uses BUNDLE PDA as creator, not payer! (from contract: creator_key = bundle_key)
   const [creatorVault] = await PublicKey.findProgramAddress(
     [Buffer.from('creator-vault'), bundlePda.toBuffer()],
-    PUMPFUN_PROGRAM_ID
+    network.pumpfunProgramId
   );
   
   const [userVolume] = await PublicKey.findProgramAddress(
     [Buffer.from('user_volume_accumulator'), payer.toBuffer()],
-    PUMPFUN_PROGRAM_ID
+    network.pumpfunProgramId
   );
   
   // Fee config is derived with pump program ID in seeds, but uses FEE program as owner
-  const [feeConfig] = await PublicKey.findProgramAddress(
-    [Buffer.from('fee_config'), PUMPFUN_PROGRAM_ID.toBuffer()],
-    PUMPFUN_FEE_PROGRAM
-  );
+  const feeConfig = getPumpfunFeeConfig(network);
   
   const ix = await program.methods
     .finalizePumpfun(
@@ -636,48 +546,42 @@ export async function buildFinalizePumpfunInstruction({
       metadata,
       stakingVault: stakingVaultPda,
       feeVault: feeVaultPda,
-      pumpfunGlobal: PUMPFUN_GLOBAL,
-      pumpfunMintAuthority: PUMPFUN_MINT_AUTHORITY,
-      pumpfunFeeRecipientBuy: PUMPFUN_FEE_RECIPIENT,
-      pumpfunGlobalVolume: PUMPFUN_GLOBAL_VOLUME,
-      pumpfunFeeProgram: PUMPFUN_FEE_PROGRAM,
+      pumpfunGlobal: network.pumpfunGlobal,
+      pumpfunMintAuthority: network.pumpfunMintAuthority,
+      pumpfunFeeRecipientBuy: network.pumpfunFeeRecipient,
+      pumpfunGlobalVolume: network.pumpfunGlobalVolume,
+      pumpfunFeeProgram: network.pumpfunFeeProgram,
       pumpfunCreatorVault: creatorVault,
       pumpfunUserVolume: userVolume,
       pumpfunFeeConfig: feeConfig,
-      pumpfunEventAuthority: PUMPFUN_EVENT_AUTHORITY,
-      metadataProgram: METADATA_PROGRAM_ID,
+      pumpfunEventAuthority: network.pumpfunEventAuthority,
+      metadataProgram: network.metadataProgramId,
       systemProgram: SystemProgram.programId,
       tokenProgram: TOKEN_PROGRAM_ID,
       associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
       rent: SYSVAR_RENT_PUBKEY,
-      pumpfunProgram: PUMPFUN_PROGRAM_ID
+      pumpfunProgram: network.pumpfunProgramId
     })
     .instruction();
   
-  return { instruction: ix };
+  return { instruction: ix, minTokensOut: minTokensBN, launchQuote };
 }
 
 /**
  * Build collect_pump_fees instruction
  * Collects SOL creator fees from Pump.fun and sends to fee_sol_vault
  */
-export async function buildCollectPumpFeesInstruction({ program, mint, collector }) {
-  const [bundlePda] = await deriveBundlePda(mint);
+export async function buildCollectPumpFeesInstruction({ program, mint, collector, network = DEFAULT_NETWORK }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
   
-  // Derive fee_sol_vault PDA
-  const [feeSolVault] = PublicKey.findProgramAddressSync(
-    [Buffer.from('fee_sol_v1'), bundlePda.toBuffer()],
-    program.programId
-  );
+  const [feeSolVault] = await deriveFeeSolVaultPda(bundlePda, program.programId);
   
   // Derive pumpfun creator vault PDA
   const [pumpfunCreatorVault] = PublicKey.findProgramAddressSync(
     [Buffer.from('creator-vault'), bundlePda.toBuffer()],
-    PUMPFUN_PROGRAM_ID
+    network.pumpfunProgramId
   );
   
-  const PUMPFUN_EVENT_AUTHORITY = new PublicKey('Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1');
-  
   const ix = await program.methods
     .collectPumpFees()
     .accounts({
@@ -686,8 +590,8 @@ export async function buildCollectPumpFeesInstruction({ program, mint, collector
       mint,
       feeSolVault,
       pumpfunCreatorVault,
-      pumpfunEventAuthority: PUMPFUN_EVENT_AUTHORITY,
-      pumpfunProgram: PUMPFUN_PROGRAM_ID,
+      pumpfunEventAuthority: network.pumpfunEventAuthority,
+      pumpfunProgram: network.pumpfunProgramId,
       systemProgram: SystemProgram.programId
     })
     .instruction();
@@ -699,17 +603,13 @@ export async function buildCollectPumpFeesInstruction({ program, mint, collector
  * Build collect_pump_amm_fees instruction
  * Collects WSOL creator fees from Pump AMM and sends to bundle's WSOL account
  */
-export async function buildCollectPumpAmmFeesInstruction({ program, mint, collector }) {
-  const [bundlePda] = await deriveBundlePda(mint);
-  
-  const WSOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
-  const PUMP_AMM_PROGRAM_ID = new PublicKey('pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA');
-  const PUMP_AMM_EVENT_AUTHORITY = new PublicKey('GS4CU59F31iL7aR2Q8zVS8DRrcRnXX1yjQ66TqNVQnaR');
+export async function buildCollectPumpAmmFeesInstruction({ program, mint, collector, network = DEFAULT_NETWORK }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
   
   // Derive coin_creator_vault_authority PDA (from pump AMM program)
   const [coinCreatorVaultAuthority] = PublicKey.findProgramAddressSync(
     [Buffer.from('creator_vault'), bundlePda.toBuffer()],
-    PUMP_AMM_PROGRAM_ID
+    network.pumpAmmProgramId
   );
   
   // Get the WSOL ATA for vault authority
@@ -719,12 +619,7 @@ export async function buildCollectPumpAmmFeesInstruction({ program, mint, collec
     true
   );
   
-  // Get bundle's WSOL account
-  const bundleWsolAccount = getAssociatedTokenAddressSync(
-    WSOL_MINT,
-    bundlePda,
-    true
-  );
+  const bundleWsolAccount = getBundleWsolAccount(bundlePda);
   
   const ix = await program.methods
     .collectPumpAmmFees()
@@ -736,8 +631,8 @@ export async function buildCollectPumpAmmFeesInstruction({ program, mint, collec
       coinCreatorVaultAuthority,
       coinCreatorVaultAta,
       bundleWsolAccount,
-      pumpAmmEventAuthority: PUMP_AMM_EVENT_AUTHORITY,
-      pumpAmmProgram: PUMP_AMM_PROGRAM_ID,
+      pumpAmmEventAuthority: network.pumpAmmEventAuthority,
+      pumpAmmProgram: network.pumpAmmProgramId,
       tokenProgram: TOKEN_PROGRAM_ID
     })
     .instruction();
@@ -745,6 +640,241 @@ export async function buildCollectPumpAmmFeesInstruction({ program, mint, collec
   return { instruction: ix };
 }
 
+/**
+ * Build set_trading_paused instruction (bundle admin only)
+ */
+export async function buildSetTradingPausedInstruction({ program, mint, admin, paused }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  
+  const ix = await program.methods
+    .setTradingPaused(paused)
+    .accounts({
+      admin,
+      bundle: bundlePda
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build set_cpi_enabled instruction (bundle admin only)
+ */
+export async function buildSetCpiEnabledInstruction({ program, mint, admin, enabled }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  
+  const ix = await program.methods
+    .setCpiEnabled(enabled)
+    .accounts({
+      admin,
+      bundle: bundlePda
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build update_admin instruction (bundle admin only)
+ */
+export async function buildUpdateAdminInstruction({ program, mint, admin, newAdmin }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  
+  const ix = await program.methods
+    .updateAdmin()
+    .accounts({
+      admin,
+      bundle: bundlePda,
+      newAdmin
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build update_fee_collector instruction (bundle admin only)
+ */
+export async function buildUpdateFeeCollectorInstruction({ program, mint, admin, newFeeCollector }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  
+  const ix = await program.methods
+    .updateFeeCollector()
+    .accounts({
+      admin,
+      bundle: bundlePda,
+      newFeeCollector
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build inject_rewards instruction
+ * Sends real-mint tokens from the user's ATA into the staking reward drip
+ */
+export async function buildInjectRewardsInstruction({ program, mint, user, realMint, amount }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [stakingVaultPda] = await deriveStakingVaultPda(bundlePda, program.programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, program.programId);
+  const userRealTokenAccount = getAssociatedTokenAddressSync(realMint, user);
+  
+  const ix = await program.methods
+    .injectRewards(toBN(amount))
+    .accounts({
+      user,
+      bundle: bundlePda,
+      mint,
+      realMint,
+      userRealToken: userRealTokenAccount,
+      stakingVault: stakingVaultPda,
+      feeVault: feeVaultPda,
+      tokenProgram: TOKEN_PROGRAM_ID,
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build withdraw_sol_fees instruction
+ * Withdraws lamports from the bundle's fee_sol_vault (pump.fun creator fees)
+ */
+export async function buildWithdrawSolFeesInstruction({ program, mint, admin, amountLamports }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [feeSolVault] = await deriveFeeSolVaultPda(bundlePda, program.programId);
+  
+  const ix = await program.methods
+    .withdrawSolFees(toBN(amountLamports))
+    .accounts({
+      admin,
+      bundle: bundlePda,
+      mint,
+      feeSolVault,
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build withdraw_wsol_fees instruction
+ * Moves WSOL from the bundle's WSOL account (pump AMM creator fees) to `adminWsolAccount`
+ */
+export async function buildWithdrawWsolFeesInstruction({ program, mint, admin, amountLamports, adminWsolAccount }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  
+  const ix = await program.methods
+    .withdrawWsolFees(toBN(amountLamports))
+    .accounts({
+      admin,
+      bundle: bundlePda,
+      mint,
+      bundleWsolAccount: getBundleWsolAccount(bundlePda),
+      adminWsolAccount: adminWsolAccount || getAssociatedTokenAddressSync(WSOL_MINT, admin),
+      tokenProgram: TOKEN_PROGRAM_ID
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build recover_fee_vault instruction (bundle admin only)
+ * Moves real-mint tokens out of the fee vault into the admin's ATA
+ */
+export async function buildRecoverFeeVaultInstruction({ program, mint, admin, realMint, amount }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [feeVaultPda] = await deriveFeeVaultPda(bundlePda, program.programId);
+  const adminTokenAccount = getAssociatedTokenAddressSync(realMint, admin);
+  
+  const ix = await program.methods
+    .recoverFeeVault(toBN(amount))
+    .accounts({
+      admin,
+      bundle: bundlePda,
+      mint,
+      realMint,
+      feeVault: feeVaultPda,
+      adminTokenAccount,
+      tokenProgram: TOKEN_PROGRAM_ID,
+      associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
+/**
+ * Build init_global_fee_account instruction
+ * Creates the protocol fee ATA (global fee wallet, realMint); one-time per real mint, anyone can pay
+ */
+export async function buildInitGlobalFeeAccountInstruction({ program, payer, realMint, network = DEFAULT_NETWORK }) {
+  const [globalFeeTokenAccount] = await deriveGlobalFeeTokenAccount(realMint, network.globalFeeWallet);
+  
+  const ix = await program.methods
+    .initGlobalFeeAccount()
+    .accounts({
+      payer,
+      realMint,
+      globalFeeTokenAccount,
+      globalFeeWallet: network.globalFeeWallet,
+      tokenProgram: TOKEN_PROGRAM_ID,
+      associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+  
+  return { instruction: ix, globalFeeTokenAccount };
+}
+
+/**
+ * Build init_unstake_vault instruction
+ * Creates the bundle's shared unstake vault; one-time per bundle, after finalization
+ */
+export async function buildInitUnstakeVaultInstruction({ program, mint, payer, realMint }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  const [unstakeVaultPda] = await deriveUnstakeVaultPda(mint, program.programId);
+  
+  const ix = await program.methods
+    .initUnstakeVault()
+    .accounts({
+      payer,
+      bundle: bundlePda,
+      mint,
+      realMint,
+      unstakeVault: unstakeVaultPda,
+      tokenProgram: TOKEN_PROGRAM_ID,
+      systemProgram: SystemProgram.programId
+    })
+    .instruction();
+  
+  return { instruction: ix, unstakeVault: unstakeVaultPda };
+}
+
+/**
+ * Build sync_supply instruction (bundle admin only)
+ * Resets the tracked bToken supply to the mint's actual supply
+ */
+export async function buildSyncSupplyInstruction({ program, mint, admin }) {
+  const [bundlePda] = await deriveBundlePda(mint, program.programId);
+  
+  const ix = await program.methods
+    .syncSupply()
+    .accounts({
+      admin,
+      bundle: bundlePda,
+      mint
+    })
+    .instruction();
+  
+  return { instruction: ix };
+}
+
 /**
  * Get instruction discriminator from IDL
  */
@@ -773,5 +903,16 @@ export default {
   buildFinalizePumpfunInstruction,
   buildCollectPumpFeesInstruction,
   buildCollectPumpAmmFeesInstruction,
+  buildSetTradingPausedInstruction,
+  buildSetCpiEnabledInstruction,
+  buildUpdateAdminInstruction,
+  buildUpdateFeeCollectorInstruction,
+  buildInjectRewardsInstruction,
+  buildWithdrawSolFeesInstruction,
+  buildWithdrawWsolFeesInstruction,
+  buildRecoverFeeVaultInstruction,
+  buildInitGlobalFeeAccountInstruction,
+  buildInitUnstakeVaultInstruction,
+  buildSyncSupplyInstruction,
   getInstructionDiscriminator
 };
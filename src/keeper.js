@@ -0,0 +1,474 @@
+/**
+ * Bundly Agent SDK - Keeper
+ *
+ * Long-running service that watches a set of bundles, finalizes each one on
+ * pump.fun once collected_lamports reaches cap_lamports, and collects pump.fun
+ * / Pump AMM creator fees on a schedule.
+ *
+ * Progress is written to a pluggable store before and after every finalize,
+ * so a restarted keeper neither re-uploads metadata nor sends a second
+ * finalize while the first one may still land. The store interface is
+ * async get(mint) / set(mint, record) / delete(mint) / list(), keyed by the
+ * base58 fundraiser mint; records are plain JSON.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import { FEE_COLLECTION_INTERVAL } from './constants.js';
+import { toPublicKey } from './accounts.js';
+import { getRealMint, getFeeCollectionStatus } from './state.js';
+import { uploadBundleMetadata } from './metadata.js';
+import { createInvalidArgumentError } from './errors.js';
+
+export const KEEPER_EVENTS = {
+  // { mint, state }
+  FINALIZING: 'finalizing',
+  // { mint, signature, pumpfunMint, record }
+  FINALIZED: 'finalized',
+  // { mint, kind: 'pump' | 'pumpAmm', signature }
+  FEES_COLLECTED: 'feesCollected',
+  // { mint, kind, reason, nextAttemptAt }
+  FEES_DEFERRED: 'feesDeferred',
+  // { mint, action, error }
+  ERROR: 'error'
+};
+
+export const KEEPER_STATUS = {
+  PENDING: 'pending',
+  FINALIZING: 'finalizing',
+  FINALIZED: 'finalized'
+};
+
+// Fee sources collected for finalized bundles, mapped to the agent method
+const FEE_KINDS = {
+  pump: 'collectPumpFees',
+  pumpAmm: 'collectPumpAmmFees'
+};
+
+/**
+ * In-memory store (state is lost on restart)
+ */
+export class MemoryKeeperStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(mint) {
+    return this.records.get(mint) || null;
+  }
+
+  async set(mint, record) {
+    this.records.set(mint, record);
+  }
+
+  async delete(mint) {
+    this.records.delete(mint);
+  }
+
+  async list() {
+    return [...this.records.values()];
+  }
+}
+
+/**
+ * JSON file store. Writes go to a temp file and are renamed into place so a
+ * crash mid-write never leaves a truncated file.
+ */
+export class FileKeeperStore extends MemoryKeeperStore {
+  constructor(path) {
+    super();
+    this.path = path;
+    this.loaded = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.path, 'utf8').then(
+        (text) => {
+          for (const record of Object.values(JSON.parse(text))) {
+            this.records.set(record.mint, record);
+          }
+        },
+        (error) => {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      );
+    }
+    return this.loaded;
+  }
+
+  async flush() {
+    const text = JSON.stringify(Object.fromEntries(this.records), null, 2);
+    this.writing = this.writing.then(async () => {
+      await fs.writeFile(`${this.path}.tmp`, text);
+      await fs.rename(`${this.path}.tmp`, this.path);
+    });
+    return this.writing;
+  }
+
+  async get(mint) {
+    await this.load();
+    return super.get(mint);
+  }
+
+  async set(mint, record) {
+    await this.load();
+    await super.set(mint, record);
+    await this.flush();
+  }
+
+  async delete(mint) {
+    await this.load();
+    await super.delete(mint);
+    await this.flush();
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+}
+
+export class BundlyKeeper extends EventEmitter {
+  /**
+   * config.agent: BundlyAgent that signs finalize / fee collection
+   * config.store: persistence (default MemoryKeeperStore; use FileKeeperStore or your own)
+   * config.tickInterval: ms between fee / retry passes (default 60s)
+   * config.feeInterval: ms between successful collections per fee source (default FEE_COLLECTION_INTERVAL)
+   * config.maxBackoff: cap for NoFeesAvailable / error backoff in ms (default 1h)
+   * config.finalizeTimeout: ms a started finalize may still land before it is retried (default 2 min)
+   * config.collectFees: set false to only auto-finalize
+   * config.watchOptions: passed to agent.watchBundle (websocket, pollInterval)
+   */
+  constructor(config) {
+    super();
+    this.agent = config.agent;
+    this.store = config.store || new MemoryKeeperStore();
+    this.tickInterval = config.tickInterval ?? 60_000;
+    this.feeInterval = config.feeInterval ?? FEE_COLLECTION_INTERVAL * 1000;
+    this.maxBackoff = config.maxBackoff ?? 3_600_000;
+    this.finalizeTimeout = config.finalizeTimeout ?? 120_000;
+    this.collectFees = config.collectFees ?? true;
+    this.watchOptions = config.watchOptions || {};
+    this.logger = this.agent.logger;
+
+    this.watchers = new Map();
+    this.starting = new Set();
+    this.inFlight = new Set();
+    this.timer = null;
+    this.ticking = null;
+    this.running = false;
+  }
+
+  /**
+   * Start watching a bundle. metadata: { name, symbol } plus either
+   * metadataUri or imagePath + description (uploaded once, at finalize);
+   * optional slippageBps for the finalize buy.
+   */
+  async addBundle(mint, metadata) {
+    const key = toKey(mint);
+    const { name, symbol, description, imagePath, metadataUri } = metadata || {};
+    if (!name || !symbol || !(metadataUri || (imagePath && description))) {
+      throw createInvalidArgumentError('Bundle metadata requires name + symbol and either metadataUri OR (imagePath + description)');
+    }
+
+    const existing = await this.store.get(key);
+    const record = existing
+      ? { ...existing, metadata }
+      : { mint: key, metadata, status: KEEPER_STATUS.PENDING, fees: {} };
+    await this.store.set(key, record);
+
+    if (this.running) await this.watch(key);
+    return record;
+  }
+
+  /**
+   * Stop watching a bundle and drop its record
+   */
+  async removeBundle(mint) {
+    const key = toKey(mint);
+    await this.unwatch(key);
+    await this.store.delete(key);
+  }
+
+  /**
+   * Persisted record for a bundle, or null
+   */
+  async getBundle(mint) {
+    return this.store.get(toKey(mint));
+  }
+
+  /**
+   * Watch every stored bundle and start the watch / fee / retry schedule.
+   * Rejects, leaving the keeper stopped, if the first pass fails.
+   */
+  async start() {
+    if (this.running) return this;
+    this.running = true;
+
+    // The timer is only armed once the first pass succeeds
+    try {
+      await this.tick();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    if (!this.running) return this; // stopped during the first pass
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => this.fail(null, 'tick', error));
+    }, this.tickInterval);
+
+    this.logger.info(`🤖 Keeper started (${this.watchers.size} bundles)`);
+    return this;
+  }
+
+  /**
+   * Stop all watchers and the schedule; waits for the current pass to finish
+   */
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.all([...this.watchers.keys()].map(key => this.unwatch(key)));
+    await this.ticking;
+
+    this.logger.info(`🛑 Keeper stopped`);
+  }
+
+  async watch(key) {
+    if (this.watchers.has(key) || this.starting.has(key)) return;
+
+    let watcher;
+    this.starting.add(key);
+    try {
+      watcher = await this.agent.watchBundle(key, this.watchOptions);
+    } catch (error) {
+      this.fail(key, 'watch', error);
+      return;
+    } finally {
+      this.starting.delete(key);
+    }
+
+    watcher.on('state', ({ state }) => {
+      this.checkFinalize(key, state).catch(error => this.fail(key, 'finalize', error));
+    });
+    watcher.on('error', error => this.fail(key, 'watch', error));
+    this.watchers.set(key, watcher);
+
+    await this.checkFinalize(key, watcher.state);
+  }
+
+  async unwatch(key) {
+    const watcher = this.watchers.get(key);
+    if (!watcher) return;
+    this.watchers.delete(key);
+    await watcher.stop();
+  }
+
+  /**
+   * One scheduled pass: retry finalizes that are due and collect fees
+   */
+  async tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = (async () => {
+      // Bundles whose watcher could not start (RPC down, not created yet)
+      for (const record of await this.store.list()) {
+        if (this.running && !this.watchers.has(record.mint)) await this.watch(record.mint);
+      }
+
+      for (const [key, watcher] of this.watchers) {
+        if (!this.running) break;
+        await this.checkFinalize(key, watcher.state);
+        if (this.collectFees) await this.collectBundleFees(key, watcher.state);
+      }
+    })().finally(() => {
+      this.ticking = null;
+    });
+
+    return this.ticking;
+  }
+
+  /**
+   * Finalize the bundle if the cap is reached and no finalize is (or may be) in flight
+   */
+  async checkFinalize(key, state) {
+    if (!state || this.inFlight.has(key)) return;
+
+    this.inFlight.add(key);
+    try {
+      let record = await this.store.get(key);
+      if (!record || record.status === KEEPER_STATUS.FINALIZED) return;
+
+      const realMint = getRealMint(state);
+      if (state.isFinalized || realMint) {
+        await this.store.set(key, {
+          ...record,
+          status: KEEPER_STATUS.FINALIZED,
+          realMint: realMint ? realMint.toString() : null
+        });
+        return;
+      }
+
+      if (!state.capReached || state.tradingPaused) return;
+
+      // A finalize sent before a crash/restart may still confirm; wait until its
+      // blockhash has certainly expired before trying again
+      if (record.status === KEEPER_STATUS.FINALIZING &&
+          Date.now() - record.finalizeStartedAt < this.finalizeTimeout) {
+        return;
+      }
+
+      this.emit(KEEPER_EVENTS.FINALIZING, { mint: key, state });
+      const { metadata } = record;
+
+      let metadataUri = record.metadataUri || metadata.metadataUri;
+      if (!metadataUri) {
+        metadataUri = await uploadBundleMetadata({
+          imagePath: metadata.imagePath,
+          name: metadata.name,
+          symbol: metadata.symbol,
+          description: metadata.description,
+          logger: this.logger
+        });
+      }
+
+      record = {
+        ...record,
+        metadataUri,
+        status: KEEPER_STATUS.FINALIZING,
+        finalizeStartedAt: Date.now()
+      };
+      await this.store.set(key, record);
+
+      const { signature, pumpfunMint } = await this.agent.finalize(key, {
+        name: metadata.name,
+        symbol: metadata.symbol,
+        metadataUri,
+        slippageBps: metadata.slippageBps
+      });
+
+      record = {
+        ...record,
+        status: KEEPER_STATUS.FINALIZED,
+        finalizeSignature: signature,
+        realMint: pumpfunMint.toString(),
+        lastError: null
+      };
+      await this.store.set(key, record);
+      this.emit(KEEPER_EVENTS.FINALIZED, { mint: key, signature, pumpfunMint, record });
+    } catch (error) {
+      if (error.is?.('AlreadyFinalized')) {
+        const record = await this.store.get(key);
+        await this.store.set(key, { ...record, status: KEEPER_STATUS.FINALIZED });
+        return;
+      }
+      await this.recordError(key, error);
+      this.fail(key, 'finalize', error);
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Collect each fee source that is due, earliest first. Collections share
+   * the bundle's last_fee_collection cooldown, so sources that are not due
+   * yet are deferred without sending a transaction.
+   */
+  async collectBundleFees(key, state) {
+    if (!state || this.inFlight.has(key)) return;
+
+    const record = await this.store.get(key);
+    if (!record || record.status !== KEEPER_STATUS.FINALIZED) return;
+
+    const fees = { ...record.fees };
+    const kinds = Object.keys(FEE_KINDS)
+      .sort((a, b) => (fees[a]?.nextAttemptAt || 0) - (fees[b]?.nextAttemptAt || 0));
+
+    this.inFlight.add(key);
+    try {
+      let current = state;
+      for (const kind of kinds) {
+        const schedule = fees[kind] || { failures: 0, nextAttemptAt: 0 };
+        const now = Date.now();
+        if (now < schedule.nextAttemptAt) continue;
+
+        const status = getFeeCollectionStatus(current, Math.floor(now / 1000));
+        if (!status.canCollectNow) {
+          fees[kind] = { ...schedule, nextAttemptAt: Number(status.nextFeeCollectionAt) * 1000 };
+          this.defer(key, kind, 'FeeCollectionTooSoon', fees[kind]);
+          continue;
+        }
+
+        try {
+          const signature = await this.agent[FEE_KINDS[kind]](key);
+          fees[kind] = {
+            failures: 0,
+            nextAttemptAt: Date.now() + this.feeInterval,
+            lastSignature: signature,
+            lastCollectedAt: Date.now()
+          };
+          // The collection moved last_fee_collection; the next source must wait
+          current = { ...current, lastFeeCollection: BigInt(Math.floor(Date.now() / 1000)) };
+          this.emit(KEEPER_EVENTS.FEES_COLLECTED, { mint: key, kind, signature });
+        } catch (error) {
+          if (error.is?.('FeeCollectionTooSoon')) {
+            fees[kind] = { ...schedule, nextAttemptAt: Date.now() + FEE_COLLECTION_INTERVAL * 1000 };
+            this.defer(key, kind, 'FeeCollectionTooSoon', fees[kind]);
+            continue;
+          }
+
+          const failures = schedule.failures + 1;
+          fees[kind] = {
+            ...schedule,
+            failures,
+            nextAttemptAt: Date.now() + Math.min(this.feeInterval * 2 ** (failures - 1), this.maxBackoff)
+          };
+          if (error.is?.('NoFeesAvailable')) {
+            this.defer(key, kind, 'NoFeesAvailable', fees[kind]);
+          } else {
+            this.fail(key, `collect:${kind}`, error);
+          }
+        }
+      }
+    } finally {
+      const latest = await this.store.get(key);
+      if (latest) await this.store.set(key, { ...latest, fees });
+      this.inFlight.delete(key);
+    }
+  }
+
+  defer(key, kind, reason, schedule) {
+    this.logger.debug(`⏳ ${kind} fees for ${key} deferred (${reason}) until ${new Date(schedule.nextAttemptAt).toISOString()}`);
+    this.emit(KEEPER_EVENTS.FEES_DEFERRED, { mint: key, kind, reason, nextAttemptAt: schedule.nextAttemptAt });
+  }
+
+  async recordError(key, error) {
+    const record = await this.store.get(key);
+    if (record) await this.store.set(key, { ...record, lastError: error.message });
+  }
+
+  fail(key, action, error) {
+    this.logger.warn(`⚠️  Keeper ${action} failed for ${key}: ${error.message}`);
+    // Without listeners an 'error' event would throw out of the schedule
+    if (this.listenerCount(KEEPER_EVENTS.ERROR)) {
+      this.emit(KEEPER_EVENTS.ERROR, { mint: key, action, error });
+    }
+  }
+}
+
+function toKey(mint) {
+  return toPublicKey(mint, 'mint').toString();
+}
+
+export default {
+  KEEPER_EVENTS,
+  KEEPER_STATUS,
+  MemoryKeeperStore,
+  FileKeeperStore,
+  BundlyKeeper
+};
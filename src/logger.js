@@ -0,0 +1,93 @@
+/**
+ * Bundly Agent SDK - Logging
+ *
+ * Small leveled logger used by BundlyAgent, metadata upload and the
+ * instruction builders. The default "pretty" sink keeps the familiar
+ * emoji console output; "json" writes one JSON object per line to stderr
+ * so stdout stays free for agents speaking JSON over stdio.
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+const prettySink = ({ level, msg }) => {
+  if (level === 'error') console.error(msg);
+  else if (level === 'warn') console.warn(msg);
+  else console.log(msg);
+};
+
+const jsonSink = (record) => {
+  const line = { ...record, msg: record.msg.trim() };
+  process.stderr.write(JSON.stringify(line, (_, value) => (
+    typeof value === 'bigint' ? value.toString() : value
+  )) + '\n');
+};
+
+function wrapLoggerObject(target) {
+  return ({ level, msg, time, ...fields }) => {
+    const method = typeof target[level] === 'function' ? target[level] : target.log;
+    if (typeof method !== 'function') return;
+    if (Object.keys(fields).length) method.call(target, msg, fields);
+    else method.call(target, msg);
+  };
+}
+
+/**
+ * Create a logger
+ *
+ * @param {string|Function|Object} [output='pretty'] - 'pretty', 'json', 'silent',
+ *   a sink function receiving { level, msg, time, ...fields }, or an object with
+ *   debug/info/warn/error methods (console, pino, winston, ...)
+ * @param {Object} [options]
+ * @param {string} [options.level='info'] - Minimum level to emit
+ */
+export function createLogger(output = 'pretty', { level = 'info' } = {}) {
+  if (output && typeof output === 'object' && output.isBundlyLogger) {
+    return output;
+  }
+
+  let sink;
+  if (output === 'silent' || output === false) {
+    sink = null;
+  } else if (output === 'json') {
+    sink = jsonSink;
+  } else if (typeof output === 'function') {
+    sink = output;
+  } else if (output && typeof output === 'object') {
+    sink = wrapLoggerObject(output);
+  } else {
+    sink = prettySink;
+  }
+
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const write = (recordLevel) => (msg = '', fields = {}) => {
+    if (!sink || LOG_LEVELS[recordLevel] < threshold) return;
+    // Blank spacer lines only make sense for the pretty sink
+    if (!msg && sink !== prettySink) return;
+    sink({ level: recordLevel, msg, time: new Date().toISOString(), ...fields });
+  };
+
+  return {
+    isBundlyLogger: true,
+    level,
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+  };
+}
+
+// Used by module-level helpers when no logger is passed in
+export const defaultLogger = createLogger();
+
+export default {
+  LOG_LEVELS,
+  createLogger,
+  defaultLogger
+};
@@ -7,13 +7,16 @@
 import fs from 'fs';
 import FormData from 'form-data';
 import fetch from 'node-fetch';
+import { defaultLogger } from './logger.js';
 
 /**
  * Upload image to IPFS using nft.storage (free, no API key needed for small files)
  * @param {string} imagePath - Path to image file
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger (see createLogger)
  * @returns {Promise<string>} IPFS URI (ipfs://...)
  */
-export async function uploadImageToIPFS(imagePath) {
+export async function uploadImageToIPFS(imagePath, { logger = defaultLogger } = {}) {
   if (!fs.existsSync(imagePath)) {
     throw new Error(`Image file not found: ${imagePath}`);
   }
@@ -23,8 +26,8 @@ export async function uploadImageToIPFS(imagePath) {
   const JWT = process.env.PINATA_JWT || process.env.NFT_STORAGE_KEY;
   
   if (!JWT) {
-    console.warn('⚠️  No PINATA_JWT or NFT_STORAGE_KEY found in environment');
-    console.warn('   Using mock IPFS URL for testing');
+    logger.warn('⚠️  No PINATA_JWT or NFT_STORAGE_KEY found in environment');
+    logger.warn('   Using mock IPFS URL for testing');
     return 'ipfs://QmTest123456789'; // Mock for testing
   }
 
@@ -47,7 +50,7 @@ export async function uploadImageToIPFS(imagePath) {
     const data = await response.json();
     return `ipfs://${data.IpfsHash}`;
   } catch (error) {
-    console.error('IPFS upload error:', error.message);
+    logger.error(`IPFS upload error: ${error.message}`);
     throw error;
   }
 }
@@ -59,14 +62,16 @@ export async function uploadImageToIPFS(imagePath) {
  * @param {string} metadata.symbol - Token symbol
  * @param {string} metadata.description - Token description
  * @param {string} metadata.image - IPFS URI of image
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger (see createLogger)
  * @returns {Promise<string>} Metadata URI (ipfs://...)
  */
-export async function uploadMetadataToIPFS(metadata) {
+export async function uploadMetadataToIPFS(metadata, { logger = defaultLogger } = {}) {
   const JWT = process.env.PINATA_JWT || process.env.NFT_STORAGE_KEY;
   
   if (!JWT) {
-    console.warn('⚠️  No PINATA_JWT or NFT_STORAGE_KEY found in environment');
-    console.warn('   Using mock metadata URL for testing');
+    logger.warn('⚠️  No PINATA_JWT or NFT_STORAGE_KEY found in environment');
+    logger.warn('   Using mock metadata URL for testing');
     return 'ipfs://QmTestMetadata123456789';
   }
 
@@ -109,7 +114,7 @@ export async function uploadMetadataToIPFS(metadata) {
     const data = await response.json();
     return `ipfs://${data.IpfsHash}`;
   } catch (error) {
-    console.error('Metadata upload error:', error.message);
+    logger.error(`Metadata upload error: ${error.message}`);
     throw error;
   }
 }
@@ -121,32 +126,33 @@ export async function uploadMetadataToIPFS(metadata) {
  * @param {string} options.name - Token name
  * @param {string} options.symbol - Token symbol
  * @param {string} options.description - Token description
+ * @param {Object} [options.logger] - Logger (see createLogger)
  * @returns {Promise<string>} Metadata URI
  */
 export async function uploadBundleMetadata(options) {
-  const { imagePath, name, symbol, description } = options;
+  const { imagePath, name, symbol, description, logger = defaultLogger } = options;
 
-  console.log('📤 Uploading metadata to IPFS...');
-  console.log(`   Name: ${name}`);
-  console.log(`   Symbol: ${symbol}`);
-  console.log(`   Image: ${imagePath}`);
-  console.log();
+  logger.info('📤 Uploading metadata to IPFS...');
+  logger.info(`   Name: ${name}`);
+  logger.info(`   Symbol: ${symbol}`);
+  logger.info(`   Image: ${imagePath}`);
+  logger.info();
 
   // Step 1: Upload image
-  console.log('   1/2 Uploading image...');
-  const imageUri = await uploadImageToIPFS(imagePath);
-  console.log(`   ✅ Image uploaded: ${imageUri}`);
+  logger.info('   1/2 Uploading image...');
+  const imageUri = await uploadImageToIPFS(imagePath, { logger });
+  logger.info(`   ✅ Image uploaded: ${imageUri}`);
 
   // Step 2: Upload metadata JSON
-  console.log('   2/2 Uploading metadata JSON...');
+  logger.info('   2/2 Uploading metadata JSON...');
   const metadataUri = await uploadMetadataToIPFS({
     name,
     symbol,
     description,
     image: imageUri
-  });
-  console.log(`   ✅ Metadata uploaded: ${metadataUri}`);
-  console.log();
+  }, { logger });
+  logger.info(`   ✅ Metadata uploaded: ${metadataUri}`);
+  logger.info();
 
   return metadataUri;
 }
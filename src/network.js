@@ -0,0 +1,134 @@
+/**
+ * Bundly Agent SDK - Network Profiles
+ *
+ * A network profile is the RPC endpoint plus every program / account address
+ * that can differ between deployments: the Bundly program ID, pump.fun and
+ * Pump AMM accounts, Metaplex and the global fee wallet. BundlyAgent resolves
+ * one profile per instance, so agents on different clusters or alternate
+ * Bundly deployments can run side by side in one process.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import {
+  BUNDLY_PROGRAM_ID,
+  GLOBAL_FEE_WALLET,
+  METADATA_PROGRAM_ID,
+  PUMPFUN_PROGRAM_ID,
+  PUMPFUN_GLOBAL,
+  PUMPFUN_MINT_AUTHORITY,
+  PUMPFUN_FEE_RECIPIENT,
+  PUMPFUN_GLOBAL_VOLUME,
+  PUMPFUN_FEE_PROGRAM,
+  PUMPFUN_EVENT_AUTHORITY,
+  PUMP_AMM_PROGRAM_ID,
+  PUMP_AMM_EVENT_AUTHORITY,
+  RPC_ENDPOINTS
+} from './constants.js';
+import { toPublicKey } from './accounts.js';
+import { createInvalidArgumentError } from './errors.js';
+
+// Address fields of a profile (PublicKey after resolution)
+export const NETWORK_ADDRESS_FIELDS = [
+  'programId',
+  'globalFeeWallet',
+  'metadataProgramId',
+  'pumpfunProgramId',
+  'pumpfunGlobal',
+  'pumpfunMintAuthority',
+  'pumpfunFeeRecipient',
+  'pumpfunGlobalVolume',
+  'pumpfunFeeProgram',
+  'pumpfunEventAuthority',
+  'pumpAmmProgramId',
+  'pumpAmmEventAuthority'
+];
+
+// Addresses of the public Bundly deployment (identical on devnet and mainnet)
+const BUNDLY_DEPLOYMENT = {
+  programId: BUNDLY_PROGRAM_ID,
+  globalFeeWallet: GLOBAL_FEE_WALLET,
+  metadataProgramId: METADATA_PROGRAM_ID,
+  pumpfunProgramId: PUMPFUN_PROGRAM_ID,
+  pumpfunGlobal: PUMPFUN_GLOBAL,
+  pumpfunMintAuthority: PUMPFUN_MINT_AUTHORITY,
+  pumpfunFeeRecipient: PUMPFUN_FEE_RECIPIENT,
+  pumpfunGlobalVolume: PUMPFUN_GLOBAL_VOLUME,
+  pumpfunFeeProgram: PUMPFUN_FEE_PROGRAM,
+  pumpfunEventAuthority: PUMPFUN_EVENT_AUTHORITY,
+  pumpAmmProgramId: PUMP_AMM_PROGRAM_ID,
+  pumpAmmEventAuthority: PUMP_AMM_EVENT_AUTHORITY
+};
+
+/**
+ * Named presets. localnet assumes a local validator with the Bundly program
+ * deployed at its usual address and pump.fun / Metaplex cloned
+ * (solana-test-validator --clone ...); override any address that differs.
+ * custom has no RPC endpoint: pass rpcUrl (and the addresses that differ).
+ */
+export const NETWORK_PROFILES = {
+  localnet: { name: 'localnet', rpcUrl: RPC_ENDPOINTS.localnet, airdrop: true, ...BUNDLY_DEPLOYMENT },
+  devnet: { name: 'devnet', rpcUrl: RPC_ENDPOINTS.devnet, airdrop: true, ...BUNDLY_DEPLOYMENT },
+  mainnet: { name: 'mainnet', rpcUrl: RPC_ENDPOINTS.mainnet, airdrop: false, ...BUNDLY_DEPLOYMENT },
+  custom: { name: 'custom', rpcUrl: null, airdrop: false, ...BUNDLY_DEPLOYMENT }
+};
+
+/**
+ * Resolve a network profile.
+ * network: preset name ('localnet' | 'devnet' | 'mainnet' | 'custom') or a
+ * profile object (unset fields fall back to its `extends` preset, default devnet).
+ * overrides: fields applied on top (rpcUrl, programId, pumpfunGlobal, ...).
+ * Address fields may be base58 strings; the result always holds PublicKeys.
+ */
+export function resolveNetworkProfile(network = 'devnet', overrides = {}) {
+  let base;
+  let fields;
+  if (typeof network === 'string') {
+    base = getPreset(network);
+    fields = {};
+  } else {
+    // Only the merged profile is validated: { extends: 'custom', rpcUrl } is complete
+    base = getPreset(network.extends || 'devnet');
+    fields = { name: 'custom', ...network };
+    delete fields.extends;
+  }
+
+  const profile = { ...base, ...stripUndefined(fields), ...stripUndefined(overrides) };
+  for (const field of NETWORK_ADDRESS_FIELDS) {
+    profile[field] = typeof profile[field] === 'string' ? toPublicKey(profile[field], field) : profile[field];
+  }
+
+  if (!profile.rpcUrl) {
+    throw createInvalidArgumentError(`Network "${profile.name}" has no RPC endpoint; pass rpcUrl`);
+  }
+  return profile;
+}
+
+/**
+ * pump.fun FeeConfig PDA for a profile
+ */
+export function getPumpfunFeeConfig(profile = NETWORK_PROFILES.devnet) {
+  const [feeConfig] = PublicKey.findProgramAddressSync(
+    [Buffer.from('fee_config'), profile.pumpfunProgramId.toBuffer()],
+    profile.pumpfunFeeProgram
+  );
+  return feeConfig;
+}
+
+function getPreset(name) {
+  const preset = NETWORK_PROFILES[name];
+  if (!preset) {
+    throw createInvalidArgumentError(`Unknown network "${name}" (expected ${Object.keys(NETWORK_PROFILES).join(', ')} or a profile object)`);
+  }
+  return preset;
+}
+
+function stripUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+export default {
+  NETWORK_ADDRESS_FIELDS,
+  NETWORK_PROFILES,
+  resolveNetworkProfile,
+  getPumpfunFeeConfig
+};
@@ -0,0 +1,89 @@
+/**
+ * Bundly Agent SDK - OTC Order Book
+ * 
+ * Helpers for discovering OrderState accounts on-chain and arranging
+ * them into a bid/ask book.
+ */
+
+import bs58 from 'bs58';
+import { getAccountFieldOffset, getAccountDiscriminatorFilter } from './state.js';
+import { createInvalidArgumentError } from './errors.js';
+
+export const ORDER_SIDE = {
+  BUY: 'buy',
+  SELL: 'sell'
+};
+
+/**
+ * Build getProgramAccounts filters for OrderState accounts of a mint,
+ * optionally narrowed to one side and/or one maker. The discriminator alone
+ * identifies OrderState; no dataSize filter, so accounts allocated with padding
+ * or reallocated by a program upgrade still match.
+ */
+export function buildOrderFilters({ mint, side, maker } = {}) {
+  const filters = [getAccountDiscriminatorFilter('OrderState')];
+  
+  if (mint) {
+    filters.push({
+      memcmp: { offset: getAccountFieldOffset('OrderState', 'mint'), bytes: mint.toBase58() }
+    });
+  }
+  
+  if (maker) {
+    filters.push({
+      memcmp: { offset: getAccountFieldOffset('OrderState', 'maker'), bytes: maker.toBase58() }
+    });
+  }
+  
+  if (side) {
+    if (side !== ORDER_SIDE.BUY && side !== ORDER_SIDE.SELL) {
+      throw createInvalidArgumentError(`side must be '${ORDER_SIDE.BUY}' or '${ORDER_SIDE.SELL}'`);
+    }
+    filters.push({
+      memcmp: {
+        offset: getAccountFieldOffset('OrderState', 'isBuySide'),
+        bytes: bs58.encode(Buffer.from([side === ORDER_SIDE.BUY ? 1 : 0]))
+      }
+    });
+  }
+  
+  return filters;
+}
+
+function compareBigInt(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Arrange decoded orders into a book.
+ * Bids: highest price first. Asks: lowest price first. Ties go to the older order.
+ */
+export function buildOrderBook(orders) {
+  const open = orders.filter(order => order.amount > 0n);
+  
+  const bids = open
+    .filter(order => order.isBuySide)
+    .sort((a, b) => compareBigInt(b.price, a.price) || compareBigInt(a.createdAt, b.createdAt));
+  
+  const asks = open
+    .filter(order => !order.isBuySide)
+    .sort((a, b) => compareBigInt(a.price, b.price) || compareBigInt(a.createdAt, b.createdAt));
+  
+  const bestBid = bids[0] || null;
+  const bestAsk = asks[0] || null;
+  
+  return {
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    spread: bestBid && bestAsk ? bestAsk.price - bestBid.price : null
+  };
+}
+
+export default {
+  ORDER_SIDE,
+  buildOrderFilters,
+  buildOrderBook
+};
@@ -0,0 +1,275 @@
+/**
+ * Bundly Agent SDK - Portfolio
+ *
+ * One-call view of every Bundly position of a wallet: bundles whose bToken it
+ * holds (SPL Token or Token-2022), stakes, pending unstakes and open OTC
+ * orders, each joined with the decoded BundleState and valued in SOL.
+ *
+ * Reads are batched: two token-account queries, two filtered
+ * getProgramAccounts (UserStake by owner, OrderState by maker) and chunked
+ * getMultipleAccountsInfo for bundle PDAs, unstake requests, mints and
+ * pump.fun bonding curves.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, unpackMint } from '@solana/spl-token';
+import { PUMP_SDK } from '@pump-fun/pump-sdk';
+import { BUNDLY_PROGRAM_ID } from './constants.js';
+import { NETWORK_PROFILES } from './network.js';
+import { deriveBundlePda, deriveUnstakeRequestPda } from './accounts.js';
+import {
+  getAccountFieldOffset,
+  getAccountDiscriminatorFilter,
+  decodeBundleView,
+  decodeUserStake,
+  decodeUnstakeRequest,
+  decodeOrderState,
+  summarizeStakePosition,
+  summarizeStakeValue,
+  getRealMint
+} from './state.js';
+import { ORDER_SIDE, buildOrderFilters } from './orderbook.js';
+import { quotePresaleExitFromState } from './quotes.js';
+import { fetchPumpfunGlobal, derivePumpfunBondingCurve, quotePumpfunSell } from './pumpfun.js';
+import { formatSol } from './amounts.js';
+import { SDK_ERROR_CODES } from './errors.js';
+
+// getMultipleAccountsInfo accepts at most 100 keys per request
+const MULTIPLE_ACCOUNTS_LIMIT = 100;
+
+// How a position's SOL value was derived
+export const PORTFOLIO_VALUE_SOURCE = {
+  // pre-finalization: presale exit quote (SOL back after the 1% tax)
+  PRESALE_EXIT: 'presaleExit',
+  // finalized: real tokens sold into the pump.fun bonding curve
+  BONDING_CURVE: 'bondingCurve',
+  // nothing held
+  EMPTY: 'empty'
+};
+
+/**
+ * getProgramAccounts filters for the UserStake accounts of one owner
+ * (discriminator + owner; no dataSize, see buildOrderFilters)
+ */
+export function buildUserStakeFilters(owner) {
+  return [
+    getAccountDiscriminatorFilter('UserStake'),
+    { memcmp: { offset: getAccountFieldOffset('UserStake', 'owner'), bytes: owner.toBase58() } }
+  ];
+}
+
+/**
+ * Fetch the Bundly portfolio of `owner`
+ *
+ * Returns { owner, bundles, totalValueLamports, totalValueSol, unpriced }.
+ * Each bundle: { mint, bundlePda, state, phase, btoken, realToken, stake,
+ *   unstake, orders, rewards, value }. Amounts are raw bigint; value.lamports
+ *   is null when the position cannot be priced (graduated to Pump AMM) and its
+ *   mint is listed in `unpriced`. Open OTC orders are listed but not valued.
+ * `network` (pump.fun addresses for pricing) defaults to the devnet profile;
+ *   pass the agent's networkProfile for any other deployment.
+ */
+export async function fetchPortfolio({
+  connection,
+  owner,
+  programId = BUNDLY_PROGRAM_ID,
+  network = NETWORK_PROFILES.devnet,
+  commitment,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  const [splTokens, token2022Tokens, stakeAccounts, orderAccounts] = await Promise.all([
+    connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_PROGRAM_ID }, commitment),
+    connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_2022_PROGRAM_ID }, commitment),
+    connection.getProgramAccounts(programId, { commitment, filters: buildUserStakeFilters(owner) }),
+    connection.getProgramAccounts(programId, { commitment, filters: buildOrderFilters({ maker: owner }) })
+  ]);
+
+  const holdings = collectHoldings([...splTokens.value, ...token2022Tokens.value]);
+
+  const userStakes = new Map();
+  for (const { account } of stakeAccounts) {
+    const userStake = decodeUserStake(account.data);
+    userStakes.set(userStake.bundle.toString(), userStake);
+  }
+
+  const orders = orderAccounts
+    .map(({ pubkey, account }) => {
+      const order = decodeOrderState(account.data);
+      return { order: pubkey, ...order, side: order.isBuySide ? ORDER_SIDE.BUY : ORDER_SIDE.SELL };
+    })
+    .filter(order => order.amount > 0n);
+
+  // Candidate bundles: every held mint or order mint with a bundle PDA, plus staked bundles
+  const candidates = new Map();
+  const heldMints = [...holdings.values()].filter(h => h.amount > 0n).map(h => h.mint);
+  for (const mint of [...heldMints, ...orders.map(o => o.mint)]) {
+    const [bundlePda] = await deriveBundlePda(mint, programId);
+    candidates.set(bundlePda.toString(), bundlePda);
+  }
+  for (const userStake of userStakes.values()) {
+    candidates.set(userStake.bundle.toString(), userStake.bundle);
+  }
+
+  const bundlePdas = [...candidates.values()];
+  const bundleInfos = await getMultipleAccountsChunked(connection, bundlePdas, commitment);
+  const bundles = [];
+  bundlePdas.forEach((bundlePda, index) => {
+    if (!bundleInfos[index]) return;
+    bundles.push({ bundlePda, state: decodeBundleView(bundleInfos[index].data, bundlePda) });
+  });
+
+  // Second batch: unstake requests, mints without a held balance, bonding curves
+  const unstakeRequestPdas = [];
+  for (const { bundlePda } of bundles) {
+    const [unstakeRequestPda] = await deriveUnstakeRequestPda(bundlePda, owner, programId);
+    unstakeRequestPdas.push(unstakeRequestPda);
+  }
+  const missingMints = bundles
+    .flatMap(({ state }) => [state.mint, getRealMint(state)])
+    .filter(mint => mint && !holdings.has(mint.toString()));
+  const finalized = bundles.filter(({ state }) => getRealMint(state));
+  const bondingCurvePdas = finalized.map(({ state }) => derivePumpfunBondingCurve(state.realMint, network));
+
+  const [secondBatch, pumpfun] = await Promise.all([
+    getMultipleAccountsChunked(connection, [...unstakeRequestPdas, ...missingMints, ...bondingCurvePdas], commitment),
+    // Without pump.fun (e.g. a bare localnet) finalized positions are left unpriced
+    finalized.length ? fetchPumpfunGlobal(connection, network).catch(error => {
+      if (error.is?.(SDK_ERROR_CODES.PUMPFUN_NOT_FOUND)) return null;
+      throw error;
+    }) : null
+  ]);
+  const unstakeInfos = secondBatch.slice(0, unstakeRequestPdas.length);
+  const mintInfos = secondBatch.slice(unstakeRequestPdas.length, unstakeRequestPdas.length + missingMints.length);
+  const curveInfos = secondBatch.slice(unstakeRequestPdas.length + missingMints.length);
+
+  const decimals = new Map([...holdings.values()].map(h => [h.mint.toString(), h.decimals]));
+  missingMints.forEach((mint, index) => {
+    const info = mintInfos[index];
+    if (info) decimals.set(mint.toString(), unpackMint(mint, info, info.owner).decimals);
+  });
+  const bondingCurves = new Map();
+  finalized.forEach(({ state }, index) => {
+    const info = curveInfos[index];
+    bondingCurves.set(state.realMint.toString(), info ? PUMP_SDK.decodeBondingCurveNullable(info) : null);
+  });
+
+  const positions = bundles.map(({ bundlePda, state }, index) => {
+    const unstakeInfo = unstakeInfos[index];
+    return summarizePosition({
+      bundlePda,
+      state,
+      holdings,
+      decimals,
+      userStake: userStakes.get(bundlePda.toString()) || null,
+      unstakeRequest: unstakeInfo ? decodeUnstakeRequest(unstakeInfo.data) : null,
+      orders: orders.filter(order => order.mint.equals(state.mint)),
+      pumpfun,
+      bondingCurve: getRealMint(state) ? bondingCurves.get(state.realMint.toString()) : null,
+      now
+    });
+  });
+
+  const totalValueLamports = positions.reduce((total, position) => total + (position.value.lamports ?? 0n), 0n);
+
+  return {
+    owner,
+    bundles: positions,
+    totalValueLamports,
+    totalValueSol: formatSol(totalValueLamports),
+    unpriced: positions.filter(position => position.value.lamports === null).map(position => position.mint)
+  };
+}
+
+/**
+ * Join one bundle's accounts into a portfolio entry and value it in SOL
+ */
+export function summarizePosition({
+  bundlePda,
+  state,
+  holdings,
+  decimals,
+  userStake = null,
+  unstakeRequest = null,
+  orders = [],
+  pumpfun = null,
+  bondingCurve = null,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  const realMint = getRealMint(state);
+  const btokenAmount = holdings.get(state.mint.toString())?.amount ?? 0n;
+  const realAmount = realMint ? holdings.get(realMint.toString())?.amount ?? 0n : 0n;
+  const stake = {
+    userStake,
+    unstakeRequest,
+    ...summarizeStakePosition(userStake, unstakeRequest, now)
+  };
+  const rewards = summarizeStakeValue(state, userStake, btokenAmount, now);
+
+  let value;
+  if (!realMint) {
+    value = btokenAmount > 0n
+      ? { lamports: quotePresaleExitFromState(state, btokenAmount).solOut, source: PORTFOLIO_VALUE_SOURCE.PRESALE_EXIT }
+      : { lamports: 0n, source: PORTFOLIO_VALUE_SOURCE.EMPTY };
+    value.realTokens = 0n;
+  } else {
+    const realTokens = realAmount + rewards.redeemable + (stake.unstake?.pending ?? 0n);
+    if (realTokens === 0n) {
+      value = { lamports: 0n, source: PORTFOLIO_VALUE_SOURCE.EMPTY };
+    } else {
+      const lamportsOut = pumpfun ? quotePumpfunSell({ ...pumpfun, bondingCurve, amount: realTokens }) : null;
+      value = lamportsOut
+        ? { lamports: BigInt(lamportsOut.toString()), source: PORTFOLIO_VALUE_SOURCE.BONDING_CURVE }
+        : { lamports: null, source: null };
+    }
+    value.realTokens = realTokens;
+  }
+
+  return {
+    mint: state.mint,
+    bundlePda,
+    state,
+    phase: state.phase,
+    btoken: { mint: state.mint, amount: btokenAmount, decimals: decimals.get(state.mint.toString()) ?? null },
+    realToken: realMint
+      ? { mint: realMint, amount: realAmount, decimals: decimals.get(realMint.toString()) ?? null }
+      : null,
+    stake,
+    unstake: stake.unstake,
+    orders,
+    rewards,
+    value
+  };
+}
+
+// Sum parsed token accounts per mint (an owner can hold several accounts per mint)
+function collectHoldings(tokenAccounts) {
+  const holdings = new Map();
+  for (const { account } of tokenAccounts) {
+    const { mint, tokenAmount } = account.data.parsed.info;
+    const holding = holdings.get(mint) || {
+      mint: new PublicKey(mint),
+      amount: 0n,
+      decimals: tokenAmount.decimals,
+      tokenProgram: account.owner
+    };
+    holding.amount += BigInt(tokenAmount.amount);
+    holdings.set(mint, holding);
+  }
+  return holdings;
+}
+
+async function getMultipleAccountsChunked(connection, keys, commitment) {
+  const results = [];
+  for (let i = 0; i < keys.length; i += MULTIPLE_ACCOUNTS_LIMIT) {
+    const chunk = keys.slice(i, i + MULTIPLE_ACCOUNTS_LIMIT);
+    results.push(...await connection.getMultipleAccountsInfo(chunk, commitment));
+  }
+  return results;
+}
+
+export default {
+  PORTFOLIO_VALUE_SOURCE,
+  buildUserStakeFilters,
+  fetchPortfolio,
+  summarizePosition
+};
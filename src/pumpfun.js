@@ -0,0 +1,169 @@
+/**
+ * Bundly Agent SDK - pump.fun Launch Math
+ *
+ * finalize_pumpfun spends the bundle escrow on the first buy of a fresh
+ * pump.fun bonding curve. Reserves, fees and the graduation point are read
+ * from the live pump.fun Global / FeeConfig accounts and priced with
+ * @pump-fun/pump-sdk's own curve math, so minTokensOut follows pump.fun
+ * parameter changes instead of hard-coded constants.
+ */
+
+import BN from 'bn.js';
+import { PublicKey } from '@solana/web3.js';
+import {
+  PUMP_SDK,
+  getBuyTokenAmountFromSolAmount,
+  getBuySolAmountFromTokenAmount,
+  getSellSolAmountFromTokenAmount
+} from '@pump-fun/pump-sdk';
+import { NETWORK_PROFILES, getPumpfunFeeConfig } from './network.js';
+import { BundlyError, SDK_ERROR_CODES, createInvalidArgumentError } from './errors.js';
+import { formatSol } from './amounts.js';
+import { defaultLogger } from './logger.js';
+
+// finalize_pumpfun keeps rent for the staking + fee vaults and this buffer out of the buy
+export const FINALIZE_BUFFER_LAMPORTS = 10_000_000;
+
+// Default tolerance below the quoted tokens for the finalize buy (10%)
+export const DEFAULT_FINALIZE_SLIPPAGE_BPS = 1000;
+
+const TOKEN_ACCOUNT_SIZE = 165;
+
+/**
+ * Fetch and decode the pump.fun Global account (and FeeConfig, null if absent)
+ * `network` is a network profile (see network.js); defaults to devnet addresses
+ */
+export async function fetchPumpfunGlobal(connection, network = NETWORK_PROFILES.devnet) {
+  const [globalInfo, feeConfigInfo] = await connection.getMultipleAccountsInfo([
+    network.pumpfunGlobal,
+    getPumpfunFeeConfig(network)
+  ]);
+
+  if (!globalInfo) {
+    throw new BundlyError(`pump.fun Global account ${network.pumpfunGlobal.toString()} not found`, {
+      code: SDK_ERROR_CODES.PUMPFUN_NOT_FOUND,
+      hint: 'The RPC endpoint must point at a cluster where pump.fun is deployed (devnet / mainnet), or clone it into your local validator.'
+    });
+  }
+
+  return {
+    global: PUMP_SDK.decodeGlobal(globalInfo),
+    feeConfig: feeConfigInfo ? PUMP_SDK.decodeFeeConfig(feeConfigInfo) : null
+  };
+}
+
+/**
+ * Quote the first buy of `lamports` on a fresh bonding curve
+ * Returns { tokensOut, graduationLamports, graduates } (BN amounts)
+ * graduationLamports = SOL (fees included) that buys out the real token reserves
+ */
+export function quotePumpfunLaunch({ global, feeConfig, lamports }) {
+  const amount = new BN(lamports.toString());
+  const curve = { global, feeConfig, mintSupply: null, bondingCurve: null };
+
+  const tokensOut = getBuyTokenAmountFromSolAmount({ ...curve, amount });
+  const graduationLamports = getBuySolAmountFromTokenAmount({
+    ...curve,
+    amount: global.initialRealTokenReserves
+  });
+
+  return {
+    tokensOut,
+    graduationLamports,
+    graduates: amount.gte(graduationLamports)
+  };
+}
+
+/**
+ * pump.fun bonding curve PDA of a token mint for a profile's pump.fun program
+ */
+export function derivePumpfunBondingCurve(mint, network = NETWORK_PROFILES.devnet) {
+  const [bondingCurve] = PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), mint.toBuffer()],
+    network.pumpfunProgramId
+  );
+  return bondingCurve;
+}
+
+/**
+ * Quote selling `amount` raw tokens into a decoded bonding curve
+ * Returns lamports out after fees (BN), or null once the curve is complete
+ * (the token trades on Pump AMM instead)
+ */
+export function quotePumpfunSell({ global, feeConfig, bondingCurve, amount }) {
+  if (!bondingCurve || bondingCurve.complete) return null;
+  return getSellSolAmountFromTokenAmount({
+    global,
+    feeConfig,
+    mintSupply: bondingCurve.tokenTotalSupply,
+    bondingCurve,
+    amount: new BN(amount.toString())
+  });
+}
+
+/**
+ * Compute minTokensOut for finalize_pumpfun from the escrow balance and live
+ * pump.fun parameters. Throws a BundlyError instead of dropping slippage
+ * protection when anything needed for the quote is missing.
+ */
+export async function calculateFinalizeMinTokensOut(connection, escrowPda, {
+  slippageBps = DEFAULT_FINALIZE_SLIPPAGE_BPS,
+  logger = defaultLogger,
+  network = NETWORK_PROFILES.devnet
+} = {}) {
+  if (slippageBps < 0 || slippageBps > 10_000) {
+    throw createInvalidArgumentError('slippageBps must be between 0 and 10000');
+  }
+
+  const [escrowBalance, vaultRent, pumpfun] = await Promise.all([
+    connection.getBalance(escrowPda),
+    connection.getMinimumBalanceForRentExemption(TOKEN_ACCOUNT_SIZE),
+    fetchPumpfunGlobal(connection, network)
+  ]);
+
+  // Staking vault + fee vault rent and the buffer are not spent on the buy
+  const costs = new BN(vaultRent).muln(2).addn(FINALIZE_BUFFER_LAMPORTS);
+  const solToSpend = new BN(escrowBalance).sub(costs);
+  if (solToSpend.lten(0)) {
+    throw new BundlyError(
+      `Escrow balance ${escrowBalance} lamports does not cover finalize costs (${costs.toString()} lamports)`,
+      { hint: 'The bundle must collect more SOL before it can launch.' }
+    );
+  }
+
+  const { tokensOut, graduationLamports, graduates } = quotePumpfunLaunch({
+    ...pumpfun,
+    lamports: solToSpend
+  });
+  if (tokensOut.lten(0)) {
+    throw new BundlyError('pump.fun quote returned 0 tokens for the finalize buy', {
+      hint: 'Pass minTokensOut explicitly to finalize() if pump.fun parameters changed.'
+    });
+  }
+
+  const minTokensOut = tokensOut.muln(10_000 - slippageBps).divn(10_000);
+
+  logger.info(`📊 Bonding Curve Calculation:`);
+  logger.info(`   Escrow Balance: ${formatSol(escrowBalance)} SOL`);
+  logger.info(`   SOL to Spend: ${solToSpend.toString()} lamports`);
+  logger.info(`   Initial reserves: ${pumpfun.global.initialVirtualSolReserves.toString()} lamports SOL, ${pumpfun.global.initialVirtualTokenReserves.toString()} tokens`);
+  logger.info(`   Tokens Expected: ${tokensOut.toString()}`);
+  logger.info(`   Min Tokens (-${slippageBps / 100}%): ${minTokensOut.toString()}`);
+
+  if (!graduates) {
+    logger.warn(`⚠️  WARNING: Graduation requires ${graduationLamports.toString()} lamports, the buy spends ${solToSpend.toString()}`);
+    logger.warn(`   Token will NOT graduate - it will stay on the bonding curve`);
+  }
+
+  return { minTokensOut, tokensOut, solToSpend, graduationLamports, graduates };
+}
+
+export default {
+  FINALIZE_BUFFER_LAMPORTS,
+  DEFAULT_FINALIZE_SLIPPAGE_BPS,
+  fetchPumpfunGlobal,
+  quotePumpfunLaunch,
+  derivePumpfunBondingCurve,
+  quotePumpfunSell,
+  calculateFinalizeMinTokensOut
+};
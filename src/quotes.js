@@ -0,0 +1,128 @@
+/**
+ * Bundly Agent SDK - Quotes
+ *
+ * Off-chain quotes for presale actions computed from a decoded BundleState,
+ * so agents know the outcome (and can set slippage bounds) before sending.
+ * All amounts are raw units (lamports / base token units) as bigint.
+ *
+ * Presale pricing is fixed: total_supply bTokens for cap_lamports, i.e.
+ * tokens = net_lamports * total_supply / cap_lamports. The 1% protocol tax
+ * (PROTOCOL_TAX_BPS) is taken from the SOL amount and sent to the global fee
+ * wallet; only the net amount counts towards collected_lamports.
+ *
+ * Presale exits burn bTokens for their proportional share of collected_lamports,
+ * again minus the 1% protocol tax.
+ *
+ * These mirror the program's swap / presale_exit handlers. The program source
+ * is not part of this repo; the IDL pins the inputs (swap(amount_lamports,
+ * min_tokens_out), init_bundle's cap_lamports / total_supply), the failure
+ * modes (CapExceeded 6003 on collected_lamports + net > cap_lamports,
+ * SupplyExceeded 6004, AmountTooSmall 6030 below MIN_SWAP_AMOUNT) and the
+ * presale_exit rule ("proportional SOL from escrow minus 1% protocol fee").
+ * test/quotes.test.js fixes the arithmetic with concrete numbers, including
+ * integer rounding (fee and tokens floor), so any drift shows up there.
+ */
+
+import {
+  PROTOCOL_TAX_BPS,
+  MIN_SWAP_AMOUNT,
+  TOKEN_DECIMALS,
+  LAMPORTS_PER_SOL
+} from './constants.js';
+import { createInvalidArgumentError } from './errors.js';
+
+const BPS_DENOMINATOR = 10_000n;
+
+/**
+ * Lower an expected amount by `slippageBps` (100 = 1%)
+ */
+export function applySlippage(amount, slippageBps) {
+  const bps = BigInt(slippageBps);
+  if (bps < 0n || bps > BPS_DENOMINATOR) {
+    throw createInvalidArgumentError('slippageBps must be between 0 and 10000');
+  }
+  return (BigInt(amount) * (BPS_DENOMINATOR - bps)) / BPS_DENOMINATOR;
+}
+
+/**
+ * Quote a buy (swap) of `amountLamports` against a decoded BundleState
+ *
+ * Returns { amountLamports, feeLamports, netLamports, tokensOut, price,
+ *   lamportsPerToken, remainingLamports, collectedAfter, exceedsCap,
+ *   belowMinimum, exceedsSupply, isFinalized, tradingPaused, canBuy }
+ * price is SOL per whole token (number, for display); lamportsPerToken is exact.
+ */
+export function quoteBuyFromState(state, amountLamports, { decimals = TOKEN_DECIMALS } = {}) {
+  const amount = BigInt(amountLamports);
+  const { capLamports, collectedLamports, totalSupply, totalBtokenSupply } = state;
+
+  const feeLamports = (amount * BigInt(PROTOCOL_TAX_BPS)) / BPS_DENOMINATOR;
+  const netLamports = amount - feeLamports;
+  const tokensOut = capLamports > 0n ? (netLamports * totalSupply) / capLamports : 0n;
+
+  const unit = 10n ** BigInt(decimals);
+  const lamportsPerToken = totalSupply > 0n ? (capLamports * unit) / totalSupply : 0n;
+  const remainingLamports = capLamports > collectedLamports ? capLamports - collectedLamports : 0n;
+  const collectedAfter = collectedLamports + netLamports;
+
+  const exceedsCap = collectedAfter > capLamports;
+  const belowMinimum = amount < BigInt(MIN_SWAP_AMOUNT);
+  const exceedsSupply = totalBtokenSupply + tokensOut > totalSupply;
+
+  return {
+    amountLamports: amount,
+    feeLamports,
+    netLamports,
+    tokensOut,
+    price: Number(lamportsPerToken) / LAMPORTS_PER_SOL,
+    lamportsPerToken,
+    remainingLamports,
+    collectedAfter,
+    exceedsCap,
+    belowMinimum,
+    exceedsSupply,
+    isFinalized: state.isFinalized,
+    tradingPaused: state.tradingPaused,
+    canBuy: !exceedsCap && !belowMinimum && !exceedsSupply && !state.isFinalized && !state.tradingPaused
+  };
+}
+
+/**
+ * Quote a presale exit of `amountBtoken` (raw) against a decoded BundleState
+ *
+ * Returns { amountBtoken, grossLamports, feeLamports, solOut, collectedBefore,
+ *   collectedAfter, fillPctAfter, btokenSupplyAfter, isFinalized, tradingPaused,
+ *   canExit }
+ * collectedAfter / fillPctAfter show the effect on the fundraise.
+ */
+export function quotePresaleExitFromState(state, amountBtoken) {
+  const amount = BigInt(amountBtoken);
+  const { capLamports, collectedLamports, totalBtokenSupply } = state;
+
+  const grossLamports = totalBtokenSupply > 0n
+    ? (amount * collectedLamports) / totalBtokenSupply
+    : 0n;
+  const feeLamports = (grossLamports * BigInt(PROTOCOL_TAX_BPS)) / BPS_DENOMINATOR;
+  const collectedAfter = collectedLamports > grossLamports ? collectedLamports - grossLamports : 0n;
+  const fillBpsAfter = capLamports > 0n ? (collectedAfter * BPS_DENOMINATOR) / capLamports : 0n;
+
+  return {
+    amountBtoken: amount,
+    grossLamports,
+    feeLamports,
+    solOut: grossLamports - feeLamports,
+    collectedBefore: collectedLamports,
+    collectedAfter,
+    fillPctAfter: Number(fillBpsAfter) / 100,
+    btokenSupplyAfter: totalBtokenSupply > amount ? totalBtokenSupply - amount : 0n,
+    isFinalized: state.isFinalized,
+    tradingPaused: state.tradingPaused,
+    canExit: !state.isFinalized && !state.tradingPaused && amount > 0n && amount <= totalBtokenSupply
+  };
+}
+
+export default {
+  applySlippage,
+  quoteBuyFromState,
+  quotePresaleExitFromState
+};
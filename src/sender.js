@@ -0,0 +1,160 @@
+/**
+ * Bundly Agent SDK - Transaction Sender
+ *
+ * Rebroadcasts a signed transaction until it reaches the target commitment
+ * or its blockhash expires. On expiry the signature status is checked
+ * (with history search) before a rebuilt transaction is sent, so a
+ * transaction that landed late is never executed twice.
+ */
+
+import bs58 from 'bs58';
+import { VersionedTransaction } from '@solana/web3.js';
+import { BundlyTransactionError } from './errors.js';
+
+const COMMITMENT_RANK = {
+  processed: 0,
+  confirmed: 1,
+  finalized: 2
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Base58 signature of the fee payer for a signed transaction
+ */
+export function getTransactionSignature(transaction) {
+  const raw = transaction instanceof VersionedTransaction
+    ? transaction.signatures[0]
+    : transaction.signature;
+  if (!raw) {
+    throw new Error('Transaction is not signed');
+  }
+  return bs58.encode(raw);
+}
+
+function reachedCommitment(status, commitment) {
+  if (!status?.confirmationStatus) return false;
+  return COMMITMENT_RANK[status.confirmationStatus] >= COMMITMENT_RANK[commitment];
+}
+
+async function findLandedStatus(connection, signatures) {
+  const { value } = await connection.getSignatureStatuses(signatures, {
+    searchTransactionHistory: true
+  });
+  const index = value.findIndex(status => status !== null);
+  return index === -1 ? null : { signature: signatures[index], status: value[index] };
+}
+
+/**
+ * Send a transaction with rebroadcast and blockhash-expiry retry
+ *
+ * @param {Object} params
+ * @param {Connection} params.connection
+ * @param {(attempt: number) => Promise<{ transaction, lastValidBlockHeight }>} params.buildSigned
+ *   Returns a freshly signed transaction; attempt > 0 must use a new blockhash
+ * @param {string} [params.commitment='confirmed'] - Target commitment
+ * @param {number} [params.maxAttempts=3] - Blockhashes to try before giving up
+ * @param {number} [params.rebroadcastInterval=2000] - ms between rebroadcasts / status polls
+ * @param {number} [params.maxRebroadcasts=30] - Rebroadcasts per blockhash
+ * @param {Function} [params.onSent] - Called with (signature, attempt) after each first send
+ * @returns {Promise<{ signature, err, slot, signatures }>} err is the on-chain error, if any
+ */
+export async function sendWithRebroadcast({
+  connection,
+  buildSigned,
+  commitment = 'confirmed',
+  maxAttempts = 3,
+  rebroadcastInterval = 2000,
+  maxRebroadcasts = 30,
+  onSent
+}) {
+  const signatures = [];
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const { transaction, lastValidBlockHeight } = await buildSigned(attempt);
+    const rawTransaction = transaction.serialize();
+    const signature = getTransactionSignature(transaction);
+    signatures.push(signature);
+
+    // First send runs preflight so program errors surface immediately
+    await connection.sendRawTransaction(rawTransaction, {
+      skipPreflight: false,
+      preflightCommitment: commitment,
+      maxRetries: 0
+    });
+    if (onSent) onSent(signature, attempt);
+
+    let rebroadcasts = 0;
+    for (;;) {
+      await sleep(rebroadcastInterval);
+
+      const { value: [status] } = await connection.getSignatureStatuses([signature]);
+      if (status?.err) {
+        return { signature, err: status.err, slot: status.slot, signatures };
+      }
+      if (reachedCommitment(status, commitment)) {
+        return { signature, err: null, slot: status.slot, signatures };
+      }
+
+      const blockHeight = await connection.getBlockHeight(commitment);
+      if (blockHeight > lastValidBlockHeight) break;
+
+      // Not seen by the cluster yet: push it to the leader again (a processed
+      // transaction is already in a block and only needs more confirmations)
+      if (!status && rebroadcasts < maxRebroadcasts) {
+        rebroadcasts++;
+        await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 })
+          .catch(() => {});
+      }
+    }
+
+    // Blockhash expired: make sure none of our attempts landed before rebuilding
+    const landed = await findLandedStatus(connection, signatures);
+    if (landed) {
+      return waitForCommitment(connection, landed, { commitment, rebroadcastInterval, maxPolls: maxRebroadcasts, signatures });
+    }
+  }
+
+  const error = new BundlyTransactionError(
+    `Transaction was not confirmed (${commitment}) before its blockhash expired, after ${maxAttempts} attempt(s)`,
+    {
+      retryable: true,
+      signature: signatures[signatures.length - 1] || null,
+      hint: 'The network may be congested; raise the priority fee and retry. None of the attempted signatures landed.'
+    }
+  );
+  error.signatures = signatures;
+  throw error;
+}
+
+/**
+ * A signature landed after its blockhash expired; wait for the target commitment
+ */
+async function waitForCommitment(connection, landed, { commitment, rebroadcastInterval, maxPolls, signatures }) {
+  let { status } = landed;
+  for (let poll = 0; poll < maxPolls; poll++) {
+    if (status?.err || reachedCommitment(status, commitment)) {
+      return { signature: landed.signature, err: status.err, slot: status.slot, signatures };
+    }
+    await sleep(rebroadcastInterval);
+    ({ value: [status] } = await connection.getSignatureStatuses([landed.signature], {
+      searchTransactionHistory: true
+    }));
+  }
+
+  const error = new BundlyTransactionError(
+    `Transaction ${landed.signature} landed but did not reach ${commitment} commitment in time`,
+    {
+      retryable: false,
+      signature: landed.signature,
+      hint: 'Do not resend: check the signature status before retrying to avoid executing twice.'
+    }
+  );
+  error.signatures = signatures;
+  throw error;
+}
+
+export default {
+  getTransactionSignature,
+  sendWithRebroadcast
+};
@@ -0,0 +1,93 @@
+/**
+ * Bundly Agent SDK - Signers
+ *
+ * BundlyAgent signs through a Signer instead of a raw Keypair so keys can
+ * live in a KMS/HSM, a browser wallet adapter or a local signing daemon.
+ */
+
+import { VersionedTransaction } from '@solana/web3.js';
+import { createInvalidArgumentError } from './errors.js';
+
+/**
+ * @typedef {Object} Signer
+ * @property {import('@solana/web3.js').PublicKey} publicKey - Fee payer / authority
+ * @property {(tx: Transaction|VersionedTransaction) => Promise<Transaction|VersionedTransaction>} signTransaction
+ *   Adds this signer's signature and resolves to the signed transaction
+ *   (may be the same object or a new one)
+ * @property {(txs: Array<Transaction|VersionedTransaction>) => Promise<Array<Transaction|VersionedTransaction>>} signAllTransactions
+ */
+
+function isKeypair(wallet) {
+  return Boolean(wallet?.publicKey && wallet?.secretKey);
+}
+
+/**
+ * Sign a legacy or versioned transaction with local keypairs, keeping
+ * signatures that are already present
+ */
+export function signWithKeypairs(transaction, keypairs) {
+  if (!keypairs.length) return transaction;
+  if (transaction instanceof VersionedTransaction) {
+    transaction.sign(keypairs);
+  } else {
+    transaction.partialSign(...keypairs);
+  }
+  return transaction;
+}
+
+/**
+ * Signer backed by an in-memory Keypair
+ */
+export class KeypairSigner {
+  constructor(keypair) {
+    if (!isKeypair(keypair)) {
+      throw createInvalidArgumentError('KeypairSigner requires a Keypair');
+    }
+    this.keypair = keypair;
+    this.publicKey = keypair.publicKey;
+  }
+
+  async signTransaction(transaction) {
+    return signWithKeypairs(transaction, [this.keypair]);
+  }
+
+  async signAllTransactions(transactions) {
+    return transactions.map(transaction => signWithKeypairs(transaction, [this.keypair]));
+  }
+}
+
+/**
+ * Normalize a Keypair or Signer-like object into a Signer
+ */
+export function toSigner(wallet) {
+  if (!wallet) {
+    throw createInvalidArgumentError('A wallet Keypair or Signer is required');
+  }
+  if (wallet instanceof KeypairSigner) return wallet;
+  if (isKeypair(wallet)) return new KeypairSigner(wallet);
+
+  if (!wallet.publicKey || typeof wallet.signTransaction !== 'function') {
+    throw createInvalidArgumentError('Signer must expose publicKey and signTransaction()');
+  }
+
+  if (typeof wallet.signAllTransactions === 'function') return wallet;
+
+  // Wallets without batch signing (some adapters) sign one by one
+  return {
+    publicKey: wallet.publicKey,
+    signTransaction: (transaction) => wallet.signTransaction(transaction),
+    signAllTransactions: async (transactions) => {
+      const signed = [];
+      for (const transaction of transactions) {
+        signed.push(await wallet.signTransaction(transaction));
+      }
+      return signed;
+    }
+  };
+}
+
+export default {
+  KeypairSigner,
+  signWithKeypairs,
+  toSigner
+};
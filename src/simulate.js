@@ -0,0 +1,184 @@
+/**
+ * Bundly Agent SDK - Transaction Simulation
+ *
+ * Dry-run support: builds the exact transaction an action would send,
+ * runs simulateTransaction and reports logs, compute units, decoded
+ * errors and balance deltas without broadcasting anything.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { compileMessage, getWritableKeys } from './versioned.js';
+import { AccountLayout, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import { toBundlyError } from './errors.js';
+
+// Set while an agent.simulate.* call is running; sendAndConfirm checks it
+export const dryRunContext = new AsyncLocalStorage();
+
+// Stands in for the IPFS metadata URI in simulate.finalize: a dry run uploads
+// nothing. Same shape and length as a real pinned URI, so the simulated
+// transaction has a realistic size.
+export const DRY_RUN_METADATA_URI = 'ipfs://QmDryRunMetadataPlaceholder000000000000000000';
+
+// BundlyAgent actions exposed under agent.simulate
+export const SIMULATABLE_ACTIONS = [
+  'createBundle',
+  'finalize',
+  'buy',
+  'presaleExit',
+  'stake',
+  'prepareUnstake',
+  'executeUnstake',
+  'withdrawUnstaked',
+  'claimRewards',
+  'injectRewards',
+  'collectPumpFees',
+  'collectPumpAmmFees',
+  'createOrder',
+  'fillOrder',
+  'cancelOrder',
+  'setTradingPaused',
+  'setCpiEnabled',
+  'updateAdmin',
+  'updateFeeCollector',
+  'withdrawSolFees',
+  'withdrawWsolFees',
+  'recoverFeeVault',
+  'bootstrap',
+  'syncSupply'
+];
+
+function isTokenAccount(info) {
+  return info
+    && info.data.length === AccountLayout.span
+    && (info.owner.equals(TOKEN_PROGRAM_ID) || info.owner.equals(TOKEN_2022_PROGRAM_ID));
+}
+
+// simulateTransaction returns { lamports, owner: string, data: [base64, 'base64'] }
+function normalizeSimulatedAccount(raw) {
+  if (!raw) return null;
+  return {
+    lamports: raw.lamports,
+    owner: new PublicKey(raw.owner),
+    data: Buffer.from(raw.data[0], 'base64')
+  };
+}
+
+function decodeTokenAmount(info) {
+  const { mint, owner, amount } = AccountLayout.decode(info.data);
+  return { mint, owner, amount: BigInt(amount.toString()) };
+}
+
+/**
+ * Simulate a legacy Transaction (unsigned) and report the outcome.
+ * transaction.feePayer must be set; the blockhash is replaced by the RPC.
+ * Pass version: 0 and lookupTables to simulate the v0 message that would be sent.
+ */
+export async function simulateTransaction(connection, transaction, {
+  programId,
+  commitment = 'confirmed',
+  version = 'legacy',
+  lookupTables = []
+} = {}) {
+  if (!transaction.recentBlockhash) {
+    const { blockhash } = await connection.getLatestBlockhash(commitment);
+    transaction.recentBlockhash = blockhash;
+  }
+
+  const message = compileMessage(transaction, { version, lookupTables });
+  const writable = getWritableKeys(message, lookupTables);
+
+  const preInfos = await connection.getMultipleAccountsInfo(writable, commitment);
+
+  const { value, context } = await connection.simulateTransaction(
+    new VersionedTransaction(message),
+    {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment,
+      accounts: {
+        encoding: 'base64',
+        addresses: writable.map(key => key.toBase58())
+      }
+    }
+  );
+
+  const logs = value.logs || [];
+  const solDeltas = [];
+  const tokenDeltas = [];
+
+  writable.forEach((address, index) => {
+    const pre = preInfos[index];
+    const post = normalizeSimulatedAccount(value.accounts?.[index]);
+    if (!post) return;
+
+    const preLamports = BigInt(pre?.lamports ?? 0);
+    const postLamports = BigInt(post.lamports);
+    if (preLamports !== postLamports) {
+      solDeltas.push({ address, pre: preLamports, post: postLamports, delta: postLamports - preLamports });
+    }
+
+    if (!isTokenAccount(post)) return;
+
+    const postToken = decodeTokenAmount(post);
+    const preAmount = isTokenAccount(pre) ? decodeTokenAmount(pre).amount : 0n;
+    if (preAmount !== postToken.amount) {
+      tokenDeltas.push({
+        address,
+        mint: postToken.mint,
+        owner: postToken.owner,
+        pre: preAmount,
+        post: postToken.amount,
+        delta: postToken.amount - preAmount
+      });
+    }
+  });
+
+  const error = value.err
+    ? toBundlyError(value.err, { transaction, logs, simulation: true, programId })
+    : null;
+
+  return {
+    success: !value.err,
+    err: value.err,
+    error,
+    logs,
+    unitsConsumed: value.unitsConsumed ?? null,
+    slot: context.slot,
+    solDeltas,
+    tokenDeltas
+  };
+}
+
+/**
+ * Build the agent.simulate namespace: each action runs normally up to the
+ * point of sending, then simulates instead. Resolves to the simulation
+ * report with the action's own return value under `result`.
+ */
+export function createSimulateNamespace(agent) {
+  const namespace = {};
+
+  for (const action of SIMULATABLE_ACTIONS) {
+    namespace[action] = async (...args) => {
+      const store = { reports: [] };
+      const result = await dryRunContext.run(store, () => agent[action](...args));
+      const last = store.reports[store.reports.length - 1] || null;
+
+      return {
+        ...last,
+        transactions: store.reports,
+        result
+      };
+    };
+  }
+
+  return namespace;
+}
+
+export default {
+  dryRunContext,
+  DRY_RUN_METADATA_URI,
+  SIMULATABLE_ACTIONS,
+  simulateTransaction,
+  createSimulateNamespace
+};
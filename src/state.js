@@ -0,0 +1,367 @@
+/**
+ * Bundly Agent SDK - Account Decoding
+ *
+ * Decodes Bundly program accounts using the Anchor IDL and converts
+ * them into plain JS objects (camelCase keys, u64/i64 as bigint,
+ * pubkeys as PublicKey).
+ */
+
+import { BorshAccountsCoder } from '@coral-xyz/anchor';
+import { PublicKey } from '@solana/web3.js';
+import BN from 'bn.js';
+import { idl } from './idl.js';
+import { FEE_COLLECTION_INTERVAL } from './constants.js';
+
+const accountsCoder = new BorshAccountsCoder(idl);
+
+// Lifecycle phases reported by getBundleState()
+export const BUNDLE_PHASE = {
+  FUNDRAISING: 'fundraising',
+  CAP_REACHED: 'cap_reached',
+  FINALIZED: 'finalized',
+  PAUSED: 'paused'
+};
+
+// Byte sizes of fixed-width IDL primitives
+const FIELD_SIZES = {
+  bool: 1,
+  u8: 1,
+  i8: 1,
+  u16: 2,
+  i16: 2,
+  u32: 4,
+  i32: 4,
+  u64: 8,
+  i64: 8,
+  u128: 16,
+  i128: 16,
+  pubkey: 32
+};
+
+// Anchor account discriminator length
+const DISCRIMINATOR_SIZE = 8;
+
+function toCamelCase(name) {
+  return name.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+function normalizeValue(value) {
+  if (BN.isBN(value)) return BigInt(value.toString());
+  if (value instanceof PublicKey) return value;
+  return value;
+}
+
+/**
+ * Decode a Bundly account by IDL name (e.g. 'BundleState', 'UserStake')
+ */
+export function decodeAccount(accountName, data) {
+  const raw = accountsCoder.decode(accountName, data);
+  const decoded = {};
+  for (const [key, value] of Object.entries(raw)) {
+    decoded[toCamelCase(key)] = normalizeValue(value);
+  }
+  return decoded;
+}
+
+/**
+ * Byte offset of a field inside an account (discriminator included),
+ * for building getProgramAccounts memcmp filters
+ */
+export function getAccountFieldOffset(accountName, fieldName) {
+  const typeDef = idl.types.find(t => t.name === accountName);
+  if (!typeDef) {
+    throw new Error(`Account ${accountName} not found in IDL`);
+  }
+
+  let offset = DISCRIMINATOR_SIZE;
+  for (const field of typeDef.type.fields) {
+    if (field.name === fieldName || toCamelCase(field.name) === fieldName) {
+      return offset;
+    }
+    const size = FIELD_SIZES[field.type];
+    if (size === undefined) {
+      throw new Error(`Field ${accountName}.${field.name} is not fixed-size`);
+    }
+    offset += size;
+  }
+
+  throw new Error(`Field ${fieldName} not found on ${accountName}`);
+}
+
+/**
+ * memcmp filter matching an account's discriminator
+ */
+export function getAccountDiscriminatorFilter(accountName) {
+  return { memcmp: accountsCoder.memcmp(accountName) };
+}
+
+/**
+ * Serialized size of an account as laid out in the IDL (allocations may be larger)
+ */
+export function getAccountSize(accountName) {
+  return accountsCoder.size(accountName);
+}
+
+/**
+ * Decode BundleState account data
+ */
+export function decodeBundleState(data) {
+  return decodeAccount('BundleState', data);
+}
+
+/**
+ * Derive fill percentage, remaining capacity and lifecycle phase
+ * from a decoded BundleState
+ */
+export function deriveBundleMetrics(state) {
+  const { capLamports, collectedLamports } = state;
+
+  const remainingLamports = capLamports > collectedLamports
+    ? capLamports - collectedLamports
+    : 0n;
+
+  // Basis points keep two decimals of precision without floats on the raw values
+  const fillBps = capLamports > 0n ? (collectedLamports * 10_000n) / capLamports : 0n;
+  const fillPct = Number(fillBps) / 100;
+  const capReached = capLamports > 0n && collectedLamports >= capLamports;
+
+  let phase;
+  if (state.tradingPaused) {
+    phase = BUNDLE_PHASE.PAUSED;
+  } else if (state.isFinalized) {
+    phase = BUNDLE_PHASE.FINALIZED;
+  } else if (capReached) {
+    phase = BUNDLE_PHASE.CAP_REACHED;
+  } else {
+    phase = BUNDLE_PHASE.FUNDRAISING;
+  }
+
+  return { fillPct, remainingLamports, capReached, phase };
+}
+
+/**
+ * Decode BundleState account data into the getBundleState shape: decoded
+ * fields plus deriveBundleMetrics, the bundle PDA and exists: true
+ */
+export function decodeBundleView(data, bundlePda) {
+  const state = decodeBundleState(data);
+  return { ...state, ...deriveBundleMetrics(state), bundlePda, exists: true };
+}
+
+/**
+ * Decode UserStake account data
+ */
+export function decodeUserStake(data) {
+  return decodeAccount('UserStake', data);
+}
+
+/**
+ * Decode UnstakeRequest account data
+ */
+export function decodeUnstakeRequest(data) {
+  return decodeAccount('UnstakeRequest', data);
+}
+
+/**
+ * Summarize a staking position from decoded UserStake / UnstakeRequest
+ * accounts (either may be null). `now` is a unix timestamp in seconds.
+ *
+ * Unlock model: amount_unlocking vests linearly from unlock_start_ts over
+ * unlock_duration, minus amount_claimed. This is inferred from the IDL rather
+ * than the program source: withdraw_unstaked takes no amount and the request
+ * tracks amount_claimed (partial withdrawals, PendingUnstake until fully
+ * claimed), and execute_unstake fails with UnstakeNotReady before the
+ * cooldown. Treat unlockableNow as an estimate; the program has the last word.
+ */
+export function summarizeStakePosition(userStake, unstakeRequest, now = Math.floor(Date.now() / 1000)) {
+  const nowTs = BigInt(now);
+
+  const deposited = userStake?.totalRealDeposited ?? 0n;
+  const withdrawn = userStake?.totalRealWithdrawn ?? 0n;
+  const staked = deposited > withdrawn ? deposited - withdrawn : 0n;
+
+  let unstake = null;
+  if (unstakeRequest?.isInitialized && unstakeRequest.amountUnlocking > unstakeRequest.amountClaimed) {
+    const { amountUnlocking, amountClaimed, unlockStartTs, unlockDuration } = unstakeRequest;
+    const cooldownEndsAt = unlockStartTs + unlockDuration;
+
+    let unlocked;
+    if (nowTs >= cooldownEndsAt || unlockDuration <= 0n) {
+      unlocked = amountUnlocking;
+    } else if (nowTs <= unlockStartTs) {
+      unlocked = 0n;
+    } else {
+      unlocked = (amountUnlocking * (nowTs - unlockStartTs)) / unlockDuration;
+    }
+
+    unstake = {
+      amountUnlocking,
+      amountClaimed,
+      pending: amountUnlocking - amountClaimed,
+      unlockableNow: unlocked > amountClaimed ? unlocked - amountClaimed : 0n,
+      unlockStartTs,
+      cooldownEndsAt,
+      cooldownRemaining: cooldownEndsAt > nowTs ? cooldownEndsAt - nowTs : 0n,
+      cooldownComplete: nowTs >= cooldownEndsAt
+    };
+  }
+
+  return {
+    hasStake: Boolean(userStake?.isInitialized),
+    staked,
+    totalRealDeposited: deposited,
+    totalRealWithdrawn: withdrawn,
+    totalRewardsClaimed: userStake?.totalRewardsClaimed ?? 0n,
+    presaleBtokenAmount: userStake?.presaleBtokenAmount ?? 0n,
+    lastStakeTime: userStake?.lastStakeTime ?? 0n,
+    unstake,
+    unlockableNow: unstake?.unlockableNow ?? 0n
+  };
+}
+
+/**
+ * Decode OrderState account data
+ */
+export function decodeOrderState(data) {
+  return decodeAccount('OrderState', data);
+}
+
+/**
+ * Real mint for a decoded bundle, or null while it is not finalized
+ */
+export function getRealMint(state) {
+  if (!state.realMint || state.realMint.equals(PublicKey.default)) return null;
+  return state.realMint;
+}
+
+/**
+ * Current reward drip for a decoded bundle. `now` is a unix timestamp in seconds.
+ * drip_pending_amount is only settled on-chain when the bundle is touched, so
+ * `remaining` subtracts what has dripped at drip_rate since drip_last_update.
+ */
+export function summarizeDrip(state, now = Math.floor(Date.now() / 1000)) {
+  const nowTs = BigInt(now);
+  const { dripPendingAmount, dripRate, dripLastUpdate, dripStartTs, dripEndTs } = state;
+
+  const elapsed = nowTs > dripLastUpdate ? nowTs - dripLastUpdate : 0n;
+  const dripped = dripRate * elapsed < dripPendingAmount ? dripRate * elapsed : dripPendingAmount;
+  const remaining = dripPendingAmount - dripped;
+
+  return {
+    pendingAmount: dripPendingAmount,
+    remaining,
+    rate: dripRate,
+    lastUpdate: dripLastUpdate,
+    startTs: dripStartTs,
+    endTs: dripEndTs,
+    duration: dripEndTs > dripStartTs ? dripEndTs - dripStartTs : 0n,
+    remainingSeconds: dripEndTs > nowTs ? dripEndTs - nowTs : 0n,
+    active: dripEndTs > nowTs && remaining > 0n
+  };
+}
+
+/**
+ * Estimate how injecting `amount` (raw real-mint units) merges with the current
+ * drip. An estimate, not the program's math: inject_rewards takes only the
+ * amount, and the IDL does not define how it merges with a running drip. The
+ * estimate assumes the undripped remainder plus the new amount are spread over
+ * a window of the previous drip's length starting now; before any drip exists
+ * the window is unknown and rate / endTs are null. Read summarizeDrip() after
+ * the injection for the actual schedule.
+ * While a drip runs, recover_fee_vault fails with DripInProgress.
+ */
+export function previewRewardInjection(state, amount, { now = Math.floor(Date.now() / 1000) } = {}) {
+  const nowTs = BigInt(now);
+  const current = summarizeDrip(state, now);
+  const total = current.remaining + BigInt(amount);
+  const duration = current.duration || null;
+
+  return {
+    current,
+    amount: BigInt(amount),
+    pendingAmount: total,
+    duration,
+    rate: duration ? total / duration : null,
+    startTs: nowTs,
+    endTs: duration ? nowTs + duration : null,
+    mergesWithActiveDrip: current.active,
+    // DripInProgress: fee vault recovery is blocked now / until the new drip ends
+    dripInProgress: current.active,
+    feeVaultRecoveryBlockedUntil: duration ? nowTs + duration : null
+  };
+}
+
+/**
+ * Real-token value of `btokenAmount` (raw) in a finalized bundle and the part
+ * of it claimable as rewards. `now` is a unix timestamp in seconds.
+ *
+ * bTokens are shares of the staking vault (claim_rewards burns bTokens at the
+ * vault / supply rate), so a holding redeems for btoken * vault / supply, with
+ * whatever has dripped since drip_last_update counted in the vault. The
+ * principal is the net real deposit plus the presale bTokens at the rate fixed
+ * at finalization; the rest is claimable. Without a UserStake nothing is
+ * claimable. An estimate: the program settles the drip and rounds on-chain.
+ */
+export function summarizeStakeValue(state, userStake, btokenAmount, now = Math.floor(Date.now() / 1000)) {
+  const amount = BigInt(btokenAmount);
+  if (!state.isFinalized || state.totalBtokenSupply === 0n) {
+    return { redeemable: 0n, principal: 0n, claimable: 0n };
+  }
+
+  const drip = summarizeDrip(state, now);
+  const vault = state.totalVaultBalance + (drip.pendingAmount - drip.remaining);
+  const redeemable = (amount * vault) / state.totalBtokenSupply;
+  if (!userStake?.isInitialized) {
+    return { redeemable, principal: redeemable, claimable: 0n };
+  }
+
+  const { staked, presaleBtokenAmount } = summarizeStakePosition(userStake, null, now);
+  const presalePrincipal = state.btokenSupplyAtFinalization > 0n
+    ? (presaleBtokenAmount * state.vaultBalanceAtFinalization) / state.btokenSupplyAtFinalization
+    : 0n;
+  const principal = staked + presalePrincipal;
+
+  return {
+    redeemable,
+    principal,
+    claimable: redeemable > principal ? redeemable - principal : 0n
+  };
+}
+
+/**
+ * Fee collection timing for a decoded bundle. `now` is a unix timestamp in seconds.
+ * Collections closer than FEE_COLLECTION_INTERVAL (an estimate) apart fail with FeeCollectionTooSoon;
+ * the fee vault cannot be recovered while a reward drip is running (DripInProgress).
+ */
+export function getFeeCollectionStatus(state, now = Math.floor(Date.now() / 1000)) {
+  const nowTs = BigInt(now);
+  const nextFeeCollectionAt = state.lastFeeCollection + BigInt(FEE_COLLECTION_INTERVAL);
+
+  return {
+    lastFeeCollection: state.lastFeeCollection,
+    nextFeeCollectionAt,
+    canCollectNow: nowTs >= nextFeeCollectionAt,
+    secondsUntilCollection: nextFeeCollectionAt > nowTs ? nextFeeCollectionAt - nowTs : 0n,
+    dripInProgress: summarizeDrip(state, now).active
+  };
+}
+
+export default {
+  BUNDLE_PHASE,
+  decodeAccount,
+  getAccountFieldOffset,
+  getAccountDiscriminatorFilter,
+  getAccountSize,
+  decodeBundleState,
+  deriveBundleMetrics,
+  decodeBundleView,
+  decodeUserStake,
+  decodeUnstakeRequest,
+  summarizeStakePosition,
+  decodeOrderState,
+  getRealMint,
+  summarizeDrip,
+  previewRewardInjection,
+  summarizeStakeValue,
+  getFeeCollectionStatus
+};
@@ -0,0 +1,119 @@
+/**
+ * Bundly Agent SDK - Versioned Transactions & Lookup Tables
+ *
+ * v0 message compilation and the address lookup table (ALT) of static
+ * pump.fun / Metaplex / SPL accounts that finalize and composite flows
+ * reference, so large instructions leave room for priority fees, tips
+ * and extra instructions.
+ */
+
+import { TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import {
+  WSOL_MINT,
+  TOKEN_PROGRAM_ID,
+  SYSTEM_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  RENT_PROGRAM_ID
+} from './constants.js';
+import { NETWORK_PROFILES, getPumpfunFeeConfig } from './network.js';
+import { toPublicKey } from './accounts.js';
+import { BundlyError } from './errors.js';
+
+// Addresses per extend_lookup_table instruction (keeps each tx under the size limit)
+export const LOOKUP_TABLE_EXTEND_CHUNK = 20;
+
+/**
+ * Static accounts shared by every bundle's finalize / fee-collection flows.
+ * Top-level program IDs (Bundly, Compute Budget) are left out: a program that
+ * is invoked directly must be a static key of the message.
+ * `network` is a network profile (see network.js); defaults to devnet addresses.
+ */
+export function getStaticLookupAddresses(network = NETWORK_PROFILES.devnet) {
+  return [
+    network.pumpfunProgramId,
+    network.pumpfunGlobal,
+    network.pumpfunMintAuthority,
+    network.pumpfunFeeRecipient,
+    network.pumpfunGlobalVolume,
+    network.pumpfunFeeProgram,
+    network.pumpfunEventAuthority,
+    getPumpfunFeeConfig(network),
+    network.pumpAmmProgramId,
+    network.pumpAmmEventAuthority,
+    WSOL_MINT,
+    network.metadataProgramId,
+    network.globalFeeWallet,
+    SYSTEM_PROGRAM_ID,
+    TOKEN_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    RENT_PROGRAM_ID
+  ];
+}
+
+/**
+ * Compile a legacy Transaction's instructions into a message.
+ * version: 'legacy' | 0. Lookup tables are only used for v0.
+ */
+export function compileMessage(transaction, { version = 'legacy', lookupTables = [] } = {}) {
+  if (version === 'legacy') {
+    return transaction.compileMessage();
+  }
+
+  return new TransactionMessage({
+    payerKey: transaction.feePayer,
+    recentBlockhash: transaction.recentBlockhash,
+    instructions: transaction.instructions
+  }).compileToV0Message(lookupTables);
+}
+
+/**
+ * Build an unsigned VersionedTransaction from a prepared legacy Transaction
+ * (feePayer and recentBlockhash must be set)
+ */
+export function toVersionedTransaction(transaction, options = {}) {
+  return new VersionedTransaction(compileMessage(transaction, options));
+}
+
+/**
+ * Writable account keys of a compiled message (legacy or v0), including
+ * writable keys loaded from lookup tables
+ */
+export function getWritableKeys(message, lookupTables = []) {
+  const accountKeys = message.version === 0
+    ? message.getAccountKeys({ addressLookupTableAccounts: lookupTables })
+    : { length: message.accountKeys.length, get: (index) => message.accountKeys[index] };
+
+  const writable = [];
+  for (let index = 0; index < accountKeys.length; index++) {
+    if (message.isAccountWritable(index)) writable.push(accountKeys.get(index));
+  }
+  return writable;
+}
+
+/**
+ * Fetch AddressLookupTableAccounts for a list of table addresses
+ */
+export async function fetchLookupTables(connection, addresses) {
+  const tables = await Promise.all(
+    addresses.map(async (address) => {
+      const key = toPublicKey(address, 'lookupTable');
+      const { value } = await connection.getAddressLookupTable(key);
+      if (!value) {
+        throw new BundlyError(`Lookup table ${key.toString()} not found`, {
+          hint: 'Check the lookupTables addresses and the network the agent uses.'
+        });
+      }
+      return value;
+    })
+  );
+  return tables;
+}
+
+export default {
+  LOOKUP_TABLE_EXTEND_CHUNK,
+  getStaticLookupAddresses,
+  compileMessage,
+  toVersionedTransaction,
+  getWritableKeys,
+  fetchLookupTables
+};
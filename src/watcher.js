@@ -0,0 +1,311 @@
+/**
+ * Bundly Agent SDK - Bundle Watcher
+ *
+ * Subscribes to a bundle PDA (and its escrow) with onAccountChange and turns
+ * raw account updates into typed lifecycle events by diffing consecutive
+ * decoded BundleStates. A polling loop runs alongside the subscription so
+ * RPCs without websocket support (or dropped subscriptions) still deliver
+ * every change; updates are ordered by slot and deduplicated.
+ */
+
+import { EventEmitter } from 'events';
+import { BUNDLY_PROGRAM_ID } from './constants.js';
+import { deriveBundlePda, deriveEscrowPda } from './accounts.js';
+import { decodeBundleView, getRealMint } from './state.js';
+import { createBundleNotFoundError } from './errors.js';
+
+export const BUNDLE_WATCH_EVENTS = {
+  // every decoded update: { state, previous, slot }
+  STATE: 'state',
+  // collected_lamports went up: { lamports }
+  CONTRIBUTION: 'contribution',
+  // collected_lamports went down before finalization (presale exit): { lamports }
+  EXIT: 'exit',
+  CAP_REACHED: 'capReached',
+  // real_mint set / is_finalized flipped: { realMint }
+  FINALIZED: 'finalized',
+  PAUSED: 'paused',
+  UNPAUSED: 'unpaused',
+  // a new reward drip was started or topped up: { amount, dripRate, dripEndTs }
+  REWARDS_INJECTED: 'rewardsInjected',
+  // last_fee_collection moved: { amount, lastFeeCollection }
+  FEES_COLLECTED: 'feesCollected',
+  // escrow lamports changed: { lamports, previousLamports }
+  ESCROW: 'escrow',
+  ERROR: 'error'
+};
+
+/**
+ * Lifecycle events implied by two consecutive decoded bundle states
+ * (the shape returned by getBundleState). Returns [{ type, ...payload }].
+ */
+export function diffBundleStates(previous, next) {
+  const events = [];
+  if (!previous) return events;
+
+  if (next.collectedLamports > previous.collectedLamports) {
+    events.push({
+      type: BUNDLE_WATCH_EVENTS.CONTRIBUTION,
+      lamports: next.collectedLamports - previous.collectedLamports
+    });
+  } else if (next.collectedLamports < previous.collectedLamports && !next.isFinalized) {
+    events.push({
+      type: BUNDLE_WATCH_EVENTS.EXIT,
+      lamports: previous.collectedLamports - next.collectedLamports
+    });
+  }
+
+  if (!previous.capReached && next.capReached) {
+    events.push({ type: BUNDLE_WATCH_EVENTS.CAP_REACHED });
+  }
+
+  const wasFinalized = previous.isFinalized || Boolean(getRealMint(previous));
+  const isFinalized = next.isFinalized || Boolean(getRealMint(next));
+  if (!wasFinalized && isFinalized) {
+    events.push({ type: BUNDLE_WATCH_EVENTS.FINALIZED, realMint: getRealMint(next) });
+  }
+
+  if (!previous.tradingPaused && next.tradingPaused) {
+    events.push({ type: BUNDLE_WATCH_EVENTS.PAUSED });
+  } else if (previous.tradingPaused && !next.tradingPaused) {
+    events.push({ type: BUNDLE_WATCH_EVENTS.UNPAUSED });
+  }
+
+  // Settling an existing drip only lowers drip_pending_amount; an injection
+  // raises it (net of whatever dripped since the last update)
+  if (next.dripPendingAmount > previous.dripPendingAmount) {
+    events.push({
+      type: BUNDLE_WATCH_EVENTS.REWARDS_INJECTED,
+      amount: next.dripPendingAmount - previous.dripPendingAmount,
+      dripRate: next.dripRate,
+      dripEndTs: next.dripEndTs
+    });
+  }
+
+  if (next.lastFeeCollection !== previous.lastFeeCollection) {
+    events.push({
+      type: BUNDLE_WATCH_EVENTS.FEES_COLLECTED,
+      amount: next.totalFeesCollected - previous.totalFeesCollected,
+      lastFeeCollection: next.lastFeeCollection
+    });
+  }
+
+  return events;
+}
+
+/**
+ * EventEmitter + async iterator over a bundle's lifecycle events.
+ * Create through agent.watchBundle(mint); call stop() when done.
+ */
+export class BundleWatcher extends EventEmitter {
+  constructor({
+    connection,
+    mint,
+    programId = BUNDLY_PROGRAM_ID,
+    commitment = 'confirmed',
+    websocket = true,
+    pollInterval = 10_000
+  }) {
+    super();
+    this.connection = connection;
+    this.mint = mint;
+    this.programId = programId;
+    this.commitment = commitment;
+    this.websocket = websocket;
+    this.pollInterval = pollInterval;
+
+    this.state = null;
+    this.raw = null;
+    this.escrowLamports = null;
+    this.running = false;
+    this.lastSlot = 0;
+    this.lastEscrowSlot = 0;
+    this.subscriptions = [];
+    this.pollTimer = null;
+    // Events are only buffered while an async iterator is open, so
+    // .on()-only consumers never accumulate a queue
+    this.iterating = false;
+    this.queue = [];
+    this.waiters = [];
+    this.failure = null;
+  }
+
+  /**
+   * Load the current state, then subscribe and/or start polling
+   */
+  async start() {
+    if (this.running) return this;
+
+    [this.bundlePda] = await deriveBundlePda(this.mint, this.programId);
+    [this.escrowPda] = await deriveEscrowPda(this.mint, this.programId);
+    this.running = true;
+
+    try {
+      await this.poll();
+    } finally {
+      if (!this.state) this.running = false;
+    }
+    if (!this.state) {
+      throw createBundleNotFoundError(this.mint);
+    }
+
+    if (this.websocket) {
+      this.subscriptions.push(
+        this.connection.onAccountChange(
+          this.bundlePda,
+          (info, context) => this.handleBundle(info, context.slot),
+          { commitment: this.commitment }
+        ),
+        this.connection.onAccountChange(
+          this.escrowPda,
+          (info, context) => this.handleEscrow(info, context.slot),
+          { commitment: this.commitment }
+        )
+      );
+    }
+
+    if (this.pollInterval > 0) {
+      this.pollTimer = setInterval(() => {
+        this.poll().catch(error => this.fail(error));
+      }, this.pollInterval);
+      // Don't keep the process alive just for polling
+      this.pollTimer.unref?.();
+    }
+
+    return this;
+  }
+
+  /**
+   * Unsubscribe, stop polling and end any async iteration
+   */
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    this.iterating = false;
+
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    const subscriptions = this.subscriptions;
+    this.subscriptions = [];
+    await Promise.all(subscriptions.map(id => (
+      this.connection.removeAccountChangeListener(id).catch(() => {})
+    )));
+
+    for (const { resolve } of this.waiters.splice(0)) {
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  async poll() {
+    const { value, context } = await this.connection.getMultipleAccountsInfoAndContext(
+      [this.bundlePda, this.escrowPda],
+      this.commitment
+    );
+    const [bundleInfo, escrowInfo] = value;
+    if (bundleInfo) this.handleBundle(bundleInfo, context.slot);
+    if (escrowInfo) this.handleEscrow(escrowInfo, context.slot);
+  }
+
+  handleBundle(accountInfo, slot) {
+    if (!this.running || slot < this.lastSlot) return;
+    this.lastSlot = slot;
+
+    // Polls and websocket notifications overlap; identical data is not a change
+    if (this.raw && Buffer.compare(this.raw, accountInfo.data) === 0) return;
+
+    let next;
+    try {
+      next = decodeBundleView(accountInfo.data, this.bundlePda);
+    } catch (error) {
+      this.fail(error);
+      return;
+    }
+
+    const previous = this.state;
+    this.raw = Buffer.from(accountInfo.data);
+    this.state = next;
+
+    this.push({ type: BUNDLE_WATCH_EVENTS.STATE, state: next, previous, slot });
+    for (const event of diffBundleStates(previous, next)) {
+      this.push({ ...event, state: next, previous, slot });
+    }
+  }
+
+  handleEscrow(accountInfo, slot) {
+    if (!this.running || slot < this.lastEscrowSlot) return;
+    this.lastEscrowSlot = slot;
+
+    const previousLamports = this.escrowLamports;
+    this.escrowLamports = accountInfo.lamports;
+    if (previousLamports !== null && previousLamports !== accountInfo.lamports) {
+      this.push({ type: BUNDLE_WATCH_EVENTS.ESCROW, lamports: accountInfo.lamports, previousLamports, slot });
+    }
+  }
+
+  push(event) {
+    const payload = { mint: this.mint, ...event };
+    this.emit(event.type, payload);
+    this.emit('event', payload);
+
+    // The initial snapshot is not an iterator event
+    if (event.type === BUNDLE_WATCH_EVENTS.STATE && !event.previous) return;
+
+    const waiter = this.waiters.shift();
+    if (waiter) waiter.resolve({ value: payload, done: false });
+    else if (this.iterating) this.queue.push(payload);
+  }
+
+  fail(error) {
+    // Without listeners an 'error' event would throw out of the poll timer
+    if (this.listenerCount(BUNDLE_WATCH_EVENTS.ERROR)) {
+      this.emit(BUNDLE_WATCH_EVENTS.ERROR, error);
+      return;
+    }
+    if (!this.iterating) return;
+
+    // Nobody listens for errors: end the iteration with this one (after
+    // any buffered events) rather than leaving the loop waiting forever
+    const waiters = this.waiters.splice(0);
+    if (waiters.length) waiters.forEach(({ reject }) => reject(error));
+    else this.failure = error;
+    this.stop();
+  }
+
+  /**
+   * for await (const event of watcher) { ... } — ends when stop() is called.
+   * Without an 'error' listener, a poll or decode error is thrown from the
+   * loop and stops the watcher.
+   */
+  [Symbol.asyncIterator]() {
+    this.iterating = true;
+    return {
+      next: () => {
+        if (this.queue.length) {
+          return Promise.resolve({ value: this.queue.shift(), done: false });
+        }
+        if (this.failure) {
+          const error = this.failure;
+          this.failure = null;
+          return Promise.reject(error);
+        }
+        if (!this.running) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+      },
+      return: async () => {
+        this.iterating = false;
+        this.queue = [];
+        await this.stop();
+        return { value: undefined, done: true };
+      }
+    };
+  }
+}
+
+export default {
+  BUNDLE_WATCH_EVENTS,
+  diffBundleStates,
+  BundleWatcher
+};
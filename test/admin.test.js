@@ -0,0 +1,159 @@
+/**
+ * Bundle admin and fee collector actions: pre-checks run against a stubbed
+ * getBundleState / getFeeBalances before anything is sent
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyProgramError } from '../src/errors.js';
+import { WSOL_MINT } from '../src/constants.js';
+import { randomKey } from './helpers.js';
+
+const rejectsWith = name => error => error instanceof BundlyProgramError && error.is(name);
+
+function createAgent(admin) {
+  const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+  agent.sent = [];
+  agent.getBundleState = async () => ({ admin: admin || agent.publicKey, feeCollector: randomKey() });
+  agent.sendAndConfirm = async transaction => {
+    agent.sent.push(transaction);
+    return 'signature';
+  };
+  return agent;
+}
+
+describe('bundle admin pre-checks', () => {
+  const mint = randomKey();
+  const actions = {
+    setTradingPaused: agent => agent.setTradingPaused(mint, true),
+    setCpiEnabled: agent => agent.setCpiEnabled(mint, false),
+    updateAdmin: agent => agent.updateAdmin(mint, randomKey()),
+    updateFeeCollector: agent => agent.updateFeeCollector(mint, randomKey())
+  };
+
+  for (const [name, action] of Object.entries(actions)) {
+    it(`${name} rejects a non-admin with Unauthorized before sending`, async () => {
+      const agent = createAgent(randomKey());
+      await assert.rejects(action(agent), rejectsWith('Unauthorized'));
+      assert.equal(agent.sent.length, 0);
+    });
+  }
+
+  it('sends each action for the bundle admin', async () => {
+    const agent = createAgent();
+    for (const action of Object.values(actions)) {
+      assert.equal(await action(agent), 'signature');
+    }
+    assert.equal(agent.sent.length, 4);
+  });
+
+  it('assertBundleAdmin returns the state and names the instruction', async () => {
+    const agent = createAgent();
+    assert.ok((await agent.assertBundleAdmin(mint)).admin.equals(agent.publicKey));
+
+    const admin = randomKey();
+    await assert.rejects(createAgent(admin).assertBundleAdmin(mint, 'update_admin'), error => {
+      assert.ok(rejectsWith('Unauthorized')(error));
+      assert.equal(error.instruction, 'update_admin');
+      assert.match(error.message, new RegExp(admin.toBase58()));
+      return true;
+    });
+  });
+});
+
+describe('fee withdrawal pre-checks', () => {
+  const mint = randomKey();
+
+  // getFeeBalances stub: the agent is the admin with fees to collect, unless overridden
+  function createFeeAgent(overrides = {}) {
+    const agent = createAgent();
+    agent.getFeeBalances = async () => ({
+      admin: agent.publicKey,
+      feeCollector: randomKey(),
+      solFees: { lamports: 3_000_000n, available: 2_000_000n },
+      wsolFees: { amount: 5_000_000n },
+      feeVault: { mint: randomKey(), amount: 1_000n },
+      canCollectNow: true,
+      nextFeeCollectionAt: 0n,
+      secondsUntilCollection: 0n,
+      dripInProgress: false,
+      ...overrides
+    });
+    agent.getMintDecimals = async () => 6;
+    return agent;
+  }
+
+  it('rejects wallets that are neither admin nor fee collector', async () => {
+    const agent = createFeeAgent({ admin: randomKey() });
+    await assert.rejects(agent.withdrawSolFees(mint), rejectsWith('Unauthorized'));
+    await assert.rejects(agent.withdrawWsolFees(mint), rejectsWith('Unauthorized'));
+    await assert.rejects(agent.recoverFeeVault(mint), rejectsWith('Unauthorized'));
+    assert.equal(agent.sent.length, 0);
+  });
+
+  it('lets the fee collector withdraw but not recover the fee vault', async () => {
+    const agent = createFeeAgent({ admin: randomKey() });
+    const balances = await agent.getFeeBalances();
+    agent.getFeeBalances = async () => ({ ...balances, feeCollector: agent.publicKey });
+
+    assert.equal(await agent.withdrawSolFees(mint), 'signature');
+    await assert.rejects(agent.recoverFeeVault(mint), rejectsWith('Unauthorized'));
+    assert.equal(agent.sent.length, 1);
+  });
+
+  it('rejects early collections unless the interval check is skipped', async () => {
+    const agent = createFeeAgent({ canCollectNow: false, nextFeeCollectionAt: 1_300n, secondsUntilCollection: 120n });
+    await assert.rejects(agent.withdrawSolFees(mint), rejectsWith('FeeCollectionTooSoon'));
+    await assert.rejects(agent.withdrawWsolFees(mint), /in 120s/);
+    assert.equal(agent.sent.length, 0);
+
+    assert.equal(await agent.withdrawSolFees(mint, { skipIntervalCheck: true }), 'signature');
+    assert.equal(await agent.withdrawWsolFees(mint, { skipIntervalCheck: true }), 'signature');
+    assert.equal(agent.sent.length, 2);
+  });
+
+  it('rejects empty vaults and amounts above the balance', async () => {
+    const empty = createFeeAgent({
+      solFees: { lamports: 1_000_000n, available: 0n },
+      wsolFees: { amount: 0n },
+      feeVault: { mint: randomKey(), amount: 0n }
+    });
+    await assert.rejects(empty.withdrawSolFees(mint), rejectsWith('NoFeesAvailable'));
+    await assert.rejects(empty.withdrawWsolFees(mint), rejectsWith('NoFeesAvailable'));
+    await assert.rejects(empty.recoverFeeVault(mint), rejectsWith('NoFeesAvailable'));
+
+    const agent = createFeeAgent();
+    await assert.rejects(agent.withdrawSolFees(mint, { solAmount: 0.0021 }), rejectsWith('InsufficientFunds'));
+    await assert.rejects(agent.withdrawWsolFees(mint, { solAmount: 5_000_001n }), rejectsWith('InsufficientFunds'));
+    await assert.rejects(agent.recoverFeeVault(mint, { amount: 1_001n }), rejectsWith('InsufficientFunds'));
+    assert.equal(empty.sent.length + agent.sent.length, 0);
+  });
+
+  it('does not recover the fee vault during a drip or before finalization', async () => {
+    await assert.rejects(createFeeAgent({ dripInProgress: true }).recoverFeeVault(mint), rejectsWith('DripInProgress'));
+    await assert.rejects(
+      createFeeAgent({ feeVault: { mint: null, amount: 0n } }).recoverFeeVault(mint),
+      rejectsWith('NotFinalized')
+    );
+  });
+
+  it('unwraps WSOL fees by closing the agent WSOL account', async () => {
+    const agent = createFeeAgent();
+    const adminWsolAccount = getAssociatedTokenAddressSync(WSOL_MINT, agent.publicKey);
+
+    await agent.withdrawWsolFees(mint);
+    const [createAta, withdraw, close] = agent.sent[0].instructions;
+    assert.ok(createAta.keys[1].pubkey.equals(adminWsolAccount));
+    assert.ok(withdraw.programId.equals(agent.programId));
+    assert.ok(close.programId.equals(TOKEN_PROGRAM_ID));
+    assert.equal(close.data[0], 9); // CloseAccount
+    assert.ok(close.keys[0].pubkey.equals(adminWsolAccount));
+    assert.ok(close.keys[1].pubkey.equals(agent.publicKey));
+
+    await agent.withdrawWsolFees(mint, { unwrap: false });
+    assert.equal(agent.sent[1].instructions.length, 2);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Exact amount conversion (amounts.js) and per-mint decimals on the agent
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import BN from 'bn.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyTransactionError } from '../src/errors.js';
+import { toRawAmount, toRawUnits, toLamports, formatAmount, formatSol, toBN } from '../src/amounts.js';
+import { randomKey } from './helpers.js';
+
+describe('toRawAmount', () => {
+  it('passes raw bigint / BN through unchanged', () => {
+    assert.equal(toRawAmount(123456789012345678901n, 6), 123456789012345678901n);
+    assert.equal(toRawAmount(new BN('18446744073709551615'), 9), 18446744073709551615n);
+  });
+
+  it('converts decimal strings exactly in the given decimals', () => {
+    assert.equal(toRawAmount('1.5', 6), 1_500_000n);
+    assert.equal(toRawAmount('0.000001', 6), 1n);
+    assert.equal(toRawAmount('12345678901234.123456789', 9), 12345678901234123456789n);
+    assert.equal(toRawAmount('42', 0), 42n);
+    assert.equal(toRawAmount('.5', 2), 50n);
+    assert.equal(toRawAmount('1.500000000', 6), 1_500_000n);
+  });
+
+  it('rejects strings with more precision than the mint', () => {
+    assert.throws(() => toRawAmount('0.0000001', 6), /more than 6 decimal places/);
+    assert.throws(() => toRawAmount('1.5', 0), /more than 0 decimal places/);
+  });
+
+  it('floors numbers to the mint precision without float drift', () => {
+    assert.equal(toRawAmount(0.1 + 0.2, 6), 300_000n);
+    assert.equal(toRawAmount(1.005, 2), 100n);
+    assert.equal(toRawAmount(4.35, 2), 435n); // 4.35 * 100 = 434.99999999999994
+    assert.equal(toRawAmount(1e-7, 9), 100n);
+    assert.equal(toRawAmount(1e21, 0), 10n ** 21n);
+  });
+
+  it('rejects zero, negatives and non-amounts', () => {
+    assert.throws(() => toRawAmount(0, 6), /amount must be positive/);
+    assert.throws(() => toRawAmount('-1', 6), /must be positive/);
+    assert.throws(() => toRawAmount('1,5', 6), /not a decimal amount/);
+    assert.throws(() => toRawAmount('', 6), /not a decimal amount/);
+    assert.throws(() => toRawAmount(NaN, 6), /must be a bigint/);
+    assert.equal(toRawAmount(0n, 6, { allowZero: true }), 0n);
+  });
+
+  it('treats bigint SOL amounts as lamports', () => {
+    assert.equal(toLamports('0.5'), 500_000_000n);
+    assert.equal(toLamports(500n), 500n);
+    assert.throws(() => toLamports(0), /solAmount must be positive/);
+  });
+});
+
+describe('toRawUnits', () => {
+  it('accepts integer numbers, integer strings, bigint and BN', () => {
+    assert.equal(toRawUnits(500), 500n);
+    assert.equal(toRawUnits('18446744073709551615'), 18446744073709551615n);
+    assert.equal(toRawUnits(7n), 7n);
+    assert.equal(toRawUnits(new BN(9)), 9n);
+  });
+
+  it('rejects fractional and unsafe numbers instead of flooring them', () => {
+    assert.throws(() => toRawUnits(1.5, { name: 'price' }), /price must be an integer/);
+    assert.throws(() => toRawUnits(2 ** 60), /must be an integer/);
+    assert.throws(() => toRawUnits('1.5'), /more than 0 decimal places/);
+    assert.throws(() => toRawUnits(0), /must be positive/);
+  });
+});
+
+describe('formatAmount', () => {
+  it('formats raw units as exact decimal strings', () => {
+    assert.equal(formatAmount(1_500_000n, 6), '1.5');
+    assert.equal(formatAmount(1n, 6), '0.000001');
+    assert.equal(formatAmount('18446744073709551615', 9), '18446744073.709551615');
+    assert.equal(formatAmount(0n, 6), '0');
+    assert.equal(formatAmount(42n, 0), '42');
+    assert.equal(formatAmount(-25n, 1), '-2.5');
+    assert.equal(formatSol(1_000_000_001n), '1.000000001');
+  });
+
+  it('round-trips with toRawAmount', () => {
+    for (const raw of [1n, 999_999n, 10n ** 18n + 7n]) {
+      assert.equal(toRawAmount(formatAmount(raw, 9), 9), raw);
+    }
+  });
+
+  it('toBN accepts raw numbers, integer strings, bigint and BN', () => {
+    assert.equal(toBN(5).toString(), '5');
+    assert.equal(toBN('18446744073709551615').toString(), '18446744073709551615');
+    assert.equal(toBN(2n ** 64n - 1n).toString(), '18446744073709551615');
+    assert.throws(() => toBN(1.5));
+  });
+});
+
+describe('BundlyAgent amounts', () => {
+  const createAgent = () => new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+
+  it('converts token amounts with the mint decimals read from chain', async () => {
+    const agent = createAgent();
+    const mint = randomKey();
+    let reads = 0;
+    agent.connection.getAccountInfo = async () => {
+      reads += 1;
+      return null;
+    };
+    // A mint that is never read from chain: cached from createBundle / balances
+    agent.mintDecimals.set(mint.toString(), 9);
+
+    assert.equal(await agent.toRawTokenAmount(mint, '1.5'), 1_500_000_000n);
+    assert.equal(await agent.toRawTokenAmount(mint, 7n), 7n);
+    assert.equal(await agent.formatTokenAmount(mint, 1_500_000_000n), '1.5');
+    assert.equal(reads, 0);
+  });
+
+  it('needs no RPC for raw amounts', async () => {
+    const agent = createAgent();
+    assert.equal(await agent.toRawTokenAmount(randomKey(), new BN(12)), 12n);
+  });
+
+  it('returns numeric and exact token balances and caches the decimals', async () => {
+    const agent = createAgent();
+    const mint = randomKey();
+    agent.connection.getTokenAccountBalance = async () => ({
+      context: { slot: 1 },
+      value: { amount: '9007199254740993', decimals: 9, uiAmount: 9007199.254740993, uiAmountString: '9007199.254740993' }
+    });
+
+    assert.equal(await agent.getExactTokenBalance(mint), '9007199.254740993');
+    assert.equal(await agent.getTokenBalance(mint), 9007199.254740993);
+    assert.equal(await agent.getMintDecimals(mint), 9);
+  });
+
+  it('reports 0 only for a missing token account and throws RPC failures', async () => {
+    const agent = createAgent();
+    const mint = randomKey();
+    agent.connection.getTokenAccountBalance = async () => {
+      throw new Error('failed to get token account balance: Invalid param: could not find account');
+    };
+    assert.equal(await agent.getRawTokenBalance(mint), 0n);
+    assert.equal(await agent.getExactTokenBalance(mint), '0');
+    assert.equal(await agent.getTokenBalance(mint), 0);
+
+    agent.connection.getTokenAccountBalance = async () => {
+      throw new Error('fetch failed');
+    };
+    const isRetryable = error => error instanceof BundlyTransactionError && error.retryable;
+    await assert.rejects(agent.getRawTokenBalance(mint), isRetryable);
+    await assert.rejects(agent.getExactTokenBalance(mint), isRetryable);
+
+    // An outage is not an empty position
+    agent.getBundleState = async () => ({ mint, isFinalized: false, tradingPaused: false });
+    await assert.rejects(agent.presaleExit(mint), isRetryable);
+  });
+
+  it('keeps getBalance numeric next to the exact and raw variants', async () => {
+    const agent = createAgent();
+    agent.connection.getBalance = async () => 1_250_000_001;
+
+    assert.equal(await agent.getBalance(), 1.250000001);
+    assert.equal(await agent.getExactBalance(), '1.250000001');
+    assert.equal(await agent.getRawBalance(), 1_250_000_001n);
+  });
+
+  it('validates createOrder raw amounts before sending', async () => {
+    const agent = createAgent();
+    const mint = randomKey();
+    const create = options => agent.createOrder(mint, { isBuySide: false, ...options });
+
+    await assert.rejects(create({ price: 10 }), /amount and price are required/);
+    await assert.rejects(create({ amount: 1.5, price: 10 }), /amount must be an integer/);
+    await assert.rejects(create({ amount: 0n, price: 10 }), /amount must be positive/);
+    await assert.rejects(create({ amount: new BN(0), price: 10 }), /amount must be positive/);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Deployment bootstrap (bootstrap, getSupplyStatus, syncSupply) against a
+ * stub connection serving mints and the accounts that already exist
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { MINT_SIZE, MintLayout, TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyProgramError } from '../src/errors.js';
+import { deriveGlobalFeeTokenAccount, deriveUnstakeVaultPda } from '../src/accounts.js';
+import { randomKey } from './helpers.js';
+
+function mintData(supply) {
+  const data = Buffer.alloc(MINT_SIZE);
+  MintLayout.encode({
+    mintAuthorityOption: 0,
+    mintAuthority: PublicKey.default,
+    supply,
+    decimals: 6,
+    isInitialized: true,
+    freezeAuthorityOption: 0,
+    freezeAuthority: PublicKey.default
+  }, data);
+  return data;
+}
+
+/**
+ * Agent whose bundles are `bundles` (mint -> state fields) and whose
+ * connection holds the `existing` accounts plus each bToken mint at `supplies`
+ */
+function createAgent({ bundles, existing = [], supplies = new Map() }) {
+  const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+  const accounts = new Set(existing.map(key => key.toBase58()));
+  agent.sent = [];
+  agent.getBundleState = async mint => ({
+    admin: agent.publicKey,
+    realMint: PublicKey.default,
+    totalBtokenSupply: 0n,
+    ...bundles.get(mint.toBase58())
+  });
+  agent.connection = {
+    async getAccountInfo(key) {
+      if (supplies.has(key.toBase58())) {
+        return { data: mintData(supplies.get(key.toBase58())), owner: TOKEN_PROGRAM_ID, lamports: 1, executable: false };
+      }
+      return accounts.has(key.toBase58()) ? { data: Buffer.alloc(0), owner: randomKey(), lamports: 1 } : null;
+    }
+  };
+  agent.sendAndConfirm = async transaction => {
+    agent.sent.push(transaction);
+    return `sig${agent.sent.length}`;
+  };
+  return agent;
+}
+
+const globalFeeAccount = async realMint => (await deriveGlobalFeeTokenAccount(realMint))[0];
+
+describe('bootstrap', () => {
+  const [ready, fresh, presale] = [randomKey(), randomKey(), randomKey()];
+  const [readyReal, freshReal] = [randomKey(), randomKey()];
+  const bundles = new Map([
+    [ready.toBase58(), { realMint: readyReal, totalBtokenSupply: 500n }],
+    [fresh.toBase58(), { realMint: freshReal, totalBtokenSupply: 10n }],
+    [presale.toBase58(), { totalBtokenSupply: 7n }]
+  ]);
+  const supplies = new Map([[ready.toBase58(), 500n], [fresh.toBase58(), 12n], [presale.toBase58(), 7n]]);
+
+  async function createBootstrapAgent(options = {}) {
+    return createAgent({
+      bundles,
+      supplies,
+      // `ready` has its unstake vault, `fresh` its global fee account
+      existing: [(await deriveUnstakeVaultPda(ready))[0], await globalFeeAccount(freshReal)],
+      ...options
+    });
+  }
+
+  it('initializes only the missing accounts', async () => {
+    const agent = await createBootstrapAgent();
+    const report = await agent.bootstrap({ mints: [ready, fresh, presale] });
+
+    const summarize = entries => entries.map(entry => `${entry.account}:${entry.address.toBase58()}`).sort();
+    assert.deepEqual(summarize(report.initialized), summarize([
+      { account: 'unstake_vault', address: (await deriveUnstakeVaultPda(fresh))[0] },
+      { account: 'global_fee_token_account', address: await globalFeeAccount(readyReal) }
+    ]));
+    assert.deepEqual(summarize(report.existing), summarize([
+      { account: 'unstake_vault', address: (await deriveUnstakeVaultPda(ready))[0] },
+      { account: 'global_fee_token_account', address: await globalFeeAccount(freshReal) }
+    ]));
+    assert.equal(agent.sent.length, 2);
+    assert.ok(report.initialized.every(entry => entry.signature));
+  });
+
+  it('reports bundles that are not finalized as skipped', async () => {
+    const report = await (await createBootstrapAgent()).bootstrap({ mints: [presale] });
+    assert.equal(report.initialized.length, 0);
+    assert.equal(report.skipped.length, 1);
+    assert.ok(report.skipped[0].mint.equals(presale));
+    assert.equal(report.skipped[0].account, 'unstake_vault');
+    assert.match(report.skipped[0].reason, /not finalized/);
+  });
+
+  it('initializes global fee accounts for extra real mints', async () => {
+    const realMint = randomKey();
+    const agent = await createBootstrapAgent();
+    const report = await agent.bootstrap({ realMints: [realMint.toBase58()] });
+    assert.equal(report.initialized.length, 1);
+    assert.ok(report.initialized[0].address.equals(await globalFeeAccount(realMint)));
+    assert.deepEqual(report.supply, []);
+  });
+
+  it('reports supply drift and syncs it only when asked', async () => {
+    const report = await (await createBootstrapAgent()).bootstrap({ mints: [ready, fresh] });
+    assert.deepEqual(
+      report.supply.map(({ tracked, actual, inSync }) => ({ tracked, actual, inSync })),
+      [{ tracked: 500n, actual: 500n, inSync: true }, { tracked: 10n, actual: 12n, inSync: false }]
+    );
+    assert.equal(report.supply[1].signature, undefined);
+
+    const agent = await createBootstrapAgent();
+    const synced = await agent.bootstrap({ mints: [ready, fresh], syncSupply: true });
+    assert.equal(synced.supply[0].signature, undefined);
+    assert.equal(synced.supply[1].signature, 'sig2');
+    assert.equal(agent.sent.length, 3);
+  });
+
+  it('does not sync bundles administered by another wallet', async () => {
+    const agent = await createBootstrapAgent({
+      bundles: new Map([[fresh.toBase58(), { realMint: freshReal, totalBtokenSupply: 10n, admin: randomKey() }]])
+    });
+    const report = await agent.bootstrap({ mints: [fresh], syncSupply: true });
+    assert.equal(report.supply[0].inSync, false);
+    assert.equal(report.supply[0].signature, undefined);
+    assert.equal(agent.sent.length, 1);
+  });
+});
+
+describe('getSupplyStatus / syncSupply', () => {
+  const mint = randomKey();
+
+  it('compares the tracked supply with the mint supply', async () => {
+    const agent = createAgent({
+      bundles: new Map([[mint.toBase58(), { totalBtokenSupply: 10n }]]),
+      supplies: new Map([[mint.toBase58(), 12n]])
+    });
+    const status = await agent.getSupplyStatus(mint.toBase58());
+    assert.ok(status.mint.equals(mint));
+    assert.deepEqual({ tracked: status.tracked, actual: status.actual, inSync: status.inSync }, {
+      tracked: 10n, actual: 12n, inSync: false
+    });
+  });
+
+  it('syncs as admin and rejects other wallets before sending', async () => {
+    const agent = createAgent({ bundles: new Map() });
+    assert.equal(await agent.syncSupply(mint), 'sig1');
+
+    const other = createAgent({ bundles: new Map([[mint.toBase58(), { admin: randomKey() }]]) });
+    await assert.rejects(other.syncSupply(mint), error => error instanceof BundlyProgramError && error.is('Unauthorized'));
+    assert.equal(other.sent.length, 0);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * bundly CLI: argument parsing, keypair loading and command routing
+ * (a recording agent stands in for BundlyAgent, nothing is sent)
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import bs58 from 'bs58';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { parseCliArgs, loadKeypair, toJson, runCli, DEFAULT_KEYPAIR_PATH } from '../src/cli.js';
+import { createLogger } from '../src/logger.js';
+import { encodeAccount, randomKey } from './helpers.js';
+
+function createOutput() {
+  let text = '';
+  return { write: chunk => { text += chunk; }, get text() { return text; } };
+}
+
+// Agent double: records every call, simulate.* returns a report, actions in
+// `failing` throw their error; `log` is written to the configured logger
+function createRecordingAgent(config, { simulationSuccess = true, accounts = new Map(), failing = {}, log } = {}) {
+  const calls = [];
+  const record = (prefix = '') => new Proxy({}, {
+    get: (_, action) => async (...args) => {
+      calls.push({ action: `${prefix}${String(action)}`, args });
+      if (failing[action]) throw failing[action];
+      return prefix ? { success: simulationSuccess, unitsConsumed: 1234 } : 'signature';
+    }
+  });
+  if (log) createLogger(config.logger).info(log);
+  const agent = record();
+  return Object.assign(Object.create(agent), {
+    config,
+    calls,
+    simulate: record('simulate.'),
+    connection: { getAccountInfo: async key => accounts.get(key.toString()) || null }
+  });
+}
+
+async function run(argv, options = {}) {
+  const stdout = createOutput();
+  const stderr = createOutput();
+  let agent;
+  const code = await runCli(argv, {
+    stdout,
+    stderr,
+    env: options.env || { BUNDLY_KEYPAIR: bs58.encode(Keypair.generate().secretKey) },
+    createAgent: config => (agent = createRecordingAgent(config, options))
+  });
+  return { code, stdout: stdout.text, stderr: stderr.text, agent };
+}
+
+describe('parseCliArgs', () => {
+  it('splits the command from its positionals and options', () => {
+    const parsed = parseCliArgs(['buy', 'Mint111', '--sol', '0.5', '-n', 'mainnet', '--json']);
+    assert.equal(parsed.command, 'buy');
+    assert.deepEqual(parsed.positionals, ['Mint111']);
+    assert.equal(parsed.options.sol, '0.5');
+    assert.equal(parsed.options.network, 'mainnet');
+    assert.equal(parsed.options.json, true);
+  });
+
+  it('rejects unknown options', () => {
+    assert.throws(() => parseCliArgs(['state', 'x', '--bogus']), /bogus/);
+  });
+});
+
+describe('loadKeypair', () => {
+  const keypair = Keypair.generate();
+  // Temp dirs hold secret keys: remove them once the suite is done
+  const dirs = [];
+  after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true });
+  });
+
+  function tempFile(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundly-'));
+    dirs.push(dir);
+    return path.join(dir, name);
+  }
+
+  it('reads Solana CLI keypair files', () => {
+    const file = tempFile('id.json');
+    fs.writeFileSync(file, JSON.stringify([...keypair.secretKey]));
+    assert.ok(loadKeypair(file).publicKey.equals(keypair.publicKey));
+  });
+
+  it('accepts base58 secret keys inline or in a file', () => {
+    const secret = bs58.encode(keypair.secretKey);
+    assert.ok(loadKeypair(secret).publicKey.equals(keypair.publicKey));
+
+    const file = tempFile('key.txt');
+    fs.writeFileSync(file, `${secret}\n`);
+    assert.ok(loadKeypair(file).publicKey.equals(keypair.publicKey));
+  });
+
+  it('rejects keys of the wrong length', () => {
+    assert.throws(() => loadKeypair(bs58.encode(Buffer.alloc(32, 1))), /64 bytes/);
+  });
+});
+
+describe('toJson', () => {
+  it('serializes bigint, pubkeys and errors', () => {
+    const key = randomKey();
+    const json = JSON.parse(toJson({ amount: 10n, key, error: Object.assign(new Error('boom'), { hint: 'retry' }) }));
+    assert.deepEqual(json, {
+      amount: '10',
+      key: key.toBase58(),
+      error: { name: 'Error', message: 'boom', hint: 'retry' }
+    });
+  });
+});
+
+describe('runCli', () => {
+  const mint = randomKey().toBase58();
+
+  it('prints usage for --help and fails on unknown commands', async () => {
+    const help = await run(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /Usage: bundly/);
+
+    const unknown = await run(['launch', mint]);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown command: launch/);
+  });
+
+  it('passes the network profile and keypair to the agent', async () => {
+    const { agent } = await run(['state', mint, '--network', 'custom', '--rpc', 'http://rpc.local', '--json']);
+    assert.equal(agent.config.network, 'custom');
+    assert.equal(agent.config.rpcUrl, 'http://rpc.local');
+    assert.equal(agent.config.logger, 'silent');
+    assert.ok(agent.config.wallet instanceof Keypair);
+  });
+
+  it('routes subcommands to agent actions', async () => {
+    const { code, stdout, agent } = await run(['unstake', 'execute', mint, '--amount', '1.5']);
+    assert.equal(code, 0);
+    assert.match(stdout, /Signature: signature/);
+    assert.deepEqual(agent.calls, [{ action: 'executeUnstake', args: [mint, { amount: '1.5' }] }]);
+  });
+
+  it('simulates under --dry-run and exits 1 when the simulation fails', async () => {
+    const ok = await run(['buy', mint, '--sol', '0.25', '--dry-run', '--json']);
+    assert.equal(ok.code, 0);
+    assert.equal(ok.agent.calls[0].action, 'simulate.buy');
+    assert.equal(ok.agent.calls[0].args[1].solAmount, '0.25');
+    assert.deepEqual(JSON.parse(ok.stdout), { success: true, unitsConsumed: 1234 });
+
+    const failed = await run(['fees', 'collect', mint, '--dry-run'], { simulationSuccess: false });
+    assert.equal(failed.code, 1);
+    assert.deepEqual(failed.agent.calls.map(call => call.action), ['simulate.collectPumpFees', 'simulate.collectPumpAmmFees']);
+  });
+
+  it('collects every fee source and reports a failing one', async () => {
+    const { code, stdout, agent } = await run(['fees', 'collect', mint, '--json'], {
+      failing: { collectPumpFees: new Error('NoFeesAvailable') }
+    });
+    assert.equal(code, 1);
+    assert.deepEqual(agent.calls.map(call => call.action), ['collectPumpFees', 'collectPumpAmmFees']);
+    assert.deepEqual(JSON.parse(stdout), {
+      pump: { error: { name: 'Error', message: 'NoFeesAvailable' } },
+      amm: 'signature'
+    });
+
+    const single = await run(['fees', 'collect', mint, '--source', 'amm', '--json']);
+    assert.equal(single.code, 0);
+    assert.deepEqual(JSON.parse(single.stdout), { amm: 'signature' });
+
+    const failed = await run(['fees', 'collect', mint, '--source', 'pump'], {
+      failing: { collectPumpFees: new Error('NoFeesAvailable') }
+    });
+    assert.equal(failed.code, 1);
+    assert.match(failed.stderr, /NoFeesAvailable/);
+  });
+
+  it('logs to stderr and keeps stdout for the result', async () => {
+    const { code, stdout, stderr } = await run(['state', mint], { log: '🦞 BundlyAgent initialized' });
+    assert.equal(code, 0);
+    assert.match(stderr, /BundlyAgent initialized/);
+    assert.doesNotMatch(stdout, /BundlyAgent initialized/);
+
+    const json = await run(['state', mint, '--json'], { log: '🦞 BundlyAgent initialized' });
+    assert.equal(json.stderr, '');
+    assert.equal(JSON.parse(json.stdout), 'signature');
+  });
+
+  it('gives read-only commands without a keypair a signer that cannot sign', { skip: fs.existsSync(DEFAULT_KEYPAIR_PATH) && 'a default keypair exists' }, async () => {
+    const { code, agent } = await run(['state', mint], { env: {} });
+    assert.equal(code, 0);
+    assert.equal(agent.config.wallet, undefined);
+    assert.ok(agent.config.signer.publicKey.equals(PublicKey.default));
+    await assert.rejects(agent.config.signer.signTransaction(null), /No keypair/);
+  });
+
+  it('looks up the maker of an order to fill', async () => {
+    const order = randomKey();
+    const maker = randomKey();
+    const data = await encodeAccount('OrderState', { maker, mint: randomKey(), amount: 5n, price: 7n });
+    const { code, agent } = await run(['orders', 'fill', mint, order.toBase58()], {
+      accounts: new Map([[order.toBase58(), { data }]])
+    });
+    assert.equal(code, 0);
+    assert.equal(agent.calls[0].action, 'fillOrder');
+    assert.ok(agent.calls[0].args[1].equals(maker));
+    assert.ok(agent.calls[0].args[2].equals(order));
+  });
+
+  it('reports missing options as errors', async () => {
+    const plain = await run(['create', '--cap', '10']);
+    assert.equal(plain.code, 1);
+    assert.match(plain.stderr, /--supply is required/);
+
+    const json = await run(['orders', 'create', mint, '--amount', '1', '--price', '2', '--side', 'long', '--json']);
+    assert.equal(json.code, 1);
+    assert.match(JSON.parse(json.stdout).error.message, /--side must be buy or sell/);
+  });
+
+  it('takes raw integer order amounts and rejects decimals', async () => {
+    const { code, agent } = await run(['orders', 'create', mint, '--amount', '1000000', '--price', '500000', '--side', 'sell']);
+    assert.equal(code, 0);
+    assert.deepEqual(agent.calls[0].args[1], { amount: 1_000_000n, price: 500_000n, isBuySide: false });
+
+    const decimal = await run(['orders', 'create', mint, '--amount', '1.5', '--price', '2', '--side', 'buy']);
+    assert.equal(decimal.code, 1);
+    assert.match(decimal.stderr, /--amount must be an integer amount in raw units/);
+    assert.deepEqual(decimal.agent.calls, []);
+  });
+
+  it('requires [owner] for portfolio without a keypair', { skip: fs.existsSync(DEFAULT_KEYPAIR_PATH) && 'a default keypair exists' }, async () => {
+    const missing = await run(['portfolio'], { env: {} });
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /\[owner\] is required without a keypair/);
+    assert.deepEqual(missing.agent.calls, []);
+
+    const owner = randomKey().toBase58();
+    const explicit = await run(['portfolio', owner], { env: {} });
+    assert.equal(explicit.code, 0);
+    assert.deepEqual(explicit.agent.calls, [{ action: 'getPortfolio', args: [owner] }]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Program-wide bundle discovery (findBundles) against an in-memory connection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { deriveBundlePda } from '../src/accounts.js';
+import { selectBundles } from '../src/discovery.js';
+import { createMemoryConnection, programAccount, randomKey } from './helpers.js';
+
+describe('findBundles', async () => {
+  const admin = randomKey();
+  const cap = 10_000_000_000n;
+  
+  // fillPct: 10, 50, 90, 100 (finalized), 30 (paused); the last has another admin
+  const specs = [
+    { collected: 1_000_000_000n },
+    { collected: 5_000_000_000n },
+    { collected: 9_000_000_000n },
+    { collected: cap, isFinalized: true },
+    { collected: 3_000_000_000n, tradingPaused: true, admin: randomKey() }
+  ];
+  const mints = specs.map(() => randomKey());
+  const accounts = [];
+  for (const [index, spec] of specs.entries()) {
+    const [bundlePda] = await deriveBundlePda(mints[index]);
+    accounts.push(await programAccount(bundlePda, 'BundleState', {
+      admin: spec.admin || admin,
+      mint: mints[index],
+      capLamports: cap,
+      collectedLamports: spec.collected,
+      isFinalized: spec.isFinalized,
+      tradingPaused: spec.tradingPaused
+    }));
+  }
+  // Accounts allocated with padding are still found (no dataSize filter)
+  accounts[1] = { ...accounts[1], data: Buffer.concat([accounts[1].data, Buffer.alloc(64)]) };
+  // Other account types are never returned
+  accounts.push(await programAccount(randomKey(), 'UserStake', { owner: admin }));
+  
+  const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+  agent.connection = createMemoryConnection({ accounts });
+  
+  it('returns decoded bundles sorted by fill, fullest first', async () => {
+    const page = await agent.findBundles();
+    assert.equal(page.total, 5);
+    assert.deepEqual(page.bundles.map(b => b.fillPct), [100, 90, 50, 30, 10]);
+    assert.equal(page.nextOffset, null);
+    const [bundlePda] = await deriveBundlePda(page.bundles[0].mint);
+    assert.ok(page.bundles[0].bundlePda.equals(bundlePda));
+    assert.equal(page.bundles[0].phase, 'finalized');
+  });
+  
+  it('filters on chain by admin, finalized and paused', async () => {
+    assert.equal((await agent.findBundles({ admin })).total, 4);
+    assert.equal((await agent.findBundles({ admin: admin.toBase58(), paused: true })).total, 0);
+    assert.equal((await agent.findBundles({ finalized: true })).total, 1);
+    
+    const open = await agent.findBundles({ finalized: false, paused: false });
+    assert.deepEqual(open.bundles.map(b => b.fillPct), [90, 50, 10]);
+  });
+  
+  it('applies minFillPct, sortBy, order and pagination', async () => {
+    const first = await agent.findBundles({ finalized: false, minFillPct: 20, sortBy: 'collectedLamports', order: 'asc', limit: 2 });
+    assert.deepEqual(first.bundles.map(b => b.fillPct), [30, 50]);
+    assert.equal(first.total, 3);
+    assert.equal(first.nextOffset, 2);
+    
+    const second = await agent.findBundles({ finalized: false, minFillPct: 20, sortBy: 'collectedLamports', order: 'asc', limit: 2, offset: first.nextOffset });
+    assert.deepEqual(second.bundles.map(b => b.fillPct), [90]);
+    assert.equal(second.nextOffset, null);
+  });
+});
+
+describe('selectBundles', () => {
+  it('rejects unknown sort fields and bad pages', () => {
+    assert.throws(() => selectBundles([], { sortBy: 'name' }), /sortBy must be one of/);
+    assert.throws(() => selectBundles([], { order: 'up' }), /order must be/);
+    assert.throws(() => selectBundles([], { limit: 0 }), /limit must be/);
+    assert.throws(() => selectBundles([], { offset: -1 }), /offset must be/);
+  });
+});
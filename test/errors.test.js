@@ -0,0 +1,66 @@
+/**
+ * SDK-side failures surface as BundlyError with a string code
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyError, BundlyTransactionError, SDK_ERROR_CODES, createProgramError } from '../src/errors.js';
+import { resolveNetworkProfile } from '../src/network.js';
+import { toRawAmount } from '../src/amounts.js';
+import { BundleWatcher } from '../src/watcher.js';
+import { randomKey } from './helpers.js';
+
+const isSdkError = code => error => error instanceof BundlyError && error.code === code && error.is(code);
+
+describe('SDK errors', () => {
+  const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+  agent.connection.getAccountInfo = async () => null;
+  agent.connection.getMultipleAccountsInfoAndContext = async keys => ({ context: { slot: 1 }, value: keys.map(() => null) });
+
+  it('reports a missing bundle as BUNDLE_NOT_FOUND', async () => {
+    const mint = randomKey();
+    await assert.rejects(agent.getBundleState(mint), isSdkError(SDK_ERROR_CODES.BUNDLE_NOT_FOUND));
+    await assert.rejects(agent.getBundleState(mint), new RegExp(mint.toBase58()));
+
+    const watcher = new BundleWatcher({ connection: agent.connection, mint, websocket: false });
+    await assert.rejects(watcher.start(), isSdkError(SDK_ERROR_CODES.BUNDLE_NOT_FOUND));
+  });
+
+  it('reports bad arguments as INVALID_ARGUMENT', async () => {
+    await assert.rejects(agent.createBundle({ capSol: '1' }), isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT));
+    await assert.rejects(agent.createOrder(randomKey(), { price: 1n }), isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT));
+    assert.throws(() => toRawAmount('1.2.3', 6), isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT));
+  });
+
+  it('reports malformed addresses and networks as INVALID_ARGUMENT', async () => {
+    await assert.rejects(agent.getBundleState('not-a-mint'), isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT));
+    await assert.rejects(agent.getBundleState('not-a-mint'), /mint is not a valid public key/);
+    await assert.rejects(agent.buy('0OIl', { solAmount: '0.1' }), isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT));
+    await assert.rejects(agent.getBundleState(42), /mint must be a PublicKey or base58 string/);
+    assert.throws(() => resolveNetworkProfile('moon'), isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT));
+    assert.throws(() => resolveNetworkProfile({ programId: 'bad' }), /programId is not a valid public key/);
+  });
+
+  it('wraps mint lookups: a missing mint is INVALID_ARGUMENT, RPC failures are retryable', async () => {
+    await assert.rejects(agent.getMintDecimals(randomKey()), isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT));
+
+    const offline = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+    offline.connection.getAccountInfo = async () => {
+      throw new Error('fetch failed');
+    };
+    await assert.rejects(offline.getMintDecimals(randomKey()), error => {
+      assert.ok(error instanceof BundlyTransactionError);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+  });
+
+  it('keeps program error names and codes matching through is()', () => {
+    const error = createProgramError('CapExceeded');
+    assert.ok(error.is('CapExceeded'));
+    assert.ok(error.is(error.code));
+    assert.ok(!error.is(SDK_ERROR_CODES.INVALID_ARGUMENT));
+  });
+});
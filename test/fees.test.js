@@ -0,0 +1,135 @@
+/**
+ * Priority fees and compute budget (fees.js) against a stub connection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ComputeBudgetProgram, Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import { BundlyError, SDK_ERROR_CODES } from '../src/errors.js';
+import {
+  MAX_COMPUTE_UNITS,
+  PRIORITY_FEE_STRATEGY,
+  resolvePriorityFee,
+  estimateComputeUnits,
+  applyComputeBudget
+} from '../src/fees.js';
+import { randomKey } from './helpers.js';
+
+const payer = randomKey();
+const recipient = randomKey();
+
+function transfer() {
+  const transaction = new Transaction().add(SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 1 }));
+  transaction.feePayer = payer;
+  transaction.recentBlockhash = Keypair.generate().publicKey.toBase58();
+  return transaction;
+}
+
+// getRecentPrioritizationFees stub that records the accounts it was asked about
+function createFeeConnection(fees) {
+  const calls = [];
+  return {
+    calls,
+    async getRecentPrioritizationFees(config) {
+      calls.push(config.lockedWritableAccounts.map(key => key.toBase58()));
+      return fees.map((prioritizationFee, slot) => ({ slot, prioritizationFee }));
+    }
+  };
+}
+
+const budgetPrograms = transaction => transaction.instructions
+  .filter(ix => ix.programId.equals(ComputeBudgetProgram.programId));
+
+describe('resolvePriorityFee', () => {
+  const percentile = (connection, options) => resolvePriorityFee(connection, transfer(), {
+    strategy: PRIORITY_FEE_STRATEGY.PERCENTILE,
+    ...options
+  });
+
+  it('returns 0 without a strategy and the fixed fee, capped', async () => {
+    assert.equal(await resolvePriorityFee(null, transfer(), undefined), 0);
+    assert.equal(await resolvePriorityFee(null, transfer(), { microLamports: 5_000.7 }), 5_000);
+    assert.equal(await resolvePriorityFee(null, transfer(), { microLamports: 5_000, maxMicroLamports: 1_200 }), 1_200);
+  });
+
+  it('takes the nearest-rank percentile of fees on the writable accounts', async () => {
+    const connection = createFeeConnection([40, 10, 30, 20]);
+    assert.equal(await percentile(connection), 30);
+    assert.equal(await percentile(connection, { percentile: 50 }), 20);
+    assert.equal(await percentile(connection, { percentile: 100 }), 40);
+    assert.equal(await percentile(connection, { percentile: 0 }), 10);
+    assert.deepEqual(connection.calls[0].sort(), [payer.toBase58(), recipient.toBase58()].sort());
+  });
+
+  it('applies the floor and the cap to the observed fee', async () => {
+    assert.equal(await percentile(createFeeConnection([]), { minMicroLamports: 100 }), 100);
+    assert.equal(await percentile(createFeeConnection([10]), { minMicroLamports: 100 }), 100);
+    assert.equal(await percentile(createFeeConnection([900_000]), { maxMicroLamports: 50_000 }), 50_000);
+  });
+
+  it('rejects unknown strategies as INVALID_ARGUMENT', async () => {
+    await assert.rejects(
+      resolvePriorityFee(null, transfer(), { strategy: 'auction' }),
+      error => error instanceof BundlyError && error.is(SDK_ERROR_CODES.INVALID_ARGUMENT)
+    );
+  });
+});
+
+describe('estimateComputeUnits', () => {
+  function createSimulationConnection(value) {
+    const calls = [];
+    return {
+      calls,
+      async simulateTransaction(transaction, options) {
+        calls.push({ transaction, options });
+        return { context: { slot: 1 }, value: { logs: [], ...value } };
+      }
+    };
+  }
+
+  it('simulates at the max limit and adds the margin', async () => {
+    const connection = createSimulationConnection({ err: null, unitsConsumed: 1_000 });
+    const transaction = applyComputeBudget(transfer(), { units: 200, microLamports: 1 });
+
+    assert.equal(await estimateComputeUnits(connection, transaction), 1_100);
+    assert.equal(await estimateComputeUnits(connection, transaction, { margin: 0.5 }), 1_500);
+
+    // Only the probe's own limit: the transaction's budget instructions are dropped
+    const { transaction: probe, options } = connection.calls[0];
+    const programIds = probe.message.compiledInstructions.map(ix => probe.message.staticAccountKeys[ix.programIdIndex]);
+    assert.equal(programIds.filter(id => id.equals(ComputeBudgetProgram.programId)).length, 1);
+    assert.equal(options.sigVerify, false);
+    assert.equal(options.replaceRecentBlockhash, true);
+  });
+
+  it('never exceeds the runtime limit', async () => {
+    const connection = createSimulationConnection({ err: null, unitsConsumed: MAX_COMPUTE_UNITS });
+    assert.equal(await estimateComputeUnits(connection, transfer()), MAX_COMPUTE_UNITS);
+  });
+
+  it('throws the decoded simulation error', async () => {
+    const connection = createSimulationConnection({ err: { InstructionError: [0, { Custom: 1 }] } });
+    await assert.rejects(estimateComputeUnits(connection, transfer()), error => {
+      assert.ok(error instanceof BundlyError);
+      assert.equal(error.simulation, true);
+      return true;
+    });
+  });
+});
+
+describe('applyComputeBudget', () => {
+  it('prepends the limit and price instructions', () => {
+    const transaction = applyComputeBudget(transfer(), { units: 50_000, microLamports: 7 });
+    assert.equal(transaction.instructions.length, 3);
+    assert.equal(budgetPrograms(transaction).length, 2);
+    assert.ok(transaction.instructions[2].programId.equals(SystemProgram.programId));
+  });
+
+  it('skips unset values and transactions that already have a budget', () => {
+    assert.equal(applyComputeBudget(transfer(), { units: 50_000 }).instructions.length, 2);
+    assert.equal(applyComputeBudget(transfer(), {}).instructions.length, 1);
+
+    const budgeted = applyComputeBudget(transfer(), { microLamports: 7 });
+    assert.equal(applyComputeBudget(budgeted, { units: 50_000, microLamports: 9 }).instructions.length, 2);
+  });
+});
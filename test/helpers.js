@@ -0,0 +1,232 @@
+/**
+ * Test helpers - check built instructions against idl/bundly_program.json
+ *
+ * Everything here is offline: the Anchor Program is created on a dummy
+ * connection that is never contacted, and PDAs are derived from the IDL's
+ * own seed specs rather than from src/accounts.js.
+ */
+
+import assert from 'node:assert/strict';
+import { BorshAccountsCoder, BorshInstructionCoder } from '@coral-xyz/anchor';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import BN from 'bn.js';
+import bs58 from 'bs58';
+import { idl } from '../src/idl.js';
+import { createProgram } from '../src/instructions.js';
+
+const instructionCoder = new BorshInstructionCoder(idl);
+const accountsCoder = new BorshAccountsCoder(idl);
+
+export const PROGRAM_ID = new PublicKey(idl.address);
+
+/**
+ * Anchor Program bound to an unreachable RPC (builders must not need it)
+ */
+export function createOfflineProgram(wallet = Keypair.generate(), programId = PROGRAM_ID) {
+  return createProgram(new Connection('http://127.0.0.1:1', 'confirmed'), wallet, programId);
+}
+
+export function randomKey() {
+  return Keypair.generate().publicKey;
+}
+
+/**
+ * Encode a Bundly account from camelCase fields (bigint / number / PublicKey);
+ * unset fields default to zero values. The inverse of state.js decodeAccount.
+ */
+export async function encodeAccount(accountName, fields = {}) {
+  const type = idl.types.find(t => t.name === accountName);
+  const values = {};
+  for (const field of type.type.fields) {
+    const camel = field.name.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+    const value = fields[camel];
+    if (field.type === 'pubkey') {
+      values[field.name] = value || PublicKey.default;
+    } else if (field.type === 'bool') {
+      values[field.name] = Boolean(value);
+    } else if (field.type === 'u64' || field.type === 'i64') {
+      values[field.name] = new BN((value ?? 0).toString());
+    } else {
+      values[field.name] = value ?? 0;
+    }
+  }
+  return accountsCoder.encode(accountName, values);
+}
+
+export function getIdlInstruction(name) {
+  const instruction = idl.instructions.find(ix => ix.name === name);
+  assert.ok(instruction, `IDL has no instruction ${name}`);
+  return instruction;
+}
+
+// Encode a seed value the way Anchor does for the IDL arg / account field type
+function encodeSeedValue(value, type) {
+  if (value instanceof PublicKey) return value.toBuffer();
+  if (type === 'u64' || type === 'i64') {
+    return new BN(value.toString()).toArrayLike(Buffer, 'le', 8);
+  }
+  if (type === 'u8') return Buffer.from([value]);
+  if (typeof value === 'string') return Buffer.from(value);
+  throw new Error(`Unsupported seed value type ${type}`);
+}
+
+function resolveSeed(seed, context) {
+  if (seed.kind === 'const') return Buffer.from(seed.value);
+
+  if (seed.kind === 'arg') {
+    // Anchor keeps the seed path of an unused arg without its `_` prefix
+    const arg = context.ixDef.args.find(a => a.name === seed.path || a.name === `_${seed.path}`);
+    return encodeSeedValue(context.args[arg.name], arg.type);
+  }
+
+  // account: a key of this instruction, or a field of a loaded account ("order.maker")
+  if (!(seed.path in context.accounts)) {
+    throw new Error(`No value for seed path ${seed.path}`);
+  }
+  const value = context.accounts[seed.path];
+  const fieldType = seed.path.includes('.') ? findFieldType(seed.account, seed.path.split('.')[1]) : 'pubkey';
+  return encodeSeedValue(value, fieldType);
+}
+
+function findFieldType(accountName, field) {
+  const type = idl.types.find(t => t.name === accountName);
+  return type.type.fields.find(f => f.name === field).type;
+}
+
+/**
+ * Assert that `instruction` matches the IDL definition `name`:
+ * program ID, discriminator + decoded args, and every account meta (order,
+ * signer / writable flags, fixed addresses and PDA seeds).
+ *
+ * expected.args: arg values by IDL name (compared after BN/bigint -> string)
+ * expected.accounts: pubkeys by IDL account name, plus loaded account fields
+ *   used as seeds (e.g. 'order.id_seed')
+ * expected.writableOverrides: account names whose writable flag deliberately
+ *   differs from the IDL
+ * expected.programId: deployment the instruction targets (default: IDL address)
+ */
+export function assertMatchesIdl(instruction, name, expected = {}) {
+  const ixDef = getIdlInstruction(name);
+  const programId = expected.programId || PROGRAM_ID;
+
+  assert.ok(instruction.programId.equals(programId), `${name}: wrong program ID`);
+
+  // Discriminator + args
+  const decoded = instructionCoder.decode(instruction.data);
+  assert.ok(decoded, `${name}: data does not decode against the IDL`);
+  assert.equal(decoded.name, name, `${name}: discriminator decodes as ${decoded.name}`);
+
+  const reencoded = instructionCoder.encode(name, decoded.data);
+  assert.equal(instruction.data.length, reencoded.length, `${name}: encoded args have the wrong length`);
+
+  const args = {};
+  for (const arg of ixDef.args) {
+    args[arg.name] = decoded.data[arg.name];
+    if (expected.args && arg.name in expected.args) {
+      assert.equal(
+        String(args[arg.name]),
+        String(expected.args[arg.name]),
+        `${name}: arg ${arg.name}`
+      );
+    }
+  }
+
+  // Account metas
+  assert.equal(
+    instruction.keys.length,
+    ixDef.accounts.length,
+    `${name}: expected ${ixDef.accounts.length} accounts (${ixDef.accounts.map(a => a.name).join(', ')}), got ${instruction.keys.length}`
+  );
+
+  const accounts = { ...expected.accounts };
+  ixDef.accounts.forEach((account, index) => {
+    accounts[account.name] = accounts[account.name] || instruction.keys[index].pubkey;
+  });
+
+  const overrides = expected.writableOverrides || [];
+  ixDef.accounts.forEach((account, index) => {
+    const meta = instruction.keys[index];
+    const label = `${name}: account #${index} ${account.name}`;
+
+    assert.equal(meta.isSigner, Boolean(account.signer), `${label} signer flag`);
+    const writable = overrides.includes(account.name) ? !account.writable : Boolean(account.writable);
+    assert.equal(meta.isWritable, writable, `${label} writable flag`);
+
+    if (expected.accounts && account.name in expected.accounts) {
+      assert.ok(meta.pubkey.equals(expected.accounts[account.name]), `${label} pubkey`);
+    }
+
+    if (account.address) {
+      assert.equal(meta.pubkey.toString(), account.address, `${label} fixed address`);
+    }
+
+    if (account.pda) {
+      const context = { ixDef, args, accounts };
+      const seeds = account.pda.seeds.map(seed => resolveSeed(seed, context));
+      const owner = account.pda.program
+        ? (account.pda.program.kind === 'const'
+          ? new PublicKey(Buffer.from(account.pda.program.value))
+          : accounts[account.pda.program.path])
+        : programId;
+      const [pda] = PublicKey.findProgramAddressSync(seeds, owner);
+      assert.equal(meta.pubkey.toString(), pda.toString(), `${label} PDA seeds`);
+    }
+  });
+
+  return { args, accounts };
+}
+
+/**
+ * Minimal read-only Connection: program accounts by address, parsed token
+ * accounts per token program, memcmp / dataSize filters applied like the RPC
+ */
+export function createMemoryConnection({ accounts = [], tokenAccounts = [] }) {
+  const byAddress = new Map(accounts.map(account => [account.address.toString(), account]));
+  const matches = (data, filters = []) => filters.every(filter => {
+    if (filter.dataSize !== undefined) return data.length === filter.dataSize;
+    const bytes = Buffer.from(bs58.decode(filter.memcmp.bytes));
+    return data.subarray(filter.memcmp.offset, filter.memcmp.offset + bytes.length).equals(bytes);
+  });
+  return {
+    async getParsedTokenAccountsByOwner(owner, { programId }) {
+      return {
+        context: { slot: 1 },
+        value: tokenAccounts
+          .filter(token => token.programId.equals(programId))
+          .map(token => ({
+            pubkey: randomKey(),
+            account: {
+              owner: token.programId,
+              data: {
+                parsed: {
+                  info: {
+                    mint: token.mint.toString(),
+                    owner: owner.toString(),
+                    tokenAmount: { amount: token.amount.toString(), decimals: token.decimals }
+                  }
+                }
+              }
+            }
+          }))
+      };
+    },
+    async getProgramAccounts(programId, { filters }) {
+      return accounts
+        .filter(account => account.owner.equals(programId) && matches(account.data, filters))
+        .map(account => ({ pubkey: account.address, account: { data: account.data, owner: account.owner } }));
+    },
+    async getMultipleAccountsInfo(keys) {
+      return keys.map(key => {
+        const account = byAddress.get(key.toString());
+        return account ? { data: account.data, owner: account.owner, lamports: 1, executable: false } : null;
+      });
+    }
+  };
+}
+
+/**
+ * In-memory Bundly program account for createMemoryConnection
+ */
+export async function programAccount(address, name, fields) {
+  return { address, owner: PROGRAM_ID, data: await encodeAccount(name, fields) };
+}
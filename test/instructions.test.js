@@ -0,0 +1,314 @@
+/**
+ * Instruction builders vs. idl/bundly_program.json (offline)
+ *
+ * Every build*Instruction is checked for account order, signer / writable
+ * flags, fixed addresses, PDA seeds and encoded args.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { idl } from '../src/idl.js';
+import { GLOBAL_FEE_WALLET, WSOL_MINT } from '../src/constants.js';
+import { deriveOrderPda } from '../src/accounts.js';
+import instructions from '../src/instructions.js';
+import { assertMatchesIdl, createOfflineProgram, randomKey } from './helpers.js';
+
+const {
+  buildInitBundleInstruction,
+  buildSwapInstruction,
+  buildPresaleExitInstruction,
+  buildDepositStakeInstruction,
+  buildPrepareUnstakeInstruction,
+  buildExecuteUnstakeInstruction,
+  buildWithdrawUnstakedInstruction,
+  buildClaimRewardsInstruction,
+  buildClaimRewardsInstructionRaw,
+  buildCreateOrderInstruction,
+  buildFillOrderInstruction,
+  buildCancelOrderInstruction,
+  buildFinalizePumpfunInstruction,
+  buildCollectPumpFeesInstruction,
+  buildCollectPumpAmmFeesInstruction,
+  buildSetTradingPausedInstruction,
+  buildSetCpiEnabledInstruction,
+  buildUpdateAdminInstruction,
+  buildUpdateFeeCollectorInstruction,
+  buildInjectRewardsInstruction,
+  buildWithdrawSolFeesInstruction,
+  buildWithdrawWsolFeesInstruction,
+  buildRecoverFeeVaultInstruction,
+  buildInitGlobalFeeAccountInstruction,
+  buildInitUnstakeVaultInstruction,
+  buildSyncSupplyInstruction
+} = instructions;
+
+const program = createOfflineProgram();
+const user = randomKey();
+const mint = randomKey();
+const realMint = randomKey();
+
+describe('instruction builders match the IDL', () => {
+  it('init_bundle', async () => {
+    const { instruction, mint: mintPda } = await buildInitBundleInstruction({
+      program,
+      creator: user,
+      nonce: 42,
+      decimals: 6,
+      capLamports: 85_000_000_000,
+      totalSupply: 1_000_000_000_000_000,
+      unstakeCooldown: 3600
+    });
+    assertMatchesIdl(instruction, 'init_bundle', {
+      accounts: { creator: user, mint: mintPda },
+      args: {
+        nonce: 42,
+        decimals: 6,
+        cap_lamports: 85_000_000_000,
+        total_supply: 1_000_000_000_000_000,
+        unstake_cooldown: 3600
+      }
+    });
+  });
+
+  it('swap', async () => {
+    const { instruction } = await buildSwapInstruction({
+      program, mint, user, amountLamports: 500_000_000, minTokensOut: 123
+    });
+    assertMatchesIdl(instruction, 'swap', {
+      accounts: {
+        buyer: user,
+        mint,
+        buyer_tokens: getAssociatedTokenAddressSync(mint, user),
+        global_fee_wallet: GLOBAL_FEE_WALLET
+      },
+      args: { amount_lamports: 500_000_000, min_tokens_out: 123 }
+    });
+  });
+
+  it('presale_exit', async () => {
+    const { instruction } = await buildPresaleExitInstruction({ program, mint, user, amountBtoken: 1000 });
+    assertMatchesIdl(instruction, 'presale_exit', {
+      accounts: { user, mint, global_fee_wallet: GLOBAL_FEE_WALLET },
+      args: { amount_btoken: 1000 }
+    });
+  });
+
+  it('deposit_stake', async () => {
+    const { instruction } = await buildDepositStakeInstruction({
+      program, mint, user, amount: 5000, minTokensOut: 4900, realMint
+    });
+    assertMatchesIdl(instruction, 'deposit_stake', {
+      accounts: { user, mint, real_mint: realMint },
+      args: { amount: 5000, min_tokens_out: 4900 }
+    });
+  });
+
+  it('prepare_unstake', async () => {
+    const { instruction } = await buildPrepareUnstakeInstruction({ program, mint, user });
+    assertMatchesIdl(instruction, 'prepare_unstake', { accounts: { user, mint } });
+  });
+
+  it('execute_unstake', async () => {
+    const { instruction } = await buildExecuteUnstakeInstruction({
+      program, mint, user, amountBtoken: 777, realMint
+    });
+    assertMatchesIdl(instruction, 'execute_unstake', {
+      accounts: { user, mint, real_mint: realMint, global_fee_wallet: GLOBAL_FEE_WALLET },
+      args: { amount_btoken: 777 }
+    });
+  });
+
+  it('withdraw_unstaked', async () => {
+    const { instruction } = await buildWithdrawUnstakedInstruction({ program, mint, user, realMint });
+    assertMatchesIdl(instruction, 'withdraw_unstaked', {
+      accounts: { user, mint, real_mint: realMint }
+    });
+  });
+
+  it('claim_rewards', async () => {
+    const { instruction } = await buildClaimRewardsInstruction({ program, mint, user, realMint });
+    assertMatchesIdl(instruction, 'claim_rewards', {
+      accounts: { user, mint, real_mint: realMint, global_fee_wallet: GLOBAL_FEE_WALLET }
+    });
+  });
+
+  it('claim_rewards (raw, mint forced writable)', async () => {
+    const { instruction } = await buildClaimRewardsInstructionRaw({ mint, user, realMint });
+    assertMatchesIdl(instruction, 'claim_rewards', {
+      accounts: { user, mint, real_mint: realMint, global_fee_wallet: GLOBAL_FEE_WALLET },
+      writableOverrides: ['mint']
+    });
+  });
+
+  it('create_order', async () => {
+    const { instruction, order } = await buildCreateOrderInstruction({
+      program, mint, maker: user, amount: 100, price: 2500, isBuySide: false, idSeed: 9
+    });
+    assertMatchesIdl(instruction, 'create_order', {
+      accounts: {
+        maker: user,
+        mint,
+        order,
+        maker_token_account: getAssociatedTokenAddressSync(mint, user)
+      },
+      args: { amount: 100, price: 2500, is_buy_side: false, _id_seed: 9 }
+    });
+  });
+
+  it('fill_order', async () => {
+    const taker = randomKey();
+    const [orderPda] = await deriveOrderPda(mint, user, 9);
+    const { instruction } = await buildFillOrderInstruction({
+      program, mint, taker, maker: user, orderPda
+    });
+    assertMatchesIdl(instruction, 'fill_order', {
+      accounts: { taker, maker: user, mint, order: orderPda, 'order.maker': user, 'order.id_seed': 9 }
+    });
+  });
+
+  it('cancel_order', async () => {
+    const [orderPda] = await deriveOrderPda(mint, user, 9);
+    const { instruction } = await buildCancelOrderInstruction({ program, mint, maker: user, orderPda });
+    assertMatchesIdl(instruction, 'cancel_order', {
+      accounts: { maker: user, mint, order: orderPda, 'order.id_seed': 9 }
+    });
+  });
+
+  it('finalize_pumpfun (explicit minTokensOut, no network)', async () => {
+    const pumpfunMint = randomKey();
+    const { instruction, minTokensOut, launchQuote } = await buildFinalizePumpfunInstruction({
+      program,
+      mint,
+      payer: user,
+      pumpfunMint,
+      tokenName: 'Bundle',
+      tokenSymbol: 'BNDL',
+      tokenUri: 'ipfs://metadata',
+      minTokensOut: 123_456_789
+    });
+    assert.equal(minTokensOut.toString(), '123456789');
+    assert.equal(launchQuote, null);
+    assertMatchesIdl(instruction, 'finalize_pumpfun', {
+      accounts: { payer: user, mint, pumpfun_mint: pumpfunMint },
+      args: {
+        token_name: 'Bundle',
+        token_symbol: 'BNDL',
+        token_uri: 'ipfs://metadata',
+        min_tokens_out: 123_456_789
+      }
+    });
+  });
+
+  it('collect_pump_fees', async () => {
+    const { instruction } = await buildCollectPumpFeesInstruction({ program, mint, collector: user });
+    assertMatchesIdl(instruction, 'collect_pump_fees', { accounts: { collector: user, mint } });
+  });
+
+  it('collect_pump_amm_fees', async () => {
+    const { instruction } = await buildCollectPumpAmmFeesInstruction({ program, mint, collector: user });
+    assertMatchesIdl(instruction, 'collect_pump_amm_fees', { accounts: { collector: user, mint } });
+  });
+
+  it('set_trading_paused', async () => {
+    const { instruction } = await buildSetTradingPausedInstruction({ program, mint, admin: user, paused: true });
+    assertMatchesIdl(instruction, 'set_trading_paused', { accounts: { admin: user }, args: { paused: true } });
+  });
+
+  it('set_cpi_enabled', async () => {
+    const { instruction } = await buildSetCpiEnabledInstruction({ program, mint, admin: user, enabled: false });
+    assertMatchesIdl(instruction, 'set_cpi_enabled', { accounts: { admin: user }, args: { enabled: false } });
+  });
+
+  it('update_admin', async () => {
+    const newAdmin = randomKey();
+    const { instruction } = await buildUpdateAdminInstruction({ program, mint, admin: user, newAdmin });
+    assertMatchesIdl(instruction, 'update_admin', { accounts: { admin: user, new_admin: newAdmin } });
+  });
+
+  it('update_fee_collector', async () => {
+    const newFeeCollector = randomKey();
+    const { instruction } = await buildUpdateFeeCollectorInstruction({
+      program, mint, admin: user, newFeeCollector
+    });
+    assertMatchesIdl(instruction, 'update_fee_collector', {
+      accounts: { admin: user, new_fee_collector: newFeeCollector }
+    });
+  });
+
+  it('inject_rewards', async () => {
+    const { instruction } = await buildInjectRewardsInstruction({
+      program, mint, user, realMint, amount: 10n ** 12n
+    });
+    assertMatchesIdl(instruction, 'inject_rewards', {
+      accounts: { user, mint, real_mint: realMint },
+      args: { amount: 10n ** 12n }
+    });
+  });
+
+  it('withdraw_sol_fees', async () => {
+    const { instruction } = await buildWithdrawSolFeesInstruction({
+      program, mint, admin: user, amountLamports: 1_000_000
+    });
+    assertMatchesIdl(instruction, 'withdraw_sol_fees', {
+      accounts: { admin: user, mint },
+      args: { amount: 1_000_000 }
+    });
+  });
+
+  it('withdraw_wsol_fees', async () => {
+    const { instruction } = await buildWithdrawWsolFeesInstruction({
+      program, mint, admin: user, amountLamports: 2_000_000
+    });
+    assertMatchesIdl(instruction, 'withdraw_wsol_fees', {
+      accounts: { admin: user, mint, admin_wsol_account: getAssociatedTokenAddressSync(WSOL_MINT, user) },
+      args: { amount: 2_000_000 }
+    });
+  });
+
+  it('recover_fee_vault', async () => {
+    const { instruction } = await buildRecoverFeeVaultInstruction({
+      program, mint, admin: user, realMint, amount: 55
+    });
+    assertMatchesIdl(instruction, 'recover_fee_vault', {
+      accounts: { admin: user, mint, real_mint: realMint },
+      args: { amount: 55 }
+    });
+  });
+
+  it('init_global_fee_account', async () => {
+    const { instruction } = await buildInitGlobalFeeAccountInstruction({ program, payer: user, realMint });
+    assertMatchesIdl(instruction, 'init_global_fee_account', {
+      accounts: { payer: user, real_mint: realMint, global_fee_wallet: GLOBAL_FEE_WALLET }
+    });
+  });
+
+  it('init_unstake_vault', async () => {
+    const { instruction } = await buildInitUnstakeVaultInstruction({ program, mint, payer: user, realMint });
+    assertMatchesIdl(instruction, 'init_unstake_vault', {
+      accounts: { payer: user, mint, real_mint: realMint }
+    });
+  });
+
+  it('sync_supply', async () => {
+    const { instruction } = await buildSyncSupplyInstruction({ program, mint, admin: user });
+    assertMatchesIdl(instruction, 'sync_supply', { accounts: { admin: user, mint } });
+  });
+});
+
+describe('IDL coverage', () => {
+  // Instructions the SDK deliberately does not wrap (the program's own helpers)
+  const UNWRAPPED = ['init_order', 'prepare_deposit'];
+
+  it('has a builder for every IDL instruction', () => {
+    const camel = name => name.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    const missing = idl.instructions
+      .map(ix => ix.name)
+      .filter(name => !UNWRAPPED.includes(name))
+      .filter(name => {
+        const builder = `build${camel(name)[0].toUpperCase()}${camel(name).slice(1)}Instruction`;
+        return typeof instructions[builder] !== 'function';
+      });
+    assert.deepEqual(missing, []);
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * BundlyKeeper: finalize retries, fee backoff and store persistence. A stub
+ * agent records finalize / fee calls; nothing is sent.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PublicKey } from '@solana/web3.js';
+import { BundlyKeeper, FileKeeperStore, KEEPER_EVENTS, KEEPER_STATUS, MemoryKeeperStore } from '../src/keeper.js';
+import { BundleWatcher } from '../src/watcher.js';
+import { createLogger } from '../src/logger.js';
+import { createProgramError } from '../src/errors.js';
+import { FEE_COLLECTION_INTERVAL } from '../src/constants.js';
+import { decodeBundleState, deriveBundleMetrics } from '../src/state.js';
+import { encodeAccount, randomKey } from './helpers.js';
+
+const CAP = 1_000n;
+const metadata = { name: 'Bundle', symbol: 'BND', metadataUri: 'ipfs://bundle' };
+
+async function bundleState(fields = {}) {
+  const decoded = decodeBundleState(await encodeAccount('BundleState', { capLamports: CAP, ...fields }));
+  return { ...decoded, ...deriveBundleMetrics(decoded) };
+}
+
+/**
+ * Agent double. finalize / fee results come from the `results` queues
+ * (an Error is thrown, anything else returned); calls are recorded.
+ */
+function createStubAgent({ connection } = {}) {
+  const calls = [];
+  const results = { finalize: [], collectPumpFees: [], collectPumpAmmFees: [] };
+  const respond = (action, fallback) => async (...args) => {
+    calls.push({ action, args });
+    const result = results[action].length ? results[action].shift() : fallback();
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  return {
+    calls,
+    results,
+    logger: createLogger('silent'),
+    finalize: respond('finalize', () => ({ signature: 'finalize-signature', pumpfunMint: randomKey() })),
+    collectPumpFees: respond('collectPumpFees', () => 'pump-signature'),
+    collectPumpAmmFees: respond('collectPumpAmmFees', () => 'amm-signature'),
+    async watchBundle(mint, options) {
+      const watcher = new BundleWatcher({ connection, mint: new PublicKey(mint), ...options });
+      return watcher.start();
+    }
+  };
+}
+
+describe('BundlyKeeper watching', () => {
+  it('leaves no buffered watcher events behind', async () => {
+    let slot = 0;
+    const connection = {
+      collected: 0n,
+      async getMultipleAccountsInfoAndContext() {
+        const data = await encodeAccount('BundleState', { capLamports: CAP, collectedLamports: connection.collected });
+        return { value: [{ data, lamports: 1 }, null], context: { slot: ++slot } };
+      }
+    };
+    const agent = createStubAgent({ connection });
+    const keeper = new BundlyKeeper({ agent, watchOptions: { websocket: false, pollInterval: 0 } });
+    const mint = randomKey().toBase58();
+    await keeper.addBundle(mint, metadata);
+    await keeper.start();
+
+    const watcher = keeper.watchers.get(mint);
+    for (let i = 1n; i <= 50n; i++) {
+      connection.collected = i;
+      await watcher.poll();
+    }
+    await keeper.stop();
+
+    assert.equal(watcher.queue.length, 0);
+    assert.equal(watcher.state.collectedLamports, 50n);
+    assert.deepEqual(agent.calls, []);
+  });
+
+  it('stays stopped without a timer when the first tick fails', async () => {
+    const store = new MemoryKeeperStore();
+    store.failures = 1;
+    const list = store.list.bind(store);
+    store.list = async () => {
+      if (store.failures-- > 0) throw new Error('EACCES: permission denied');
+      return list();
+    };
+    const keeper = new BundlyKeeper({ agent: createStubAgent(), store });
+
+    await assert.rejects(keeper.start(), /EACCES/);
+    assert.equal(keeper.running, false);
+    assert.equal(keeper.timer, null);
+
+    await keeper.start();
+    assert.equal(keeper.running, true);
+    assert.ok(keeper.timer);
+    await keeper.stop();
+  });
+});
+
+describe('BundlyKeeper finalize', () => {
+  it('finalizes once the cap is reached and records the real mint', async () => {
+    const agent = createStubAgent();
+    const keeper = new BundlyKeeper({ agent });
+    const mint = randomKey().toBase58();
+    await keeper.addBundle(mint, metadata);
+
+    await keeper.checkFinalize(mint, await bundleState({ collectedLamports: CAP - 1n }));
+    assert.equal(agent.calls.length, 0);
+
+    const finalized = [];
+    keeper.on(KEEPER_EVENTS.FINALIZED, event => finalized.push(event));
+    await keeper.checkFinalize(mint, await bundleState({ collectedLamports: CAP }));
+
+    const record = await keeper.getBundle(mint);
+    assert.equal(record.status, KEEPER_STATUS.FINALIZED);
+    assert.equal(record.finalizeSignature, 'finalize-signature');
+    assert.equal(record.metadataUri, metadata.metadataUri);
+    assert.equal(finalized.length, 1);
+    assert.deepEqual(agent.calls[0].args[1], { ...metadata, slippageBps: undefined });
+  });
+
+  it('waits finalizeTimeout before retrying a finalize that may still land', async () => {
+    const agent = createStubAgent();
+    const keeper = new BundlyKeeper({ agent, finalizeTimeout: 60_000 });
+    keeper.on(KEEPER_EVENTS.ERROR, () => {});
+    const mint = randomKey().toBase58();
+    await keeper.addBundle(mint, metadata);
+    const capped = await bundleState({ collectedLamports: CAP });
+
+    // The first send fails without a confirmed outcome: the record stays FINALIZING
+    agent.results.finalize.push(new Error('blockhash expired'));
+    await keeper.checkFinalize(mint, capped);
+    let record = await keeper.getBundle(mint);
+    assert.equal(record.status, KEEPER_STATUS.FINALIZING);
+    assert.equal(record.lastError, 'blockhash expired');
+
+    await keeper.checkFinalize(mint, capped);
+    assert.equal(agent.calls.length, 1);
+
+    await keeper.store.set(mint, { ...record, finalizeStartedAt: Date.now() - 60_000 });
+    await keeper.checkFinalize(mint, capped);
+    assert.equal(agent.calls.length, 2);
+    record = await keeper.getBundle(mint);
+    assert.equal(record.status, KEEPER_STATUS.FINALIZED);
+    assert.equal(record.lastError, null);
+  });
+
+  it('marks AlreadyFinalized bundles as finalized without retrying', async () => {
+    const agent = createStubAgent();
+    const keeper = new BundlyKeeper({ agent });
+    const mint = randomKey().toBase58();
+    await keeper.addBundle(mint, metadata);
+
+    agent.results.finalize.push(createProgramError('AlreadyFinalized'));
+    await keeper.checkFinalize(mint, await bundleState({ collectedLamports: CAP }));
+    assert.equal((await keeper.getBundle(mint)).status, KEEPER_STATUS.FINALIZED);
+  });
+});
+
+describe('BundlyKeeper fee collection', () => {
+  const feeInterval = 600_000;
+
+  async function finalizedKeeper(options = {}) {
+    const agent = createStubAgent();
+    const keeper = new BundlyKeeper({ agent, feeInterval, ...options });
+    const deferred = [];
+    keeper.on(KEEPER_EVENTS.FEES_DEFERRED, event => deferred.push(event));
+    const mint = randomKey().toBase58();
+    await keeper.store.set(mint, { mint, metadata, status: KEEPER_STATUS.FINALIZED, fees: {} });
+    return { agent, keeper, deferred, mint };
+  }
+
+  it('defers without sending while last_fee_collection is recent', async () => {
+    const { agent, keeper, deferred, mint } = await finalizedKeeper();
+    const lastFeeCollection = BigInt(Math.floor(Date.now() / 1000) - 10);
+
+    await keeper.collectBundleFees(mint, await bundleState({ isFinalized: true, lastFeeCollection }));
+
+    const expectedAt = Number(lastFeeCollection + BigInt(FEE_COLLECTION_INTERVAL)) * 1000;
+    assert.deepEqual(agent.calls, []);
+    assert.deepEqual(deferred.map(event => [event.kind, event.reason, event.nextAttemptAt]), [
+      ['pump', 'FeeCollectionTooSoon', expectedAt],
+      ['pumpAmm', 'FeeCollectionTooSoon', expectedAt]
+    ]);
+  });
+
+  it('defers the second source after the first collection moves the cooldown', async () => {
+    const { agent, keeper, deferred, mint } = await finalizedKeeper();
+    await keeper.collectBundleFees(mint, await bundleState({ isFinalized: true }));
+
+    assert.deepEqual(agent.calls.map(call => call.action), ['collectPumpFees']);
+    assert.deepEqual(deferred.map(event => [event.kind, event.reason]), [['pumpAmm', 'FeeCollectionTooSoon']]);
+    const { fees } = await keeper.getBundle(mint);
+    assert.equal(fees.pump.lastSignature, 'pump-signature');
+    assert.ok(fees.pump.nextAttemptAt >= Date.now() + feeInterval - 1_000);
+  });
+
+  it('backs off exponentially on NoFeesAvailable, capped at maxBackoff', async () => {
+    const { agent, keeper, deferred, mint } = await finalizedKeeper({ maxBackoff: 1_000_000 });
+    const state = await bundleState({ isFinalized: true });
+    const noFees = () => createProgramError('NoFeesAvailable');
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      agent.results.collectPumpFees.push(noFees());
+      agent.results.collectPumpAmmFees.push(noFees());
+      const before = Date.now();
+      await keeper.collectBundleFees(mint, state);
+
+      const { fees } = await keeper.getBundle(mint);
+      const backoff = Math.min(feeInterval * 2 ** (attempt - 1), 1_000_000);
+      assert.equal(fees.pump.failures, attempt);
+      assert.ok(fees.pump.nextAttemptAt >= before + backoff && fees.pump.nextAttemptAt <= Date.now() + backoff);
+
+      // Not due yet: a second pass sends nothing
+      const sent = agent.calls.length;
+      await keeper.collectBundleFees(mint, state);
+      assert.equal(agent.calls.length, sent);
+
+      // Make both sources due again for the next attempt
+      await keeper.store.set(mint, {
+        mint,
+        metadata,
+        status: KEEPER_STATUS.FINALIZED,
+        fees: Object.fromEntries(Object.entries(fees).map(([kind, schedule]) => [kind, { ...schedule, nextAttemptAt: 0 }]))
+      });
+    }
+
+    assert.equal(agent.calls.length, 6);
+    assert.ok(deferred.every(event => event.reason === 'NoFeesAvailable'));
+  });
+
+  it('waits a full interval after an on-chain FeeCollectionTooSoon', async () => {
+    const { agent, keeper, deferred, mint } = await finalizedKeeper();
+    agent.results.collectPumpFees.push(createProgramError('FeeCollectionTooSoon'));
+    agent.results.collectPumpAmmFees.push(createProgramError('FeeCollectionTooSoon'));
+    const before = Date.now();
+
+    await keeper.collectBundleFees(mint, await bundleState({ isFinalized: true }));
+
+    const { fees } = await keeper.getBundle(mint);
+    assert.equal(fees.pump.failures, 0);
+    assert.ok(fees.pump.nextAttemptAt >= before + FEE_COLLECTION_INTERVAL * 1000);
+    assert.deepEqual(deferred.map(event => event.reason), ['FeeCollectionTooSoon', 'FeeCollectionTooSoon']);
+  });
+});
+
+describe('FileKeeperStore', () => {
+  const dirs = [];
+  after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true });
+  });
+
+  function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundly-keeper-'));
+    dirs.push(dir);
+    return path.join(dir, 'keeper.json');
+  }
+
+  it('starts empty when the file does not exist', async () => {
+    assert.deepEqual(await new FileKeeperStore(tempFile()).list(), []);
+  });
+
+  it('persists records across restarts', async () => {
+    const file = tempFile();
+    const first = new FileKeeperStore(file);
+    const a = { mint: randomKey().toBase58(), status: KEEPER_STATUS.PENDING, fees: {} };
+    const b = { mint: randomKey().toBase58(), status: KEEPER_STATUS.FINALIZED, fees: { pump: { failures: 2, nextAttemptAt: 5 } } };
+    await first.set(a.mint, a);
+    await first.set(b.mint, b);
+    await first.delete(a.mint);
+
+    const restarted = new FileKeeperStore(file);
+    assert.deepEqual(await restarted.list(), [b]);
+    assert.deepEqual(await restarted.get(b.mint), b);
+    assert.equal(await restarted.get(a.mint), null);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+  });
+
+  it('keeps a restarted keeper from re-sending an in-flight finalize', async () => {
+    const file = tempFile();
+    const mint = randomKey().toBase58();
+    await new FileKeeperStore(file).set(mint, {
+      mint,
+      metadata,
+      metadataUri: metadata.metadataUri,
+      status: KEEPER_STATUS.FINALIZING,
+      finalizeStartedAt: Date.now(),
+      fees: {}
+    });
+
+    const agent = createStubAgent();
+    const keeper = new BundlyKeeper({ agent, store: new FileKeeperStore(file) });
+    await keeper.checkFinalize(mint, await bundleState({ collectedLamports: CAP }));
+    assert.deepEqual(agent.calls, []);
+    assert.equal((await keeper.getBundle(mint)).status, KEEPER_STATUS.FINALIZING);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Network profiles and alternate deployments (offline)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BUNDLY_PROGRAM_ID, GLOBAL_FEE_WALLET, RPC_ENDPOINTS } from '../src/constants.js';
+import { NETWORK_PROFILES, resolveNetworkProfile } from '../src/network.js';
+import { deriveBundlePda } from '../src/accounts.js';
+import instructions from '../src/instructions.js';
+import { assertMatchesIdl, createOfflineProgram, randomKey } from './helpers.js';
+
+describe('resolveNetworkProfile', () => {
+  it('resolves the named presets', () => {
+    for (const name of ['localnet', 'devnet', 'mainnet']) {
+      const profile = resolveNetworkProfile(name);
+      assert.equal(profile.name, name);
+      assert.equal(profile.rpcUrl, RPC_ENDPOINTS[name]);
+      assert.ok(profile.programId.equals(BUNDLY_PROGRAM_ID));
+    }
+    assert.equal(NETWORK_PROFILES.mainnet.airdrop, false);
+  });
+
+  it('requires an RPC endpoint for custom', () => {
+    assert.throws(() => resolveNetworkProfile('custom'), /rpcUrl/);
+    const profile = resolveNetworkProfile('custom', { rpcUrl: 'http://staging:8899' });
+    assert.equal(profile.rpcUrl, 'http://staging:8899');
+  });
+
+  it('rejects unknown names', () => {
+    assert.throws(() => resolveNetworkProfile('testnet'), /Unknown network/);
+    assert.throws(() => resolveNetworkProfile({ extends: 'testnet', rpcUrl: 'http://staging:8899' }), /Unknown network/);
+  });
+
+  it('validates only the merged profile', () => {
+    const profile = resolveNetworkProfile({ extends: 'custom', rpcUrl: 'http://staging:8899' });
+    assert.equal(profile.rpcUrl, 'http://staging:8899');
+    assert.equal(profile.airdrop, false);
+    assert.throws(() => resolveNetworkProfile({ extends: 'custom' }), /has no RPC endpoint/);
+  });
+
+  it('merges profile objects onto their preset and coerces addresses', () => {
+    const programId = randomKey();
+    const profile = resolveNetworkProfile({
+      extends: 'localnet',
+      programId: programId.toString(),
+      globalFeeWallet: GLOBAL_FEE_WALLET
+    });
+    assert.equal(profile.name, 'custom');
+    assert.equal(profile.rpcUrl, RPC_ENDPOINTS.localnet);
+    assert.ok(profile.programId instanceof PublicKey);
+    assert.ok(profile.programId.equals(programId));
+    assert.ok(profile.pumpfunProgramId.equals(NETWORK_PROFILES.devnet.pumpfunProgramId));
+  });
+});
+
+describe('alternate deployments', () => {
+  const programId = randomKey();
+  const globalFeeWallet = randomKey();
+  const network = resolveNetworkProfile('localnet', { programId, globalFeeWallet });
+  const program = createOfflineProgram(Keypair.generate(), programId);
+  const mint = randomKey();
+  const user = randomKey();
+
+  it('builds instructions against the configured program ID', async () => {
+    const { instruction } = await instructions.buildSwapInstruction({
+      program, network, mint, user, amountLamports: 1_000_000
+    });
+    assertMatchesIdl(instruction, 'swap', {
+      programId,
+      accounts: { buyer: user, mint, global_fee_wallet: globalFeeWallet }
+    });
+  });
+
+  it('uses the profile for the raw claim_rewards builder', async () => {
+    const { instruction } = await instructions.buildClaimRewardsInstructionRaw({
+      programId, network, mint, user, realMint: randomKey()
+    });
+    assertMatchesIdl(instruction, 'claim_rewards', {
+      programId,
+      accounts: { global_fee_wallet: globalFeeWallet },
+      writableOverrides: ['mint']
+    });
+  });
+
+  it('scopes the profile to each agent instance', async () => {
+    const staging = new BundlyAgent({
+      wallet: Keypair.generate(),
+      logger: 'silent',
+      network: 'custom',
+      rpcUrl: 'http://127.0.0.1:1',
+      programId
+    });
+    const devnet = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+
+    assert.equal(staging.network, 'custom');
+    assert.ok(staging.program.programId.equals(programId));
+    assert.ok(devnet.program.programId.equals(BUNDLY_PROGRAM_ID));
+
+    const [stagingBundle] = await deriveBundlePda(mint, staging.programId);
+    const [devnetBundle] = await deriveBundlePda(mint, devnet.programId);
+    assert.ok(!stagingBundle.equals(devnetBundle));
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * OTC order book: getProgramAccounts filters and bid/ask ordering
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { ORDER_SIDE, buildOrderFilters, buildOrderBook } from '../src/orderbook.js';
+import { getAccountDiscriminatorFilter, getAccountFieldOffset } from '../src/state.js';
+import { createMemoryConnection, encodeAccount, programAccount, randomKey } from './helpers.js';
+
+describe('buildOrderFilters', () => {
+  it('matches on the discriminator only, without a dataSize filter', () => {
+    const filters = buildOrderFilters();
+    assert.deepEqual(filters, [getAccountDiscriminatorFilter('OrderState')]);
+    assert.ok(filters.every(filter => filter.dataSize === undefined));
+  });
+
+  it('adds memcmp filters for mint, maker and side', () => {
+    const mint = randomKey();
+    const maker = randomKey();
+    const [, mintFilter, makerFilter, sideFilter] = buildOrderFilters({ mint, maker, side: ORDER_SIDE.BUY });
+    assert.deepEqual(mintFilter.memcmp, { offset: getAccountFieldOffset('OrderState', 'mint'), bytes: mint.toBase58() });
+    assert.deepEqual(makerFilter.memcmp, { offset: getAccountFieldOffset('OrderState', 'maker'), bytes: maker.toBase58() });
+    assert.deepEqual(sideFilter.memcmp, { offset: getAccountFieldOffset('OrderState', 'isBuySide'), bytes: '2' });
+    assert.equal(buildOrderFilters({ side: ORDER_SIDE.SELL })[1].memcmp.bytes, '1');
+  });
+
+  it('rejects unknown sides', () => {
+    assert.throws(() => buildOrderFilters({ side: 'long' }), /side must be/);
+  });
+});
+
+describe('buildOrderBook', () => {
+  const order = (isBuySide, price, createdAt, amount = 1n) => ({ isBuySide, price, createdAt, amount });
+
+  it('sorts bids high-to-low and asks low-to-high, older first on equal price', () => {
+    const book = buildOrderBook([
+      order(true, 10n, 5n),
+      order(true, 12n, 9n),
+      order(true, 10n, 2n),
+      order(false, 20n, 7n),
+      order(false, 15n, 8n),
+      order(false, 15n, 3n)
+    ]);
+    assert.deepEqual(book.bids.map(o => [o.price, o.createdAt]), [[12n, 9n], [10n, 2n], [10n, 5n]]);
+    assert.deepEqual(book.asks.map(o => [o.price, o.createdAt]), [[15n, 3n], [15n, 8n], [20n, 7n]]);
+    assert.equal(book.bestBid.price, 12n);
+    assert.equal(book.bestAsk.price, 15n);
+    assert.equal(book.spread, 3n);
+  });
+
+  it('drops filled orders and has no spread for a one-sided book', () => {
+    const book = buildOrderBook([order(true, 10n, 1n, 0n), order(false, 15n, 1n)]);
+    assert.deepEqual(book.bids, []);
+    assert.equal(book.bestBid, null);
+    assert.equal(book.asks.length, 1);
+    assert.equal(book.spread, null);
+  });
+});
+
+describe('listOrders', async () => {
+  const mint = randomKey();
+  const alice = randomKey();
+  const bob = randomKey();
+  const orders = [
+    { maker: alice, mint, isBuySide: true, amount: 5n, price: 10n },
+    { maker: bob, mint, isBuySide: false, amount: 5n, price: 12n },
+    { maker: alice, mint, isBuySide: false, amount: 5n, price: 14n },
+    // another mint, and a filled order
+    { maker: alice, mint: randomKey(), isBuySide: false, amount: 5n, price: 11n },
+    { maker: bob, mint, isBuySide: true, amount: 0n, price: 9n }
+  ];
+  const accounts = [];
+  for (const fields of orders) {
+    accounts.push(await programAccount(randomKey(), 'OrderState', fields));
+  }
+  // Padded account (e.g. reallocated after an upgrade) is still part of the book
+  const padded = Buffer.concat([await encodeAccount('OrderState', { maker: bob, mint, amount: 5n, price: 8n, isBuySide: true }), Buffer.alloc(32)]);
+  accounts.push({ ...accounts[0], address: randomKey(), data: padded });
+
+  const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+  agent.connection = createMemoryConnection({ accounts });
+
+  it('returns the book of one mint', async () => {
+    const book = await agent.listOrders(mint);
+    assert.deepEqual(book.bids.map(o => o.price), [10n, 8n]);
+    assert.deepEqual(book.asks.map(o => o.price), [12n, 14n]);
+    assert.ok(book.asks.every(o => o.side === ORDER_SIDE.SELL));
+  });
+
+  it('narrows by maker and side', async () => {
+    const byAlice = await agent.listOrders(mint, { maker: alice.toBase58() });
+    assert.deepEqual([...byAlice.bids, ...byAlice.asks].map(o => o.price), [10n, 14n]);
+
+    const asks = await agent.listOrders(mint, { side: ORDER_SIDE.SELL, maker: bob });
+    assert.deepEqual(asks.bids, []);
+    assert.deepEqual(asks.asks.map(o => o.price), [12n]);
+  });
+});
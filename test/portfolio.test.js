@@ -0,0 +1,167 @@
+/**
+ * Portfolio: discovery, joins and SOL valuation against an in-memory connection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import { deriveBundlePda, deriveUnstakeRequestPda, deriveUserStakePda } from '../src/accounts.js';
+import { fetchPortfolio, PORTFOLIO_VALUE_SOURCE } from '../src/portfolio.js';
+import { NETWORK_PROFILES } from '../src/network.js';
+import { quotePresaleExitFromState } from '../src/quotes.js';
+import { summarizeStakeValue, decodeBundleState } from '../src/state.js';
+import { createMemoryConnection, encodeAccount, programAccount, randomKey } from './helpers.js';
+
+const NOW = 1_700_000_000;
+
+async function paddedProgramAccount(address, name, fields) {
+  const account = await programAccount(address, name, fields);
+  return { ...account, data: Buffer.concat([account.data, Buffer.alloc(16)]) };
+}
+
+describe('fetchPortfolio', async () => {
+  const owner = randomKey();
+  
+  // Presale bundle: owner holds bTokens and has an open sell order
+  const presaleMint = randomKey();
+  const [presaleBundle] = await deriveBundlePda(presaleMint);
+  const presaleState = {
+    mint: presaleMint,
+    capLamports: 10_000_000_000n,
+    collectedLamports: 4_000_000_000n,
+    totalSupply: 1_000_000_000_000_000n,
+    totalBtokenSupply: 400_000_000_000_000n
+  };
+  
+  // Finalized bundle: staked, unstake pending, real tokens on Token-2022, no pump.fun reachable
+  const finalizedMint = randomKey();
+  const realMint = randomKey();
+  const [finalizedBundle] = await deriveBundlePda(finalizedMint);
+  const [userStakePda] = await deriveUserStakePda(finalizedBundle, owner);
+  const [unstakeRequestPda] = await deriveUnstakeRequestPda(finalizedBundle, owner);
+  
+  // Staked-only bundle: no bToken balance, found through UserStake
+  const stakedOnlyMint = randomKey();
+  const [stakedOnlyBundle] = await deriveBundlePda(stakedOnlyMint);
+  
+  const connection = createMemoryConnection({
+    accounts: [
+      await programAccount(presaleBundle, 'BundleState', presaleState),
+      await programAccount(finalizedBundle, 'BundleState', {
+        mint: finalizedMint,
+        realMint,
+        isFinalized: true,
+        totalVaultBalance: 2_000_000n,
+        totalBtokenSupply: 1_000_000n,
+        vaultBalanceAtFinalization: 1_000_000n,
+        btokenSupplyAtFinalization: 1_000_000n
+      }),
+      await programAccount(stakedOnlyBundle, 'BundleState', { mint: stakedOnlyMint }),
+      await programAccount(userStakePda, 'UserStake', {
+        owner, bundle: finalizedBundle, isInitialized: true, presaleBtokenAmount: 100_000n
+      }),
+      // allocated with padding: still found (no dataSize filter)
+      await paddedProgramAccount(randomKey(), 'UserStake', {
+        owner, bundle: stakedOnlyBundle, isInitialized: true, totalRealDeposited: 5n
+      }),
+      await programAccount(randomKey(), 'UserStake', {
+        owner: randomKey(), bundle: presaleBundle, isInitialized: true
+      }),
+      await programAccount(unstakeRequestPda, 'UnstakeRequest', {
+        owner, bundle: finalizedBundle, isInitialized: true, amountUnlocking: 300n, amountClaimed: 100n
+      }),
+      await programAccount(randomKey(), 'OrderState', {
+        maker: owner, mint: presaleMint, amount: 5_000n, price: 42n
+      }),
+      await programAccount(randomKey(), 'OrderState', {
+        maker: owner, mint: presaleMint, amount: 0n, price: 1n
+      })
+    ],
+    tokenAccounts: [
+      { programId: TOKEN_PROGRAM_ID, mint: presaleMint, amount: 1_000_000_000n, decimals: 6 },
+      { programId: TOKEN_PROGRAM_ID, mint: presaleMint, amount: 500n, decimals: 6 },
+      { programId: TOKEN_PROGRAM_ID, mint: finalizedMint, amount: 100_000n, decimals: 6 },
+      { programId: TOKEN_2022_PROGRAM_ID, mint: realMint, amount: 700n, decimals: 6 },
+      { programId: TOKEN_PROGRAM_ID, mint: randomKey(), amount: 9n, decimals: 0 }
+    ]
+  });
+  
+  const portfolio = await fetchPortfolio({ connection, owner, now: NOW });
+  const find = mint => portfolio.bundles.find(entry => entry.mint.equals(mint));
+  
+  it('keeps only mints with a bundle PDA, plus staked bundles', () => {
+    assert.equal(portfolio.bundles.length, 3);
+    assert.ok(find(presaleMint) && find(finalizedMint) && find(stakedOnlyMint));
+  });
+  
+  it('joins balances, open orders and the decoded state', () => {
+    const presale = find(presaleMint);
+    assert.equal(presale.btoken.amount, 1_000_000_500n);
+    assert.equal(presale.btoken.decimals, 6);
+    assert.equal(presale.phase, 'fundraising');
+    assert.equal(presale.state.fillPct, 40);
+    assert.equal(presale.orders.length, 1);
+    assert.equal(presale.orders[0].side, 'sell');
+    assert.equal(presale.realToken, null);
+  });
+  
+  it('values presale positions at the presale exit quote', () => {
+    const presale = find(presaleMint);
+    const expected = quotePresaleExitFromState(presale.state, 1_000_000_500n).solOut;
+    assert.equal(presale.value.source, PORTFOLIO_VALUE_SOURCE.PRESALE_EXIT);
+    assert.equal(presale.value.lamports, expected);
+    assert.equal(portfolio.totalValueLamports, expected);
+  });
+  
+  it('joins stake, unstake and rewards for finalized bundles', () => {
+    const finalized = find(finalizedMint);
+    assert.equal(finalized.realToken.amount, 700n);
+    assert.equal(finalized.stake.hasStake, true);
+    assert.equal(finalized.unstake.pending, 200n);
+    // 100_000 bTokens at 2x the finalization rate: 200_000 redeemable, 100_000 principal
+    assert.equal(finalized.rewards.redeemable, 200_000n);
+    assert.equal(finalized.rewards.claimable, 100_000n);
+    assert.equal(finalized.value.realTokens, 700n + 200_000n + 200n);
+  });
+  
+  it('reports positions it cannot price instead of guessing', () => {
+    const finalized = find(finalizedMint);
+    assert.equal(finalized.value.lamports, null);
+    assert.deepEqual(portfolio.unpriced.map(String), [finalizedMint.toString()]);
+    assert.equal(find(stakedOnlyMint).value.source, PORTFOLIO_VALUE_SOURCE.EMPTY);
+  });
+  
+  it('fails on RPC errors while loading pump.fun rather than leaving positions unpriced', async () => {
+    const { pumpfunGlobal } = NETWORK_PROFILES.devnet;
+    const failing = {
+      ...connection,
+      async getMultipleAccountsInfo(keys) {
+        if (keys.some(key => key.equals(pumpfunGlobal))) throw new Error('429 Too Many Requests');
+        return connection.getMultipleAccountsInfo(keys);
+      }
+    };
+    await assert.rejects(fetchPortfolio({ connection: failing, owner, now: NOW }), /429/);
+  });
+});
+
+describe('summarizeStakeValue', () => {
+  it('counts undripped rewards only once they drip', async () => {
+    const state = decodeBundleState(await encodeAccount('BundleState', {
+      isFinalized: true,
+      totalVaultBalance: 1_000n,
+      totalBtokenSupply: 1_000n,
+      dripPendingAmount: 100n,
+      dripRate: 1n,
+      dripLastUpdate: BigInt(NOW - 50),
+      dripEndTs: BigInt(NOW + 50)
+    }));
+    const userStake = { isInitialized: true, totalRealDeposited: 500n, totalRealWithdrawn: 0n };
+    
+    const value = summarizeStakeValue(state, userStake, 500n, NOW);
+    assert.equal(value.redeemable, 525n);
+    assert.equal(value.principal, 500n);
+    assert.equal(value.claimable, 25n);
+    
+    assert.equal(summarizeStakeValue(state, null, 500n, NOW).claimable, 0n);
+  });
+});
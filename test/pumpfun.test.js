@@ -0,0 +1,245 @@
+/**
+ * pump.fun launch math (pumpfun.js) against a fixed Global account: the
+ * expected amounts are worked out here with the bonding curve formulas
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import BN from 'bn.js';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { PUMP_SDK } from '@pump-fun/pump-sdk';
+import { BundlyError, SDK_ERROR_CODES } from '../src/errors.js';
+import instructions, { createProgram } from '../src/instructions.js';
+import {
+  DEFAULT_FINALIZE_SLIPPAGE_BPS,
+  FINALIZE_BUFFER_LAMPORTS,
+  calculateFinalizeMinTokensOut,
+  quotePumpfunLaunch
+} from '../src/pumpfun.js';
+import { randomKey } from './helpers.js';
+
+const { buildFinalizePumpfunInstruction } = instructions;
+
+const VIRTUAL_TOKENS = 1_073_000_000_000_000n;
+const VIRTUAL_SOL = 30_000_000_000n;
+const REAL_TOKENS = 793_100_000_000_000n;
+const TOTAL_SUPPLY = 1_000_000_000_000_000n;
+const RENT = 2_039_280n;
+const COSTS = RENT * 2n + BigInt(FINALIZE_BUFFER_LAMPORTS);
+
+const pumpCoder = PUMP_SDK.offlinePumpProgram.coder.accounts;
+const u64 = value => new BN(value.toString());
+
+async function encodeGlobal(fields = {}) {
+  const recipients = Array(7).fill(PublicKey.default);
+  return pumpCoder.encode('global', {
+    initialized: true,
+    authority: PublicKey.default,
+    feeRecipient: PublicKey.default,
+    initialVirtualTokenReserves: u64(VIRTUAL_TOKENS),
+    initialVirtualSolReserves: u64(VIRTUAL_SOL),
+    initialRealTokenReserves: u64(REAL_TOKENS),
+    tokenTotalSupply: u64(TOTAL_SUPPLY),
+    feeBasisPoints: u64(95),
+    withdrawAuthority: PublicKey.default,
+    enableMigrate: true,
+    poolMigrationFee: u64(0),
+    creatorFeeBasisPoints: u64(5),
+    feeRecipients: recipients,
+    setCreatorAuthority: PublicKey.default,
+    adminSetCreatorAuthority: PublicKey.default,
+    createV2Enabled: true,
+    whitelistPda: PublicKey.default,
+    reservedFeeRecipient: PublicKey.default,
+    mayhemModeEnabled: false,
+    reservedFeeRecipients: recipients,
+    ...fields
+  });
+}
+
+// feeTiers: [marketCapLamportsThreshold, protocolFeeBps, creatorFeeBps]
+async function encodeFeeConfig(feeTiers) {
+  const fees = (protocolFeeBps, creatorFeeBps) => ({
+    lpFeeBps: u64(0), protocolFeeBps: u64(protocolFeeBps), creatorFeeBps: u64(creatorFeeBps)
+  });
+  return pumpCoder.encode('feeConfig', {
+    bump: 255,
+    admin: PublicKey.default,
+    flatFees: fees(0, 0),
+    feeTiers: feeTiers.map(([threshold, protocol, creator]) => ({
+      marketCapLamportsThreshold: u64(threshold),
+      fees: fees(protocol, creator)
+    }))
+  });
+}
+
+const decodeGlobal = async fields => PUMP_SDK.decodeGlobal({ data: await encodeGlobal(fields) });
+const decodeFeeConfig = async tiers => PUMP_SDK.decodeFeeConfig({ data: await encodeFeeConfig(tiers) });
+
+// First buy on a fresh curve: fees come off the input, tokens are capped at the real reserves
+function expectedTokens(lamports, feeBps) {
+  const input = (lamports - 1n) * 10_000n / (10_000n + feeBps);
+  const tokens = input * VIRTUAL_TOKENS / (VIRTUAL_SOL + input);
+  return tokens < REAL_TOKENS ? tokens : REAL_TOKENS;
+}
+
+// SOL that buys out the real reserves, plus the protocol and creator fees (each rounded up)
+function expectedGraduation(protocolBps, creatorBps) {
+  const cost = REAL_TOKENS * VIRTUAL_SOL / (VIRTUAL_TOKENS - REAL_TOKENS) + 1n;
+  const fee = bps => (cost * bps + 9_999n) / 10_000n;
+  return cost + fee(protocolBps) + fee(creatorBps);
+}
+
+/**
+ * Stub connection for calculateFinalizeMinTokensOut: the escrow balance,
+ * token account rent and the pump.fun Global / FeeConfig accounts
+ */
+function createPumpConnection({ escrow, global, feeConfig = null }) {
+  const connection = {
+    reads: 0,
+    async getBalance() {
+      connection.reads++;
+      return Number(escrow);
+    },
+    async getMinimumBalanceForRentExemption() {
+      return Number(RENT);
+    },
+    async getMultipleAccountsInfo() {
+      return [global && { data: global }, feeConfig && { data: feeConfig }];
+    }
+  };
+  return connection;
+}
+
+const silent = { info() {}, warn() {} };
+const isSdkError = code => error => error instanceof BundlyError && error.is(code);
+
+describe('quotePumpfunLaunch', () => {
+  it('prices the first buy with the Global fees and flags graduation', async () => {
+    const global = await decodeGlobal();
+    const lamports = 5_000_000_000n;
+    const quote = quotePumpfunLaunch({ global, feeConfig: null, lamports });
+
+    assert.equal(quote.tokensOut.toString(), expectedTokens(lamports, 100n).toString());
+    assert.equal(quote.graduationLamports.toString(), expectedGraduation(95n, 5n).toString());
+    assert.equal(quote.graduates, false);
+  });
+
+  it('caps tokensOut at the real token reserves once the buy graduates', async () => {
+    const global = await decodeGlobal();
+    const graduation = expectedGraduation(95n, 5n);
+
+    const exact = quotePumpfunLaunch({ global, feeConfig: null, lamports: graduation });
+    assert.equal(exact.graduates, true);
+    assert.equal(quotePumpfunLaunch({ global, feeConfig: null, lamports: graduation - 1n }).graduates, false);
+
+    const over = quotePumpfunLaunch({ global, feeConfig: null, lamports: graduation * 2n });
+    assert.equal(over.tokensOut.toString(), REAL_TOKENS.toString());
+  });
+
+  it('uses the FeeConfig tier matching the launch market cap', async () => {
+    const global = await decodeGlobal();
+    const lamports = 5_000_000_000n;
+    // Fresh curve market cap: VIRTUAL_SOL * TOTAL_SUPPLY / VIRTUAL_TOKENS, about 27.96 SOL
+    const low = await decodeFeeConfig([[0n, 95, 30], [100_000_000_000n, 50, 5]]);
+    const high = await decodeFeeConfig([[0n, 95, 30], [20_000_000_000n, 150, 50]]);
+
+    const lowQuote = quotePumpfunLaunch({ global, feeConfig: low, lamports });
+    assert.equal(lowQuote.tokensOut.toString(), expectedTokens(lamports, 125n).toString());
+    assert.equal(lowQuote.graduationLamports.toString(), expectedGraduation(95n, 30n).toString());
+
+    const highQuote = quotePumpfunLaunch({ global, feeConfig: high, lamports });
+    assert.equal(highQuote.tokensOut.toString(), expectedTokens(lamports, 200n).toString());
+  });
+});
+
+describe('calculateFinalizeMinTokensOut', () => {
+  const escrowPda = randomKey();
+  const escrow = 20_000_000_000n;
+
+  it('spends the escrow minus costs and applies the default slippage', async () => {
+    const connection = createPumpConnection({ escrow, global: await encodeGlobal() });
+    const quote = await calculateFinalizeMinTokensOut(connection, escrowPda, { logger: silent });
+
+    const tokensOut = expectedTokens(escrow - COSTS, 100n);
+    assert.equal(quote.solToSpend.toString(), (escrow - COSTS).toString());
+    assert.equal(quote.tokensOut.toString(), tokensOut.toString());
+    assert.equal(
+      quote.minTokensOut.toString(),
+      (tokensOut * BigInt(10_000 - DEFAULT_FINALIZE_SLIPPAGE_BPS) / 10_000n).toString()
+    );
+    assert.equal(quote.graduates, false);
+  });
+
+  it('takes a slippageBps override and the FeeConfig tiers', async () => {
+    const connection = createPumpConnection({
+      escrow,
+      global: await encodeGlobal(),
+      feeConfig: await encodeFeeConfig([[0n, 95, 30]])
+    });
+    const quote = await calculateFinalizeMinTokensOut(connection, escrowPda, { slippageBps: 250, logger: silent });
+
+    const tokensOut = expectedTokens(escrow - COSTS, 125n);
+    assert.equal(quote.minTokensOut.toString(), (tokensOut * 9_750n / 10_000n).toString());
+    assert.equal((await calculateFinalizeMinTokensOut(connection, escrowPda, { slippageBps: 0, logger: silent }))
+      .minTokensOut.toString(), tokensOut.toString());
+  });
+
+  it('logs the escrow balance as exact SOL and warns when the launch will not graduate', async () => {
+    const lines = [];
+    const logger = { info: line => lines.push(line), warn: line => lines.push(line) };
+    const connection = createPumpConnection({ escrow: 12_345_678_901n, global: await encodeGlobal() });
+    await calculateFinalizeMinTokensOut(connection, escrowPda, { logger });
+
+    assert.ok(lines.includes('   Escrow Balance: 12.345678901 SOL'));
+    assert.ok(lines.some(line => /will NOT graduate/.test(line)));
+  });
+
+  it('throws instead of quoting without slippage protection', async () => {
+    const global = await encodeGlobal();
+    const quote = connection => calculateFinalizeMinTokensOut(connection, escrowPda, { logger: silent });
+
+    await assert.rejects(
+      calculateFinalizeMinTokensOut(createPumpConnection({ escrow, global }), escrowPda, { slippageBps: 10_001 }),
+      isSdkError(SDK_ERROR_CODES.INVALID_ARGUMENT)
+    );
+    await assert.rejects(quote(createPumpConnection({ escrow, global: null })), isSdkError(SDK_ERROR_CODES.PUMPFUN_NOT_FOUND));
+    await assert.rejects(quote(createPumpConnection({ escrow: COSTS, global })), /does not cover finalize costs/);
+    await assert.rejects(
+      quote(createPumpConnection({ escrow, global: await encodeGlobal({ initialVirtualTokenReserves: u64(0) }) })),
+      /returned 0 tokens/
+    );
+  });
+});
+
+describe('buildFinalizePumpfunInstruction minTokensOut', () => {
+  const build = (connection, options) => buildFinalizePumpfunInstruction({
+    program: createProgram(connection, Keypair.generate()),
+    mint: randomKey(),
+    payer: randomKey(),
+    pumpfunMint: randomKey(),
+    tokenName: 'Bundle',
+    tokenSymbol: 'BNDL',
+    tokenUri: 'ipfs://metadata',
+    logger: silent,
+    ...options
+  });
+
+  it('quotes from the escrow when minTokensOut is not given', async () => {
+    const escrow = 20_000_000_000n;
+    const connection = createPumpConnection({ escrow, global: await encodeGlobal() });
+    const { minTokensOut, launchQuote } = await build(connection, { slippageBps: 500 });
+
+    assert.equal(launchQuote.tokensOut.toString(), expectedTokens(escrow - COSTS, 100n).toString());
+    assert.equal(minTokensOut.toString(), launchQuote.tokensOut.muln(9_500).divn(10_000).toString());
+  });
+
+  it('uses an explicit minTokensOut without reading the escrow', async () => {
+    const connection = createPumpConnection({ escrow: 0n, global: null });
+    const { minTokensOut, launchQuote } = await build(connection, { minTokensOut: 0 });
+
+    assert.equal(minTokensOut.toString(), '0');
+    assert.equal(launchQuote, null);
+    assert.equal(connection.reads, 0);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Presale quotes (quotes.js) with concrete numbers: 1% tax on the gross
+ * amount, fixed presale price, and the cap edge
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyProgramError } from '../src/errors.js';
+import { applySlippage, quoteBuyFromState, quotePresaleExitFromState } from '../src/quotes.js';
+
+// 10 SOL cap for 1e9 tokens (6 decimals), 4 SOL raised
+const state = {
+  capLamports: 10_000_000_000n,
+  collectedLamports: 4_000_000_000n,
+  totalSupply: 1_000_000_000_000_000n,
+  totalBtokenSupply: 400_000_000_000_000n,
+  isFinalized: false,
+  tradingPaused: false
+};
+
+describe('quoteBuyFromState', () => {
+  it('takes 1% of the gross amount and prices the net at total_supply / cap', () => {
+    const quote = quoteBuyFromState(state, 1_000_000_000n, { decimals: 6 });
+    assert.equal(quote.feeLamports, 10_000_000n);
+    assert.equal(quote.netLamports, 990_000_000n);
+    // 990_000_000 * 1e15 / 1e10
+    assert.equal(quote.tokensOut, 99_000_000_000_000n);
+    assert.equal(quote.lamportsPerToken, 10n);
+    assert.equal(quote.price, 0.00000001);
+    assert.equal(quote.remainingLamports, 6_000_000_000n);
+    assert.equal(quote.collectedAfter, 4_990_000_000n);
+    assert.equal(quote.canBuy, true);
+  });
+
+  it('floors the fee and the token amount', () => {
+    const quote = quoteBuyFromState(state, 100_099n);
+    assert.equal(quote.feeLamports, 1_000n);
+    assert.equal(quote.netLamports, 99_099n);
+    assert.equal(quote.tokensOut, 9_909_900_000n);
+    // net 99 * 1e15 / 7 = 14_142_857_142_857_142.857...
+    assert.equal(quoteBuyFromState({ ...state, capLamports: 7n }, 100n).tokensOut, 14_142_857_142_857_142n);
+  });
+
+  it('allows a net amount exactly equal to the remaining cap', () => {
+    // fee = floor(6_060_606_060 / 100) = 60_606_060 -> net 6_000_000_000
+    const quote = quoteBuyFromState(state, 6_060_606_060n);
+    assert.equal(quote.netLamports, quote.remainingLamports);
+    assert.equal(quote.collectedAfter, state.capLamports);
+    assert.equal(quote.exceedsCap, false);
+    assert.equal(quote.canBuy, true);
+  });
+
+  it('flags a net amount one lamport over the remaining cap', () => {
+    const quote = quoteBuyFromState(state, 6_060_606_061n);
+    assert.equal(quote.netLamports, 6_000_000_001n);
+    assert.equal(quote.exceedsCap, true);
+    assert.equal(quote.canBuy, false);
+  });
+
+  it('flags amounts below MIN_SWAP_AMOUNT, supply overruns, paused and finalized bundles', () => {
+    assert.equal(quoteBuyFromState(state, 99_999n).belowMinimum, true);
+    assert.equal(quoteBuyFromState(state, 100_000n).belowMinimum, false);
+    assert.equal(quoteBuyFromState({ ...state, totalBtokenSupply: state.totalSupply }, 1_000_000n).exceedsSupply, true);
+    assert.equal(quoteBuyFromState({ ...state, tradingPaused: true }, 1_000_000n).canBuy, false);
+    assert.equal(quoteBuyFromState({ ...state, isFinalized: true }, 1_000_000n).canBuy, false);
+  });
+});
+
+describe('quotePresaleExitFromState', () => {
+  it('returns the proportional share of collected SOL minus 1%', () => {
+    // a quarter of the bToken supply -> a quarter of 4 SOL
+    const quote = quotePresaleExitFromState(state, 100_000_000_000_000n);
+    assert.equal(quote.grossLamports, 1_000_000_000n);
+    assert.equal(quote.feeLamports, 10_000_000n);
+    assert.equal(quote.solOut, 990_000_000n);
+    assert.equal(quote.collectedAfter, 3_000_000_000n);
+    assert.equal(quote.fillPctAfter, 30);
+    assert.equal(quote.btokenSupplyAfter, 300_000_000_000_000n);
+    assert.equal(quote.canExit, true);
+  });
+
+  it('cannot exit more than the bToken supply, while paused or after finalization', () => {
+    assert.equal(quotePresaleExitFromState(state, state.totalBtokenSupply + 1n).canExit, false);
+    assert.equal(quotePresaleExitFromState({ ...state, isFinalized: true }, 1n).canExit, false);
+    assert.equal(quotePresaleExitFromState({ ...state, tradingPaused: true }, 1n).canExit, false);
+  });
+});
+
+describe('presaleExit pre-checks', () => {
+  function createAgent(bundle, balance = 100_000_000_000_000n) {
+    const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+    agent.reads = 0;
+    agent.sent = [];
+    agent.getBundleState = async () => {
+      agent.reads++;
+      return { ...bundle, mint: Keypair.generate().publicKey };
+    };
+    agent.getRawTokenBalance = async () => balance;
+    agent.getMintDecimals = async () => 6;
+    agent.sendAndConfirm = async transaction => {
+      agent.sent.push(transaction);
+      return 'signature';
+    };
+    return agent;
+  }
+  const mint = Keypair.generate().publicKey;
+  const rejectsWith = name => error => error instanceof BundlyProgramError && error.is(name);
+
+  it('rejects a paused bundle before sending', async () => {
+    const agent = createAgent({ ...state, tradingPaused: true });
+    await assert.rejects(agent.presaleExit(mint), rejectsWith('TradingPaused'));
+    assert.equal(agent.sent.length, 0);
+  });
+
+  it('rejects finalized bundles and amounts above the balance', async () => {
+    await assert.rejects(createAgent({ ...state, isFinalized: true }).presaleExit(mint), rejectsWith('TradingActive'));
+    await assert.rejects(createAgent(state, 5n).presaleExit(mint, { amount: 6n }), rejectsWith('InsufficientTokens'));
+    await assert.rejects(createAgent(state, 0n).presaleExit(mint), rejectsWith('InvalidAmount'));
+  });
+
+  it('reads the bundle state once', async () => {
+    const agent = createAgent(state);
+    assert.equal(await agent.presaleExit(mint, { amount: '1.5' }), 'signature');
+    assert.equal(agent.reads, 1);
+    assert.equal(agent.sent.length, 1);
+  });
+});
+
+describe('applySlippage', () => {
+  it('lowers the amount by basis points, flooring', () => {
+    assert.equal(applySlippage(1_000n, 100), 990n);
+    assert.equal(applySlippage(999n, 50), 994n);
+    assert.equal(applySlippage(1_000n, 0), 1_000n);
+    assert.throws(() => applySlippage(1_000n, 10_001), /slippageBps/);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Send pipeline (sender.js): rebroadcast, blockhash expiry and the history
+ * lookup that keeps a late-landing transaction from being sent twice.
+ * A scripted connection stands in for the RPC.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import bs58 from 'bs58';
+import { ComputeBudgetInstruction, ComputeBudgetProgram, Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyTransactionError } from '../src/errors.js';
+import { sendWithRebroadcast } from '../src/sender.js';
+
+const LAST_VALID_BLOCK_HEIGHT = 100;
+
+// Signed-transaction stand-in: one distinct signature per attempt
+function signedTransaction(attempt) {
+  const signature = Buffer.alloc(64, attempt + 1);
+  return {
+    transaction: { signature, serialize: () => Buffer.from([attempt]) },
+    lastValidBlockHeight: LAST_VALID_BLOCK_HEIGHT
+  };
+}
+
+const signatureOf = attempt => bs58.encode(Buffer.alloc(64, attempt + 1));
+
+/**
+ * statuses(signatures, options) -> status array; blockHeights: consumed one
+ * per getBlockHeight call (the last value repeats)
+ */
+function createScriptedConnection({ statuses, blockHeights = [0] }) {
+  const calls = { sends: [], statusQueries: [], blockHeights: 0 };
+  return {
+    calls,
+    async sendRawTransaction(raw, options) {
+      calls.sends.push({ attempt: raw[0], skipPreflight: options.skipPreflight });
+      return 'ignored';
+    },
+    async getSignatureStatuses(signatures, options = {}) {
+      calls.statusQueries.push({ signatures: [...signatures], history: Boolean(options.searchTransactionHistory) });
+      return { value: statuses(signatures, options, calls.statusQueries.length) };
+    },
+    async getBlockHeight() {
+      const height = blockHeights[Math.min(calls.blockHeights, blockHeights.length - 1)];
+      calls.blockHeights++;
+      return height;
+    }
+  };
+}
+
+function send(connection, options = {}) {
+  const attempts = [];
+  const result = sendWithRebroadcast({
+    connection,
+    buildSigned: async attempt => {
+      attempts.push(attempt);
+      return signedTransaction(attempt);
+    },
+    rebroadcastInterval: 0,
+    ...options
+  });
+  return { result, attempts };
+}
+
+const confirmed = { confirmationStatus: 'confirmed', err: null, slot: 7 };
+const processed = { confirmationStatus: 'processed', err: null, slot: 7 };
+
+describe('sendWithRebroadcast', () => {
+  it('rebroadcasts while the signature is unknown, then returns once confirmed', async () => {
+    const connection = createScriptedConnection({
+      statuses: (signatures, options, call) => [call < 3 ? null : confirmed]
+    });
+    const { result, attempts } = send(connection);
+
+    assert.deepEqual(await result, { signature: signatureOf(0), err: null, slot: 7, signatures: [signatureOf(0)] });
+    assert.deepEqual(attempts, [0]);
+    // preflight send + one rebroadcast per null status
+    assert.deepEqual(connection.calls.sends.map(s => s.skipPreflight), [false, true, true]);
+  });
+
+  it('does not rebroadcast a transaction the cluster has already seen', async () => {
+    const connection = createScriptedConnection({
+      statuses: (signatures, options, call) => [call < 3 ? processed : confirmed]
+    });
+    await send(connection).result;
+    assert.equal(connection.calls.sends.length, 1);
+  });
+
+  it('stops rebroadcasting after maxRebroadcasts', async () => {
+    const connection = createScriptedConnection({
+      statuses: (signatures, options, call) => [call < 6 ? null : confirmed]
+    });
+    await send(connection, { maxRebroadcasts: 2 }).result;
+    assert.equal(connection.calls.sends.length, 3);
+  });
+
+  it('returns the on-chain error of a failed transaction', async () => {
+    const err = { InstructionError: [0, { Custom: 6003 }] };
+    const connection = createScriptedConnection({
+      statuses: () => [{ confirmationStatus: 'confirmed', err, slot: 9 }]
+    });
+    const outcome = await send(connection).result;
+    assert.deepEqual(outcome.err, err);
+    assert.equal(outcome.slot, 9);
+  });
+
+  it('checks history on expiry, then rebuilds with a new blockhash', async () => {
+    const connection = createScriptedConnection({
+      // attempt 0 never lands; attempt 1 confirms on its first poll
+      statuses: signatures => signatures.map(signature => (signature === signatureOf(1) ? confirmed : null)),
+      blockHeights: [LAST_VALID_BLOCK_HEIGHT, LAST_VALID_BLOCK_HEIGHT + 1]
+    });
+    const { result, attempts } = send(connection);
+
+    const outcome = await result;
+    assert.deepEqual(attempts, [0, 1]);
+    assert.equal(outcome.signature, signatureOf(1));
+    assert.deepEqual(outcome.signatures, [signatureOf(0), signatureOf(1)]);
+
+    // the history lookup ran before the rebuild, over every earlier signature
+    const historyQuery = connection.calls.statusQueries.find(query => query.history);
+    assert.deepEqual(historyQuery.signatures, [signatureOf(0)]);
+    assert.deepEqual(connection.calls.sends.map(s => s.attempt), [0, 0, 1]);
+  });
+
+  it('never resends a transaction that landed while its blockhash expired', async () => {
+    const connection = createScriptedConnection({
+      // invisible to the plain status poll, found by the history search,
+      // then confirmed on the next poll
+      statuses: (signatures, options, call) => {
+        if (!options.searchTransactionHistory) return [null];
+        return [call === 3 ? processed : confirmed];
+      },
+      blockHeights: [LAST_VALID_BLOCK_HEIGHT + 1]
+    });
+    const { result, attempts } = send(connection);
+
+    assert.deepEqual(await result, { signature: signatureOf(0), err: null, slot: 7, signatures: [signatureOf(0)] });
+    assert.deepEqual(attempts, [0]);
+    assert.equal(connection.calls.sends.length, 1);
+  });
+
+  it('gives up after maxAttempts blockhashes with every signature attached', async () => {
+    const connection = createScriptedConnection({
+      statuses: signatures => signatures.map(() => null),
+      blockHeights: [LAST_VALID_BLOCK_HEIGHT + 1]
+    });
+    const { result, attempts } = send(connection, { maxAttempts: 2 });
+
+    await assert.rejects(result, error => {
+      assert.ok(error instanceof BundlyTransactionError);
+      assert.equal(error.retryable, true);
+      assert.deepEqual(error.signatures, [signatureOf(0), signatureOf(1)]);
+      return true;
+    });
+    assert.deepEqual(attempts, [0, 1]);
+  });
+
+  it('refuses to retry a landed transaction that never reaches the commitment', async () => {
+    const connection = createScriptedConnection({
+      statuses: (signatures, options) => [options.searchTransactionHistory ? processed : null],
+      blockHeights: [LAST_VALID_BLOCK_HEIGHT + 1]
+    });
+    const { result, attempts } = send(connection, { maxRebroadcasts: 3 });
+
+    await assert.rejects(result, error => {
+      assert.equal(error.retryable, false);
+      assert.equal(error.signature, signatureOf(0));
+      assert.match(error.hint, /Do not resend/);
+      return true;
+    });
+    assert.deepEqual(attempts, [0]);
+  });
+});
+
+describe('BundlyAgent.sendAndConfirm rebuild', () => {
+  it('re-resolves the priority fee from the original instructions after expiry', async () => {
+    const wallet = Keypair.generate();
+    const agent = new BundlyAgent({
+      wallet,
+      logger: 'silent',
+      priorityFee: { strategy: 'percentile' },
+      confirmationRetryDelay: 0
+    });
+
+    // Fees rise between attempts; the first blockhash expires unseen
+    const fees = [[100], [250]];
+    const sent = [];
+    let blockhashes = 0;
+    agent.connection = {
+      async getLatestBlockhash() {
+        blockhashes++;
+        return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: blockhashes * 100 };
+      },
+      async getRecentPrioritizationFees() {
+        return fees.shift().map(prioritizationFee => ({ slot: 1, prioritizationFee }));
+      },
+      async sendRawTransaction(raw) {
+        sent.push(Transaction.from(raw));
+        return 'ignored';
+      },
+      async getSignatureStatuses(signatures, options = {}) {
+        if (options.searchTransactionHistory) return { value: signatures.map(() => null) };
+        return { value: [blockhashes === 2 ? { confirmationStatus: 'confirmed', err: null, slot: 3 } : null] };
+      },
+      async getBlockHeight() {
+        return blockhashes === 1 ? 101 : 150;
+      }
+    };
+
+    const transaction = new Transaction().add(SystemProgram.transfer({
+      fromPubkey: wallet.publicKey,
+      toPubkey: Keypair.generate().publicKey,
+      lamports: 1
+    }));
+    await agent.sendAndConfirm(transaction);
+
+    const prices = tx => tx.instructions
+      .filter(ix => ix.programId.equals(ComputeBudgetProgram.programId))
+      .map(ix => Number(ComputeBudgetInstruction.decodeSetComputeUnitPrice(ix).microLamports));
+    assert.equal(blockhashes, 2);
+    assert.deepEqual(prices(sent[0]), [100]);
+    assert.deepEqual(prices(sent[sent.length - 1]), [250]);
+    assert.equal(sent[sent.length - 1].instructions.length, 2);
+    assert.notEqual(sent[0].recentBlockhash, sent[sent.length - 1].recentBlockhash);
+  });
+});
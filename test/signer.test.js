@@ -0,0 +1,81 @@
+/**
+ * Signers (signer.js): Keypairs, custom signers and invalid wallets
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyError, SDK_ERROR_CODES } from '../src/errors.js';
+import { KeypairSigner, toSigner } from '../src/signer.js';
+
+const isInvalidArgument = error => error instanceof BundlyError && error.is(SDK_ERROR_CODES.INVALID_ARGUMENT);
+
+function transferFrom(payer) {
+  const transaction = new Transaction().add(SystemProgram.transfer({
+    fromPubkey: payer,
+    toPubkey: Keypair.generate().publicKey,
+    lamports: 1
+  }));
+  transaction.feePayer = payer;
+  transaction.recentBlockhash = Keypair.generate().publicKey.toBase58();
+  return transaction;
+}
+
+describe('toSigner', () => {
+  it('wraps a Keypair in a KeypairSigner that signs legacy transactions', async () => {
+    const keypair = Keypair.generate();
+    const signer = toSigner(keypair);
+    assert.ok(signer instanceof KeypairSigner);
+    assert.ok(signer.publicKey.equals(keypair.publicKey));
+    assert.equal(toSigner(signer), signer);
+
+    const [signed] = await signer.signAllTransactions([transferFrom(keypair.publicKey)]);
+    assert.ok(signed.verifySignatures());
+  });
+
+  it('passes custom signers through and adds batch signing when missing', async () => {
+    const keypair = Keypair.generate();
+    const signed = [];
+    const custom = {
+      publicKey: keypair.publicKey,
+      signTransaction: async transaction => {
+        signed.push(transaction);
+        transaction.partialSign(keypair);
+        return transaction;
+      }
+    };
+
+    const batch = { ...custom, signAllTransactions: async transactions => transactions };
+    assert.equal(toSigner(batch), batch);
+
+    const signer = toSigner(custom);
+    assert.ok(!(signer instanceof KeypairSigner));
+    const transactions = [transferFrom(keypair.publicKey), transferFrom(keypair.publicKey)];
+    const result = await signer.signAllTransactions(transactions);
+    assert.deepEqual(signed, transactions);
+    assert.ok(result.every(transaction => transaction.verifySignatures()));
+  });
+
+  it('rejects missing and malformed wallets as INVALID_ARGUMENT', () => {
+    assert.throws(() => toSigner(null), isInvalidArgument);
+    assert.throws(() => toSigner({ publicKey: Keypair.generate().publicKey }), /signTransaction/);
+    assert.throws(() => new KeypairSigner({}), isInvalidArgument);
+  });
+});
+
+describe('BundlyAgent wallet', () => {
+  it('accepts a Keypair or a signer and signs as its public key', () => {
+    const keypair = Keypair.generate();
+    assert.ok(new BundlyAgent({ wallet: keypair, logger: 'silent' }).publicKey.equals(keypair.publicKey));
+
+    const signer = { publicKey: keypair.publicKey, signTransaction: async transaction => transaction };
+    const agent = new BundlyAgent({ signer, logger: 'silent' });
+    assert.ok(agent.publicKey.equals(keypair.publicKey));
+  });
+
+  it('throws INVALID_ARGUMENT from the constructor for a missing or invalid wallet', () => {
+    assert.throws(() => new BundlyAgent({ logger: 'silent' }), isInvalidArgument);
+    assert.throws(() => new BundlyAgent({ wallet: { publicKey: 'x' }, logger: 'silent' }), isInvalidArgument);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Dry runs (agent.simulate) must not have side effects outside the simulation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BUNDLY_EVENTS } from '../src/events.js';
+import { DRY_RUN_METADATA_URI } from '../src/simulate.js';
+import { randomKey } from './helpers.js';
+
+describe('simulate.finalize', () => {
+  const metadata = {
+    name: 'Agent Coin',
+    symbol: 'AGNT',
+    description: 'test',
+    imagePath: '/nonexistent/bundly-test-image.png',
+    minTokensOut: 1n
+  };
+
+  function createAgent() {
+    const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+    agent.sent = [];
+    agent.sendAndConfirm = async transaction => {
+      agent.sent.push(transaction);
+      return null;
+    };
+    return agent;
+  }
+
+  it('simulates with a placeholder URI instead of uploading metadata', async () => {
+    const agent = createAgent();
+    const uploaded = [];
+    agent.on(BUNDLY_EVENTS.METADATA_UPLOADED, event => uploaded.push(event));
+
+    const { result } = await agent.simulate.finalize(randomKey(), metadata);
+    assert.equal(result.metadataUri, DRY_RUN_METADATA_URI);
+    assert.equal(agent.sent.length, 1);
+    assert.deepEqual(uploaded, []);
+  });
+
+  it('still uploads when finalizing for real', async () => {
+    const agent = createAgent();
+    await assert.rejects(agent.finalize(randomKey(), metadata), /Image file not found/);
+    assert.equal(agent.sent.length, 0);
+  });
+
+  it('still validates the metadata options', async () => {
+    await assert.rejects(createAgent().simulate.finalize(randomKey(), { name: 'A', symbol: 'A' }), /metadataUri OR/);
+  });
+});
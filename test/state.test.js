@@ -0,0 +1,146 @@
+/**
+ * Bundle views and stake position summaries (state.js), and the deprecated
+ * getStakingInfo shape
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { summarizeStakePosition, previewRewardInjection, decodeBundleView } from '../src/state.js';
+import { encodeAccount, randomKey } from './helpers.js';
+
+describe('decodeBundleView', () => {
+  it('adds the derived metrics, bundle PDA and exists flag to the decoded state', async () => {
+    const mint = randomKey();
+    const bundlePda = randomKey();
+    const view = decodeBundleView(await encodeAccount('BundleState', { mint, capLamports: 400n, collectedLamports: 100n }), bundlePda);
+    assert.ok(view.mint.equals(mint));
+    assert.equal(view.fillPct, 25);
+    assert.equal(view.remainingLamports, 300n);
+    assert.equal(view.phase, 'fundraising');
+    assert.equal(view.bundlePda, bundlePda);
+    assert.equal(view.exists, true);
+  });
+});
+
+describe('summarizeStakePosition', () => {
+  const userStake = {
+    isInitialized: true,
+    totalRealDeposited: 1_000n,
+    totalRealWithdrawn: 250n,
+    totalRewardsClaimed: 40n,
+    presaleBtokenAmount: 0n,
+    lastStakeTime: 10n
+  };
+  const unstakeRequest = {
+    isInitialized: true,
+    amountUnlocking: 600n,
+    amountClaimed: 100n,
+    unlockStartTs: 1_000n,
+    unlockDuration: 300n
+  };
+
+  it('nets withdrawals from deposits', () => {
+    const position = summarizeStakePosition(userStake, null, 0);
+    assert.equal(position.hasStake, true);
+    assert.equal(position.staked, 750n);
+    assert.equal(position.unstake, null);
+    assert.equal(position.unlockableNow, 0n);
+  });
+
+  it('unlocks linearly over the cooldown, minus what was claimed', () => {
+    const before = summarizeStakePosition(userStake, unstakeRequest, 900);
+    assert.equal(before.unlockableNow, 0n);
+    assert.equal(before.unstake.pending, 500n);
+    assert.equal(before.unstake.cooldownEndsAt, 1_300n);
+    assert.equal(before.unstake.cooldownRemaining, 400n);
+
+    // a third of the way: 200 unlocked, 100 already claimed
+    const third = summarizeStakePosition(userStake, unstakeRequest, 1_100);
+    assert.equal(third.unlockableNow, 100n);
+    assert.equal(third.unstake.cooldownComplete, false);
+
+    // claimed ahead of the linear schedule: nothing more yet
+    const early = summarizeStakePosition(userStake, { ...unstakeRequest, amountClaimed: 300n }, 1_100);
+    assert.equal(early.unlockableNow, 0n);
+
+    const after = summarizeStakePosition(userStake, unstakeRequest, 1_300);
+    assert.equal(after.unlockableNow, 500n);
+    assert.equal(after.unstake.cooldownRemaining, 0n);
+    assert.equal(after.unstake.cooldownComplete, true);
+  });
+
+  it('ignores fully claimed or uninitialized requests', () => {
+    assert.equal(summarizeStakePosition(userStake, { ...unstakeRequest, amountClaimed: 600n }, 2_000).unstake, null);
+    assert.equal(summarizeStakePosition(userStake, { ...unstakeRequest, isInitialized: false }, 2_000).unstake, null);
+  });
+
+  it('treats a zero duration as unlocked immediately', () => {
+    const position = summarizeStakePosition(null, { ...unstakeRequest, unlockDuration: 0n }, 1_000);
+    assert.equal(position.hasStake, false);
+    assert.equal(position.unlockableNow, 500n);
+  });
+});
+
+describe('previewRewardInjection', () => {
+  const noDrip = { dripPendingAmount: 0n, dripRate: 0n, dripLastUpdate: 0n, dripStartTs: 0n, dripEndTs: 0n };
+
+  it('estimates a merged drip over the previous window length, restarting now', () => {
+    // 1_000 over 100s, 40s in: 600 undripped
+    const state = { dripPendingAmount: 1_000n, dripRate: 10n, dripLastUpdate: 1_000n, dripStartTs: 1_000n, dripEndTs: 1_100n };
+    const preview = previewRewardInjection(state, 400n, { now: 1_040 });
+    assert.equal(preview.current.remaining, 600n);
+    assert.equal(preview.pendingAmount, 1_000n);
+    assert.equal(preview.duration, 100n);
+    assert.equal(preview.rate, 10n);
+    assert.equal(preview.startTs, 1_040n);
+    assert.equal(preview.endTs, 1_140n);
+    assert.equal(preview.mergesWithActiveDrip, true);
+  });
+
+  it('leaves the schedule unknown before the first drip', () => {
+    const preview = previewRewardInjection(noDrip, 400n, { now: 1_000 });
+    assert.equal(preview.pendingAmount, 400n);
+    assert.equal(preview.rate, null);
+    assert.equal(preview.endTs, null);
+    assert.equal(preview.mergesWithActiveDrip, false);
+  });
+});
+
+describe('getStakingInfo', () => {
+  it('keeps the numeric shape, with rewards as claimable and claimed rewards separate', async () => {
+    const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+    const userStake = {
+      isInitialized: true,
+      totalRealDeposited: 0n,
+      totalRealWithdrawn: 0n,
+      totalRewardsClaimed: 7n,
+      presaleBtokenAmount: 100_000n
+    };
+    agent.getStakePosition = async () => ({ userStake, ...summarizeStakePosition(userStake, null) });
+    agent.getBundleState = async () => ({
+      isFinalized: true,
+      totalVaultBalance: 2_000_000n,
+      totalBtokenSupply: 1_000_000n,
+      vaultBalanceAtFinalization: 1_000_000n,
+      btokenSupplyAtFinalization: 1_000_000n,
+      dripPendingAmount: 0n,
+      dripRate: 0n,
+      dripLastUpdate: 0n,
+      dripStartTs: 0n,
+      dripEndTs: 0n
+    });
+    agent.getRawTokenBalance = async () => 100_000n;
+    const mint = Keypair.generate().publicKey;
+    agent.mintDecimals.set(mint.toString(), 6);
+
+    // 100k bTokens redeem for 200k real tokens; the presale principal is 100k.
+    // Numbers in token units, like the method always returned
+    assert.deepEqual(await agent.getStakingInfo(mint), {
+      staked: 0,
+      rewards: 0.1,
+      rewardsClaimed: 0.000007
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * v0 messages and address lookup tables (versioned.js, BundlyAgent lookup
+ * table methods) against a stub lookup table
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AddressLookupTableAccount, Keypair, SystemProgram, Transaction } from '@solana/web3.js';
+import { BundlyAgent } from '../src/BundlyAgent.js';
+import { BundlyError, SDK_ERROR_CODES } from '../src/errors.js';
+import { compileMessage, fetchLookupTables, getWritableKeys, toVersionedTransaction } from '../src/versioned.js';
+import { randomKey } from './helpers.js';
+
+const payer = randomKey();
+
+function createLookupTable(key, addresses) {
+  return new AddressLookupTableAccount({
+    key,
+    state: { deactivationSlot: BigInt('18446744073709551615'), lastExtendedSlot: 0, lastExtendedSlotStartIndex: 0, addresses }
+  });
+}
+
+function transferTo(recipient) {
+  const transaction = new Transaction().add(SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 1 }));
+  transaction.feePayer = payer;
+  transaction.recentBlockhash = Keypair.generate().publicKey.toBase58();
+  return transaction;
+}
+
+// getAddressLookupTable stub serving `tables` (address -> addresses) and counting calls
+function createTableConnection(tables) {
+  const connection = {
+    calls: 0,
+    async getAddressLookupTable(key) {
+      connection.calls++;
+      const addresses = tables.get(key.toBase58());
+      return { value: addresses ? createLookupTable(key, addresses) : null };
+    }
+  };
+  return connection;
+}
+
+describe('compileMessage', () => {
+  const recipient = randomKey();
+  const tableKey = randomKey();
+  const table = createLookupTable(tableKey, [randomKey(), recipient]);
+
+  it('compiles legacy messages with every key static', () => {
+    const message = compileMessage(transferTo(recipient));
+    assert.equal(message.version, 'legacy');
+    assert.ok(message.accountKeys.some(key => key.equals(recipient)));
+  });
+
+  it('resolves keys through the lookup table in v0 messages', () => {
+    const transaction = toVersionedTransaction(transferTo(recipient), { version: 0, lookupTables: [table] });
+    const { message } = transaction;
+
+    assert.equal(message.version, 0);
+    assert.ok(!message.staticAccountKeys.some(key => key.equals(recipient)));
+    assert.equal(message.addressTableLookups.length, 1);
+    assert.ok(message.addressTableLookups[0].accountKey.equals(tableKey));
+    assert.deepEqual(message.addressTableLookups[0].writableIndexes, [1]);
+
+    const keys = message.getAccountKeys({ addressLookupTableAccounts: [table] });
+    assert.ok(keys.get(keys.length - 1).equals(recipient));
+    assert.deepEqual(
+      getWritableKeys(message, [table]).map(key => key.toBase58()).sort(),
+      [payer.toBase58(), recipient.toBase58()].sort()
+    );
+  });
+});
+
+describe('fetchLookupTables', () => {
+  it('loads each table and throws a BundlyError for a missing one', async () => {
+    const tableKey = randomKey();
+    const connection = createTableConnection(new Map([[tableKey.toBase58(), [randomKey()]]]));
+
+    const [table] = await fetchLookupTables(connection, [tableKey.toBase58()]);
+    assert.ok(table.key.equals(tableKey));
+    await assert.rejects(fetchLookupTables(connection, [randomKey()]), BundlyError);
+  });
+});
+
+describe('BundlyAgent lookup tables', () => {
+  it('rejects lookup tables with legacy messages as INVALID_ARGUMENT', () => {
+    assert.throws(
+      () => new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent', lookupTables: [randomKey()], transactionVersion: 'legacy' }),
+      error => error instanceof BundlyError && error.is(SDK_ERROR_CODES.INVALID_ARGUMENT)
+    );
+  });
+
+  it('switches to v0 on useLookupTable and caches the table accounts', async () => {
+    const tableKey = randomKey();
+    const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+    agent.connection = createTableConnection(new Map([[tableKey.toBase58(), [randomKey()]]]));
+
+    assert.equal(agent.transactionVersion, 'legacy');
+    assert.deepEqual(await agent.getLookupTableAccounts(), []);
+
+    agent.useLookupTable(tableKey.toBase58());
+    agent.useLookupTable(tableKey);
+    assert.equal(agent.transactionVersion, 0);
+    assert.equal(agent.lookupTableAddresses.length, 1);
+
+    const [table] = await agent.getLookupTableAccounts();
+    await agent.getLookupTableAccounts();
+    assert.ok(table.key.equals(tableKey));
+    assert.equal(agent.connection.calls, 1);
+  });
+
+  it('extends a table with only the missing addresses', async () => {
+    const tableKey = randomKey();
+    const present = randomKey();
+    const added = [randomKey(), randomKey()];
+    const agent = new BundlyAgent({ wallet: Keypair.generate(), logger: 'silent' });
+    agent.connection = createTableConnection(new Map([[tableKey.toBase58(), [present]]]));
+    const sent = [];
+    agent.sendAndConfirm = async transaction => {
+      sent.push(transaction);
+      return `sig${sent.length}`;
+    };
+    agent.waitForNextSlot = async () => {};
+
+    const signatures = await agent.extendLookupTable(tableKey, [present, ...added, added[0]]);
+    assert.deepEqual(signatures, ['sig1']);
+    // extend_lookup_table data: u32 instruction, u64 count, then the addresses
+    const data = sent[0].instructions[0].data;
+    assert.equal(data.readBigUInt64LE(4), 2n);
+    assert.deepEqual(await agent.extendLookupTable(tableKey, [present]), []);
+  });
+});
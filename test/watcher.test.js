@@ -0,0 +1,164 @@
+/**
+ * BundleWatcher: change events and async-iterator buffering. A scripted
+ * connection serves the bundle account; polls are driven by hand.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUNDLE_WATCH_EVENTS, BundleWatcher } from '../src/watcher.js';
+import { encodeAccount, randomKey } from './helpers.js';
+
+const CAP = 1_000n;
+
+/**
+ * connection.collected: lamports the next poll reports; every poll is a new slot.
+ * connection.error: thrown by the next polls while set
+ */
+function createBundleConnection() {
+  let slot = 0;
+  const connection = {
+    collected: 0n,
+    error: null,
+    async getMultipleAccountsInfoAndContext() {
+      if (connection.error) throw connection.error;
+      const data = await encodeAccount('BundleState', { capLamports: CAP, collectedLamports: connection.collected });
+      return { value: [{ data, lamports: 1 }, null], context: { slot: ++slot } };
+    }
+  };
+  return connection;
+}
+
+async function startWatcher(connection) {
+  const watcher = new BundleWatcher({ connection, mint: randomKey(), websocket: false, pollInterval: 0 });
+  await watcher.start();
+  return watcher;
+}
+
+describe('BundleWatcher', () => {
+  it('emits contribution and cap events from consecutive polls', async () => {
+    const connection = createBundleConnection();
+    const watcher = await startWatcher(connection);
+    const events = [];
+    watcher.on('event', event => events.push(event.type));
+
+    connection.collected = 400n;
+    await watcher.poll();
+    connection.collected = CAP;
+    await watcher.poll();
+    await watcher.stop();
+
+    assert.deepEqual(events, [
+      BUNDLE_WATCH_EVENTS.STATE, BUNDLE_WATCH_EVENTS.CONTRIBUTION,
+      BUNDLE_WATCH_EVENTS.STATE, BUNDLE_WATCH_EVENTS.CONTRIBUTION, BUNDLE_WATCH_EVENTS.CAP_REACHED
+    ]);
+    assert.equal(watcher.state.capReached, true);
+  });
+
+  it('does not buffer events for .on() consumers', async () => {
+    const connection = createBundleConnection();
+    const watcher = await startWatcher(connection);
+    let contributions = 0;
+    watcher.on(BUNDLE_WATCH_EVENTS.CONTRIBUTION, () => contributions++);
+
+    for (let i = 1n; i <= 50n; i++) {
+      connection.collected = i;
+      await watcher.poll();
+    }
+    await watcher.stop();
+
+    assert.equal(contributions, 50);
+    assert.equal(watcher.queue.length, 0);
+  });
+
+  it('buffers events for an open iterator and drops them on return()', async () => {
+    const connection = createBundleConnection();
+    const watcher = await startWatcher(connection);
+    const iterator = watcher[Symbol.asyncIterator]();
+
+    connection.collected = 400n;
+    await watcher.poll();
+    assert.equal(watcher.queue.length, 2);
+
+    const { value } = await iterator.next();
+    assert.equal(value.type, BUNDLE_WATCH_EVENTS.STATE);
+    assert.equal((await iterator.next()).value.lamports, 400n);
+
+    connection.collected = 500n;
+    await watcher.poll();
+    assert.deepEqual(await iterator.return(), { value: undefined, done: true });
+    assert.equal(watcher.queue.length, 0);
+    assert.equal(watcher.running, false);
+    assert.equal((await iterator.next()).done, true);
+  });
+
+  it('is not left running when the first poll fails', async () => {
+    const connection = createBundleConnection();
+    connection.error = new Error('503 Service Unavailable');
+    const watcher = new BundleWatcher({ connection, mint: randomKey(), websocket: false, pollInterval: 0 });
+
+    await assert.rejects(watcher.start(), /503/);
+    assert.equal(watcher.running, false);
+
+    connection.error = null;
+    await watcher.start();
+    assert.equal(watcher.running, true);
+    await watcher.stop();
+  });
+
+  // What the poll timer does with a rejected poll
+  const failedPoll = watcher => watcher.poll().catch(error => watcher.fail(error));
+
+  it('rejects a waiting iterator when a poll fails and nobody listens for errors', async () => {
+    const connection = createBundleConnection();
+    const watcher = await startWatcher(connection);
+    const iterator = watcher[Symbol.asyncIterator]();
+
+    const pending = iterator.next();
+    connection.error = new Error('socket hang up');
+    await failedPoll(watcher);
+
+    await assert.rejects(pending, /socket hang up/);
+    assert.equal(watcher.running, false);
+    assert.equal((await iterator.next()).done, true);
+  });
+
+  it('ends iteration with the error after the buffered events', async () => {
+    const connection = createBundleConnection();
+    const watcher = await startWatcher(connection);
+    const seen = [];
+
+    connection.collected = 400n;
+    const loop = (async () => {
+      for await (const event of watcher) {
+        seen.push(event.type);
+        if (seen.length === 2) {
+          connection.error = new Error('socket hang up');
+          await failedPoll(watcher);
+        }
+      }
+    })();
+    await watcher.poll();
+
+    await assert.rejects(loop, /socket hang up/);
+    assert.deepEqual(seen, [BUNDLE_WATCH_EVENTS.STATE, BUNDLE_WATCH_EVENTS.CONTRIBUTION]);
+    assert.equal(watcher.running, false);
+  });
+
+  it('hands errors to an error listener and keeps iterating', async () => {
+    const connection = createBundleConnection();
+    const watcher = await startWatcher(connection);
+    const errors = [];
+    watcher.on(BUNDLE_WATCH_EVENTS.ERROR, error => errors.push(error.message));
+    const iterator = watcher[Symbol.asyncIterator]();
+
+    connection.error = new Error('socket hang up');
+    await failedPoll(watcher);
+    connection.error = null;
+    connection.collected = 400n;
+    await watcher.poll();
+
+    assert.deepEqual(errors, ['socket hang up']);
+    assert.equal((await iterator.next()).value.type, BUNDLE_WATCH_EVENTS.STATE);
+    await iterator.return();
+  });
+});